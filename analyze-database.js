@@ -1,17 +1,63 @@
 const { createPool } = require('./config/database');
-const { getMigrationTables, validateTablesExist, validateColumnsExist } = require('./config/tables');
+const {
+    getMigrationTables,
+    expandMigrationTargets,
+    getConflictStrategy,
+    projectCounts,
+    saveMigrationTables,
+    validateTablesExist,
+    validateColumnsExist,
+    USER_COLUMN_CANDIDATES
+} = require('./config/tables');
 const chalk = require('chalk');
+const {
+    getPrimaryKeyColumns,
+    getUniqueKeysForColumn,
+    getLeadingIndexes,
+    getAutoUpdateColumns,
+    getTableTriggers,
+    findUniqueKeyConflicts,
+    buildOwnerPredicate
+} = require('./config/schema');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { getConfig, getUserLabel } = require('./config/profiles');
 require('dotenv').config();
 
+/**
+ * Quantidade de linhas de exemplo do usuário origem no relatório de impacto
+ * (apenas as colunas de chave, para que o relatório não carregue dados pessoais)
+ */
+const IMPACT_SAMPLE_SIZE = 5;
+
+/**
+ * Linhas examinadas (estimativa do EXPLAIN) a partir das quais uma varredura completa é de alto risco
+ */
+const LARGE_SCAN_ROWS = 100000;
+
+/**
+ * Níveis de risco do relatório de impacto, do menor para o maior
+ */
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Estratégias de conflito (onConflict) que removem uma das linhas em colisão
+ */
+const DELETING_STRATEGIES = ['delete-source', 'keep-newest'];
+
 /**
  * Analisa a estrutura do banco de dados para as tabelas específicas
  */
 class DatabaseAnalyzer {
-    constructor() {
-        this.pool = createPool();
-        this.sourceUserId = process.env.SOURCE_USER_ID || 41;
-        this.targetUserId = process.env.TARGET_USER_ID || 358;
-        this.migrationTables = getMigrationTables();
+    constructor(options = {}) {
+        this.ownsPool = !options.pool;
+        this.pool = options.pool || createPool();
+        this.config = getConfig();
+        this.sourceUserId = options.sourceUserId || this.config.users.source;
+        this.targetUserId = options.targetUserId || this.config.users.target;
+        this.migrationTables = options.migrationTables || getMigrationTables();
+        this.migrationTargets = expandMigrationTargets(this.migrationTables);
+        this.userTable = this.config.userTable.name;
+        this.userPrimaryKey = this.config.userTable.primaryKey;
     }
 
     /**
@@ -21,42 +67,50 @@ class DatabaseAnalyzer {
         try {
             console.log(chalk.blue('🔍 Validando tabelas especificadas para migração...'));
             
-            const tableValidation = await validateTablesExist(this.pool);
-            const columnValidation = await validateColumnsExist(this.pool);
+            const tableValidation = await validateTablesExist(this.pool, this.migrationTargets);
+            const columnValidation = await validateColumnsExist(this.pool, this.migrationTargets);
             
             console.log(chalk.green('📋 Tabelas especificadas para migração:'));
             
             const validationResults = {};
             let allValid = true;
             
-            for (const tableConfig of this.migrationTables) {
-                const tableName = tableConfig.table;
-                const columnName = tableConfig.column;
+            for (const tableConfig of this.migrationTargets) {
+                const { table: tableName, column: columnName, key: targetKey, discriminator } = tableConfig;
                 
-                const tableExists = tableValidation[tableName]?.exists || false;
-                const columnExists = columnValidation[tableName]?.columnExists || false;
+                const tableExists = tableValidation[targetKey]?.exists || false;
+                const columnExists = columnValidation[targetKey]?.columnExists || false;
+                const discriminatorExists = columnValidation[targetKey]?.discriminatorExists || false;
+                const label = discriminator
+                    ? `${targetKey} (${discriminator.column} = '${discriminator.value}')`
+                    : targetKey;
                 
-                validationResults[tableName] = {
+                validationResults[targetKey] = {
                     table: tableName,
                     column: columnName,
+                    discriminator: discriminator || null,
                     tableExists,
                     columnExists,
-                    valid: tableExists && columnExists
+                    discriminatorExists,
+                    valid: tableExists && columnExists && discriminatorExists
                 };
                 
-                if (tableExists && columnExists) {
-                    console.log(chalk.green(`  ✅ ${tableName}.${columnName} - OK`));
+                if (tableExists && columnExists && discriminatorExists) {
+                    console.log(chalk.green(`  ✅ ${label} - OK`));
                 } else if (!tableExists) {
-                    console.log(chalk.red(`  ❌ ${tableName}.${columnName} - Tabela não encontrada`));
+                    console.log(chalk.red(`  ❌ ${label} - Tabela não encontrada`));
                     allValid = false;
                 } else if (!columnExists) {
-                    console.log(chalk.red(`  ❌ ${tableName}.${columnName} - Coluna não encontrada`));
+                    console.log(chalk.red(`  ❌ ${label} - Coluna não encontrada`));
+                    allValid = false;
+                } else {
+                    console.log(chalk.red(`  ❌ ${label} - Coluna discriminadora ${discriminator.column} não encontrada`));
                     allValid = false;
                 }
             }
             
             if (!allValid) {
-                throw new Error('Algumas tabelas ou colunas especificadas não foram encontradas no banco de dados');
+                throw createError(ERROR_CODES.VALIDATION, 'Algumas tabelas ou colunas especificadas não foram encontradas no banco de dados');
             }
             
             console.log(chalk.green('✅ Todas as tabelas e colunas especificadas foram validadas'));
@@ -75,59 +129,35 @@ class DatabaseAnalyzer {
         try {
             console.log(chalk.blue('👥 Verificando existência dos usuários...'));
             
-            // Procurar tabela de usuários
-            const [userTables] = await this.pool.execute(`
-                SELECT TABLE_NAME 
-                FROM INFORMATION_SCHEMA.TABLES 
-                WHERE TABLE_SCHEMA = ? 
-                AND (TABLE_NAME LIKE '%user%' OR TABLE_NAME LIKE '%usuario%')
-                ORDER BY TABLE_NAME
-            `, [process.env.DB_NAME]);
-
-            console.log(chalk.yellow('📋 Tabelas relacionadas a usuários encontradas:'));
-            userTables.forEach(table => {
-                console.log(`  - ${table.TABLE_NAME}`);
-            });
-
             const userInfo = {
                 sourceUser: null,
                 targetUser: null,
-                userTable: null
+                userTable: this.userTable
             };
 
-            for (const table of userTables) {
-                try {
-                    const [sourceCheck] = await this.pool.execute(
-                        `SELECT * FROM \`${table.TABLE_NAME}\` WHERE id = ? LIMIT 1`,
-                        [this.sourceUserId]
-                    );
-                    
-                    const [targetCheck] = await this.pool.execute(
-                        `SELECT * FROM \`${table.TABLE_NAME}\` WHERE id = ? LIMIT 1`,
-                        [this.targetUserId]
-                    );
+            const [sourceCheck] = await this.pool.execute(
+                `SELECT * FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ? LIMIT 1`,
+                [this.sourceUserId]
+            );
 
-                    if (sourceCheck.length > 0 || targetCheck.length > 0) {
-                        userInfo.userTable = table.TABLE_NAME;
-                        userInfo.sourceUser = sourceCheck[0] || null;
-                        userInfo.targetUser = targetCheck[0] || null;
-                        break;
-                    }
-                } catch (err) {
-                    continue;
-                }
-            }
+            const [targetCheck] = await this.pool.execute(
+                `SELECT * FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ? LIMIT 1`,
+                [this.targetUserId]
+            );
+
+            userInfo.sourceUser = sourceCheck[0] || null;
+            userInfo.targetUser = targetCheck[0] || null;
 
             if (userInfo.sourceUser) {
                 console.log(chalk.green(`✅ Usuário origem (ID ${this.sourceUserId}) encontrado na tabela ${userInfo.userTable}`));
-                console.log(`   Nome: ${userInfo.sourceUser.name || userInfo.sourceUser.nome || userInfo.sourceUser.email || 'N/A'}`);
+                console.log(`   Nome: ${getUserLabel(userInfo.sourceUser)}`);
             } else {
                 console.log(chalk.red(`❌ Usuário origem (ID ${this.sourceUserId}) NÃO encontrado`));
             }
 
             if (userInfo.targetUser) {
                 console.log(chalk.green(`✅ Usuário destino (ID ${this.targetUserId}) encontrado na tabela ${userInfo.userTable}`));
-                console.log(`   Nome: ${userInfo.targetUser.name || userInfo.targetUser.nome || userInfo.targetUser.email || 'N/A'}`);
+                console.log(`   Nome: ${getUserLabel(userInfo.targetUser)}`);
             } else {
                 console.log(chalk.red(`❌ Usuário destino (ID ${this.targetUserId}) NÃO encontrado`));
             }
@@ -149,29 +179,32 @@ class DatabaseAnalyzer {
             const recordCounts = {};
             let totalRecords = 0;
             
-            for (const tableConfig of this.migrationTables) {
+            for (const tableConfig of this.migrationTargets) {
+                const targetKey = tableConfig.key;
                 try {
+                    const owner = buildOwnerPredicate(tableConfig, this.sourceUserId);
                     const [countResult] = await this.pool.execute(
-                        `SELECT COUNT(*) as count FROM ${tableConfig.table} WHERE ${tableConfig.column} = ?`,
-                        [this.sourceUserId]
+                        `SELECT COUNT(*) as count FROM \`${tableConfig.table}\` WHERE ${owner.sql}`,
+                        owner.params
                     );
                     
                     const count = countResult[0].count;
-                    recordCounts[tableConfig.table] = {
+                    recordCounts[targetKey] = {
                         count: count,
+                        table: tableConfig.table,
                         column: tableConfig.column
                     };
                     
                     totalRecords += count;
                     
                     if (count > 0) {
-                        console.log(chalk.yellow(`  ${tableConfig.table}: ${count} registros (coluna: ${tableConfig.column})`));
+                        console.log(chalk.yellow(`  ${targetKey}: ${count} registros`));
                     } else {
-                        console.log(chalk.gray(`  ${tableConfig.table}: 0 registros (coluna: ${tableConfig.column})`));
+                        console.log(chalk.gray(`  ${targetKey}: 0 registros`));
                     }
                 } catch (err) {
-                    console.log(chalk.red(`  ${tableConfig.table}: Erro ao contar - ${err.message}`));
-                    recordCounts[tableConfig.table] = { count: 0, error: err.message, column: tableConfig.column };
+                    console.log(chalk.red(`  ${targetKey}: Erro ao contar - ${err.message}`));
+                    recordCounts[targetKey] = { count: 0, error: err.message, table: tableConfig.table, column: tableConfig.column };
                 }
             }
             
@@ -184,6 +217,417 @@ class DatabaseAnalyzer {
         }
     }
 
+    /**
+     * Detecta os índices únicos que envolvem a coluna de usuário de cada tabela,
+     * onde a migração pode gerar conflitos de chave duplicada
+     */
+    async analyzeUniqueKeys() {
+        try {
+            console.log(chalk.blue('🔑 Verificando índices únicos nas colunas de usuário...'));
+
+            const uniqueKeys = {};
+            for (const tableConfig of this.migrationTargets) {
+                const keys = await getUniqueKeysForColumn(this.pool, tableConfig.table, tableConfig.column);
+                // No modo merge a linha origem é combinada com a do destino, sem conflito
+                const strategy = tableConfig.mode === 'merge' ? 'merge' : getConflictStrategy(tableConfig);
+
+                uniqueKeys[tableConfig.key] = {
+                    column: tableConfig.column,
+                    uniqueKeys: keys,
+                    onConflict: strategy
+                };
+
+                if (keys.length > 0) {
+                    const description = keys.map(k => `${k.index}(${k.columns.join(', ')})`).join('; ');
+                    console.log(chalk.yellow(`  ${tableConfig.key}: ${description} - estratégia: ${strategy}`));
+                } else {
+                    console.log(chalk.gray(`  ${tableConfig.key}: nenhum índice único com ${tableConfig.column}`));
+                }
+            }
+
+            return uniqueKeys;
+        } catch (error) {
+            console.error(chalk.red('❌ Erro ao verificar índices únicos:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Verifica (SHOW INDEX) se cada coluna de usuário é a primeira coluna de algum índice;
+     * sem índice, cada contagem e UPDATE da migração varre a tabela inteira
+     */
+    async analyzeIndexes() {
+        try {
+            console.log(chalk.blue('📇 Verificando índices das colunas de usuário...'));
+
+            const columnIndexes = {};
+            for (const tableConfig of this.migrationTargets) {
+                const indexes = await getLeadingIndexes(this.pool, tableConfig.table, tableConfig.column);
+
+                columnIndexes[tableConfig.key] = {
+                    table: tableConfig.table,
+                    column: tableConfig.column,
+                    indexed: indexes.length > 0,
+                    indexes
+                };
+
+                if (indexes.length > 0) {
+                    console.log(chalk.gray(`  ${tableConfig.key}: ${indexes.join(', ')}`));
+                } else {
+                    console.log(chalk.yellow(`  ⚠️  ${tableConfig.key}: sem índice; contagens e UPDATE da migração varrem a tabela inteira (use --temp-index)`));
+                }
+            }
+
+            return columnIndexes;
+        } catch (error) {
+            console.error(chalk.red('❌ Erro ao verificar índices:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Lista, por tabela de migração, os triggers e as colunas ON UPDATE CURRENT_TIMESTAMP,
+     * que o UPDATE da migração dispara e atualiza (exceto com preserveTimestamps)
+     */
+    async analyzeUpdateSideEffects() {
+        try {
+            console.log(chalk.blue('⏱️  Verificando triggers e colunas de atualização automática...'));
+
+            const sideEffects = {};
+            for (const tableConfig of this.migrationTargets) {
+                const { table: tableName } = tableConfig;
+                if (sideEffects[tableName]) {
+                    continue;
+                }
+
+                const userColumns = this.migrationTargets.filter(t => t.table === tableName).map(t => t.column);
+                const triggers = await getTableTriggers(this.pool, tableName);
+                const autoUpdateColumns = (await getAutoUpdateColumns(this.pool, tableName))
+                    .filter(col => !userColumns.includes(col));
+                const preserveTimestamps = Boolean(tableConfig.preserveTimestamps);
+
+                sideEffects[tableName] = {
+                    triggers: triggers.map(trigger => ({ ...trigger, firesOnMigration: trigger.event === 'UPDATE' })),
+                    autoUpdateColumns,
+                    preserveTimestamps
+                };
+
+                for (const trigger of triggers.filter(t => t.event === 'UPDATE')) {
+                    console.log(chalk.yellow(`  ⚠️  ${tableName}: o trigger ${trigger.name} (${trigger.timing} UPDATE) será disparado em cada linha migrada`));
+                }
+                if (autoUpdateColumns.length > 0) {
+                    console.log(preserveTimestamps
+                        ? chalk.gray(`  ${tableName}: ${autoUpdateColumns.join(', ')} mantidos com o valor original (preserveTimestamps)`)
+                        : chalk.yellow(`  ⚠️  ${tableName}: ${autoUpdateColumns.join(', ')} (ON UPDATE CURRENT_TIMESTAMP) será atualizado pela migração; use preserveTimestamps para manter`));
+                }
+                if (triggers.length === 0 && autoUpdateColumns.length === 0) {
+                    console.log(chalk.gray(`  ${tableName}: sem triggers nem colunas de atualização automática`));
+                }
+            }
+
+            return sideEffects;
+        } catch (error) {
+            console.error(chalk.red('❌ Erro ao verificar triggers e timestamps:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Relatório de impacto da migração, por alvo: contagens atuais e projetadas, linhas de exemplo,
+     * colisões de chave única previstas, plano do UPDATE (EXPLAIN) e triggers que serão disparados,
+     * com a classificação de risco geral
+     */
+    async analyzeImpact(recordCounts, userInfo = null) {
+        try {
+            console.log(chalk.blue('🎯 Avaliando o impacto da migração...'));
+
+            const tables = {};
+            const reasons = [];
+            const addRisk = (target, level, reason) => reasons.push({ target, level, reason });
+
+            if (userInfo && (!userInfo.sourceUser || !userInfo.targetUser)) {
+                addRisk(null, 'high', 'Usuário origem ou destino não encontrado');
+            }
+
+            for (const tableConfig of this.migrationTargets) {
+                const { table: tableName, column: userIdColumn, key: targetKey } = tableConfig;
+                const sourceOwner = buildOwnerPredicate(tableConfig, this.sourceUserId);
+                const targetOwner = buildOwnerPredicate(tableConfig, this.targetUserId);
+                const strategy = tableConfig.mode === 'merge' ? 'merge' : getConflictStrategy(tableConfig);
+
+                try {
+                    const sourceCount = recordCounts[targetKey] ? recordCounts[targetKey].count : 0;
+                    const [[{ count: targetCount }]] = await this.pool.execute(
+                        `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE ${targetOwner.sql}`,
+                        targetOwner.params
+                    );
+
+                    // Exemplos apenas com a chave primária e as colunas de usuário
+                    const keyColumns = await getPrimaryKeyColumns(this.pool, tableName);
+                    const sampleColumns = [...new Set([
+                        ...keyColumns,
+                        userIdColumn,
+                        ...(tableConfig.discriminator ? [tableConfig.discriminator.column] : [])
+                    ])];
+                    const [sampleRows] = await this.pool.execute(
+                        `SELECT ${sampleColumns.map(col => `\`${col}\``).join(', ')} FROM \`${tableName}\` WHERE ${sourceOwner.sql} LIMIT ${IMPACT_SAMPLE_SIZE}`,
+                        sourceOwner.params
+                    );
+
+                    // No modo merge a linha é combinada, sem colisão de chave única
+                    let conflicts = [];
+                    if (strategy !== 'merge' && sourceCount > 0 && targetCount > 0) {
+                        conflicts = await findUniqueKeyConflicts(this.pool, tableConfig, keyColumns, this.sourceUserId, this.targetUserId);
+                    }
+
+                    // EXPLAIN não executa o UPDATE; o plano indica se a coluna de usuário usa um índice
+                    const [plan] = await this.pool.query(
+                        `EXPLAIN UPDATE \`${tableName}\` SET \`${userIdColumn}\` = ? WHERE ${sourceOwner.sql}`,
+                        [this.targetUserId, ...sourceOwner.params]
+                    );
+                    const step = plan.find(row => row.table === tableName) || plan[0] || {};
+                    const explain = {
+                        type: step.type || null,
+                        possibleKeys: step.possible_keys || null,
+                        key: step.key || null,
+                        rowsExamined: step.rows !== undefined && step.rows !== null ? Number(step.rows) : null
+                    };
+
+                    const removesRows = (DELETING_STRATEGIES.includes(strategy) && conflicts.length > 0) ||
+                        (strategy === 'merge' && sourceCount > 0 && targetCount > 0);
+                    const events = sourceCount > 0 ? ['UPDATE', ...(removesRows ? ['DELETE'] : [])] : [];
+                    const triggers = (await getTableTriggers(this.pool, tableName))
+                        .filter(trigger => events.includes(trigger.event));
+                    const autoUpdateColumns = (await getAutoUpdateColumns(this.pool, tableName))
+                        .filter(col => col !== userIdColumn);
+
+                    tables[targetKey] = {
+                        table: tableName,
+                        column: userIdColumn,
+                        strategy,
+                        sourceCount,
+                        targetCount,
+                        projected: projectCounts(strategy, sourceCount, targetCount, conflicts.length),
+                        sampleRows,
+                        collisions: {
+                            count: conflicts.length,
+                            sample: conflicts.slice(0, IMPACT_SAMPLE_SIZE).map(({ index, sourceKey, targetKey: key }) => ({ index, sourceKey, targetKey: key }))
+                        },
+                        indexed: explain.key !== null,
+                        explain,
+                        triggers,
+                        autoUpdateColumns,
+                        preserveTimestamps: Boolean(tableConfig.preserveTimestamps)
+                    };
+
+                    if (strategy === 'abort' && conflicts.length > 0) {
+                        addRisk(targetKey, 'high', `${conflicts.length} colisões de chave única com a estratégia abort: a migração será cancelada`);
+                    } else if (conflicts.length > 0) {
+                        addRisk(targetKey, 'medium', strategy === 'skip'
+                            ? `${conflicts.length} linhas ficarão no usuário origem por colisão de chave única`
+                            : `${conflicts.length} linhas serão removidas pela estratégia ${strategy}`);
+                    }
+                    if (strategy === 'merge' && (sourceCount > 1 || targetCount > 1)) {
+                        addRisk(targetKey, 'high', 'O modo merge espera no máximo uma linha por usuário: a migração será cancelada');
+                    }
+                    if (!tables[targetKey].indexed && sourceCount > 0) {
+                        const large = explain.rowsExamined !== null && explain.rowsExamined >= LARGE_SCAN_ROWS;
+                        addRisk(targetKey, large ? 'high' : 'medium', `${userIdColumn} sem índice: o UPDATE examina ~${explain.rowsExamined} linhas`);
+                    }
+                    if (autoUpdateColumns.length > 0 && !tableConfig.preserveTimestamps && sourceCount > 0) {
+                        addRisk(targetKey, 'medium', `${autoUpdateColumns.join(', ')} será atualizado em cada linha migrada (sem preserveTimestamps)`);
+                    }
+                    if (triggers.length > 0) {
+                        addRisk(targetKey, 'medium', `Triggers disparados: ${triggers.map(t => `${t.name} (${t.timing} ${t.event})`).join(', ')}`);
+                    }
+
+                    const projection = tables[targetKey].projected
+                        ? `destino ${targetCount} → ${tables[targetKey].projected.target}`
+                        : 'migração cancelada';
+                    const color = sourceCount > 0 ? chalk.yellow : chalk.gray;
+                    console.log(color(`  ${targetKey}: origem ${sourceCount}, ${projection}, ${conflicts.length} colisões, ` +
+                        `${explain.key ? `índice ${explain.key}` : 'sem índice'} (~${explain.rowsExamined} linhas), ${triggers.length} triggers`));
+
+                } catch (err) {
+                    console.log(chalk.red(`  ${targetKey}: Erro ao avaliar - ${err.message}`));
+                    tables[targetKey] = { table: tableName, column: userIdColumn, strategy, error: err.message };
+                    addRisk(targetKey, 'medium', `Impacto não avaliado: ${err.message}`);
+                }
+            }
+
+            const level = reasons.reduce((max, { level: current }) =>
+                RISK_LEVELS.indexOf(current) > RISK_LEVELS.indexOf(max) ? current : max, 'low');
+            const colorMap = { low: chalk.green, medium: chalk.yellow, high: chalk.red };
+            console.log(colorMap[level](`⚖️  Risco geral: ${level}`));
+            for (const reason of reasons) {
+                console.log(colorMap[reason.level](`  • ${reason.target ? `${reason.target}: ` : ''}${reason.reason}`));
+            }
+
+            return { tables, risk: { level, reasons } };
+        } catch (error) {
+            console.error(chalk.red('❌ Erro na avaliação de impacto:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Descobre as chaves estrangeiras que referenciam a tabela de usuários
+     */
+    async discoverForeignKeys() {
+        const [rows] = await this.pool.execute(`
+            SELECT k.TABLE_NAME, k.COLUMN_NAME, k.CONSTRAINT_NAME,
+                   r.UPDATE_RULE, r.DELETE_RULE
+            FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+            JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+              ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+             AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+             AND r.TABLE_NAME = k.TABLE_NAME
+            WHERE k.TABLE_SCHEMA = ?
+              AND k.REFERENCED_TABLE_NAME = ?
+              AND k.REFERENCED_COLUMN_NAME = ?
+            ORDER BY k.TABLE_NAME, k.COLUMN_NAME
+        `, [this.config.connection.database, this.userTable, this.userPrimaryKey]);
+
+        return rows.map(row => ({
+            table: row.TABLE_NAME,
+            column: row.COLUMN_NAME,
+            source: 'foreign_key',
+            confidence: 1,
+            constraint: row.CONSTRAINT_NAME,
+            onUpdate: row.UPDATE_RULE,
+            onDelete: row.DELETE_RULE
+        }));
+    }
+
+    /**
+     * Descobre colunas candidatas pelo nome (sem chave estrangeira declarada)
+     */
+    async discoverNameCandidates() {
+        const [columns] = await this.pool.execute(`
+            SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = ?
+              AND TABLE_NAME <> ?
+              AND DATA_TYPE IN ('tinyint', 'smallint', 'mediumint', 'int', 'bigint')
+            ORDER BY TABLE_NAME, ORDINAL_POSITION
+        `, [this.config.connection.database, this.userTable]);
+
+        const candidates = [];
+        for (const col of columns) {
+            const columnName = col.COLUMN_NAME.toLowerCase();
+            const match = USER_COLUMN_CANDIDATES.find(c =>
+                (c.name && columnName === c.name) ||
+                (c.suffix && columnName.endsWith(c.suffix))
+            );
+
+            if (match) {
+                candidates.push({
+                    table: col.TABLE_NAME,
+                    column: col.COLUMN_NAME,
+                    source: 'name',
+                    confidence: match.confidence
+                });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Encontra todas as colunas que referenciam a tabela de usuários,
+     * combinando chaves estrangeiras e candidatos por nome
+     */
+    async findTablesWithUserId() {
+        try {
+            console.log(chalk.blue(`🔎 Descobrindo colunas que referenciam ${this.userTable}.${this.userPrimaryKey}...`));
+
+            const foreignKeys = await this.discoverForeignKeys();
+            const nameCandidates = await this.discoverNameCandidates();
+
+            const tableMap = {};
+            for (const ref of [...foreignKeys, ...nameCandidates]) {
+                if (!tableMap[ref.table]) {
+                    tableMap[ref.table] = { table: ref.table, columns: [] };
+                }
+
+                const existing = tableMap[ref.table].columns.find(c => c.column === ref.column);
+                if (existing) {
+                    // Chave estrangeira prevalece sobre o candidato por nome
+                    continue;
+                }
+
+                tableMap[ref.table].columns.push(ref);
+            }
+
+            for (const entry of Object.values(tableMap)) {
+                for (const col of entry.columns) {
+                    const origin = col.source === 'foreign_key' ? `FK ${col.constraint}` : 'nome';
+                    const color = col.confidence >= 0.8 ? chalk.green : chalk.yellow;
+                    console.log(color(`  ${entry.table}.${col.column} (${origin}, confiança ${col.confidence})`));
+                }
+            }
+
+            console.log(chalk.blue(`📈 Tabelas encontradas: ${Object.keys(tableMap).length}`));
+            return tableMap;
+
+        } catch (error) {
+            console.error(chalk.red('❌ Erro na descoberta de tabelas:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Gera a lista de tabelas proposta para migração a partir da descoberta
+     */
+    async proposeMigrationTables(minConfidence = 0.5) {
+        const tableMap = await this.findTablesWithUserId();
+
+        const proposal = [];
+        for (const entry of Object.values(tableMap)) {
+            for (const col of entry.columns) {
+                if (col.confidence < minConfidence) {
+                    continue;
+                }
+                proposal.push({
+                    table: entry.table,
+                    column: col.column,
+                    source: col.source,
+                    confidence: col.confidence,
+                    configured: this.migrationTargets.some(t => t.table === entry.table && t.column === col.column)
+                });
+            }
+        }
+
+        return proposal;
+    }
+
+    /**
+     * Executa a descoberta e grava a proposta para revisão
+     * (ou diretamente como configuração, quando save = true)
+     */
+    async runDiscovery(save = false) {
+        try {
+            console.log(chalk.blue.bold('\n🔎 DESCOBERTA DE TABELAS DE USUÁRIO\n'));
+
+            const proposal = await this.proposeMigrationTables();
+            const file = save
+                ? saveMigrationTables(proposal)
+                : saveMigrationTables(proposal, './migration-tables.proposed.json');
+
+            const newTables = proposal.filter(p => !p.configured);
+            console.log(chalk.green.bold('\n📋 PROPOSTA DE TABELAS:'));
+            console.log(chalk.white(`  • Colunas propostas: ${proposal.length}`));
+            console.log(chalk.white(`  • Ainda não configuradas: ${newTables.length}`));
+            console.log(chalk.white(`  • ${save ? 'Configuração salva' : 'Proposta salva para revisão'} em: ${file}`));
+
+            return { proposal, file };
+        } finally {
+            if (this.ownsPool) {
+                await this.pool.end();
+            }
+        }
+    }
+
     /**
      * Gera relatório completo da análise
      */
@@ -194,21 +638,34 @@ class DatabaseAnalyzer {
             const tableValidation = await this.validateMigrationTables();
             const userInfo = await this.checkUsersExist();
             const recordCounts = await this.countRecordsByTable();
+            const uniqueKeys = await this.analyzeUniqueKeys();
+            const columnIndexes = await this.analyzeIndexes();
+            const updateSideEffects = await this.analyzeUpdateSideEffects();
+            const impact = await this.analyzeImpact(recordCounts, userInfo);
 
             const report = {
                 timestamp: new Date().toISOString(),
-                database: process.env.DB_NAME,
+                profile: this.config.profile,
+                database: this.config.connection.database,
                 sourceUserId: this.sourceUserId,
                 targetUserId: this.targetUserId,
                 migrationTables: this.migrationTables,
                 tableValidation,
                 userInfo,
                 recordCounts,
+                uniqueKeys,
+                columnIndexes,
+                updateSideEffects,
+                impact,
                 summary: {
-                    totalTables: this.migrationTables.length,
+                    totalTables: this.migrationTargets.length,
                     validTables: Object.values(tableValidation).filter(t => t.valid).length,
                     tablesWithData: Object.values(recordCounts).filter(r => r.count > 0).length,
-                    totalRecords: Object.values(recordCounts).reduce((sum, r) => sum + (r.count || 0), 0)
+                    unindexedColumns: Object.keys(columnIndexes).filter(key => !columnIndexes[key].indexed),
+                    updateTriggers: Object.entries(updateSideEffects)
+                        .flatMap(([table, effects]) => effects.triggers.filter(t => t.firesOnMigration).map(t => `${table}.${t.name}`)),
+                    totalRecords: Object.values(recordCounts).reduce((sum, r) => sum + (r.count || 0), 0),
+                    risk: impact.risk.level
                 }
             };
 
@@ -223,6 +680,9 @@ class DatabaseAnalyzer {
             console.log(chalk.white(`  • Tabelas válidas: ${report.summary.validTables}`));
             console.log(chalk.white(`  • Tabelas com dados do usuário ${this.sourceUserId}: ${report.summary.tablesWithData}`));
             console.log(chalk.white(`  • Total de registros a migrar: ${report.summary.totalRecords}`));
+            console.log(chalk.white(`  • Colunas de usuário sem índice: ${report.summary.unindexedColumns.length > 0 ? report.summary.unindexedColumns.join(', ') : 'nenhuma'}`));
+            console.log(chalk.white(`  • Triggers disparados pelo UPDATE: ${report.summary.updateTriggers.length > 0 ? report.summary.updateTriggers.join(', ') : 'nenhum'}`));
+            console.log(chalk.white(`  • Risco geral: ${report.summary.risk}`));
             console.log(chalk.white(`  • Relatório salvo em: database-analysis-report.json`));
 
             return report;
@@ -230,7 +690,9 @@ class DatabaseAnalyzer {
             console.error(chalk.red('❌ Erro na análise:'), error.message);
             throw error;
         } finally {
-            await this.pool.end();
+            if (this.ownsPool) {
+                await this.pool.end();
+            }
         }
     }
 }
@@ -238,7 +700,11 @@ class DatabaseAnalyzer {
 // Executar análise se chamado diretamente
 if (require.main === module) {
     const analyzer = new DatabaseAnalyzer();
-    analyzer.generateReport()
+    const task = process.argv.includes('--discover')
+        ? analyzer.runDiscovery(process.argv.includes('--save'))
+        : analyzer.generateReport();
+
+    task
         .then(() => {
             console.log(chalk.green.bold('\n✅ Análise concluída com sucesso!'));
             process.exit(0);
@@ -0,0 +1,280 @@
+const { createPool } = require('./config/database');
+const UserMigrator = require('./migrate');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { getConfig } = require('./config/profiles');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Indica se o valor do mapeamento é um ID de usuário: apenas dígitos, maior que zero
+ */
+const isUserId = (value) => /^\d+$/.test(String(value).trim()) && Number(value) > 0;
+
+/**
+ * Classe para migrar vários pares origem → destino a partir de um arquivo de mapeamento
+ */
+class BatchMigrator {
+    constructor(mappingFile, options = {}) {
+        this.pool = createPool();
+        this.mappingFile = mappingFile;
+        this.resolveChains = options.resolveChains || false;
+        this.stopOnError = options.stopOnError || false;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        // Opções repassadas a cada UserMigrator do lote
+        this.migratorOptions = options.migratorOptions || {};
+        this.batchLog = [];
+    }
+
+    /**
+     * Adiciona entrada ao log do lote
+     */
+    log(level, message, data = null) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data
+        };
+        this.batchLog.push(logEntry);
+
+        const colorMap = {
+            info: chalk.blue,
+            success: chalk.green,
+            warning: chalk.yellow,
+            error: chalk.red
+        };
+
+        console.log(colorMap[level] || chalk.white, `[${level.toUpperCase()}] ${message}`);
+        if (data) {
+            console.log(chalk.gray('  Data:'), data);
+        }
+    }
+
+    /**
+     * Lê o arquivo de mapeamento (CSV "origem,destino" ou JSON)
+     */
+    loadMappings() {
+        if (!this.mappingFile || !fs.existsSync(this.mappingFile)) {
+            throw createError(ERROR_CODES.VALIDATION, `Arquivo de mapeamento não encontrado: ${this.mappingFile}`);
+        }
+
+        const content = fs.readFileSync(this.mappingFile, 'utf8');
+        let rawPairs;
+
+        if (path.extname(this.mappingFile).toLowerCase() === '.json') {
+            const data = JSON.parse(content);
+            // Aceita [{ source, target }] ou { "origem": destino }
+            rawPairs = Array.isArray(data)
+                ? data.map((entry, i) => ({ line: i + 1, source: entry.source, target: entry.target }))
+                : Object.entries(data).map(([source, target], i) => ({ line: i + 1, source, target }));
+        } else {
+            rawPairs = content.split(/\r?\n/)
+                .map((text, i) => ({ line: i + 1, text: text.trim() }))
+                .filter(({ text }) => text && !text.startsWith('#'))
+                .map(({ line, text }) => {
+                    const [source, target] = text.split(/[,;\t]/).map(v => v.trim());
+                    return { line, source, target };
+                })
+                // Ignora o cabeçalho, se houver
+                .filter((pair, i) => !(i === 0 && !isUserId(pair.source)));
+        }
+
+        return rawPairs.map(({ line, source, target }) => {
+            // IDs só com dígitos: "12abc" e "1.9" são rejeitados em vez de truncados
+            if (!isUserId(source) || !isUserId(target)) {
+                throw createError(ERROR_CODES.VALIDATION, `Mapeamento inválido na entrada ${line}: "${source}" → "${target}" (use IDs inteiros positivos)`);
+            }
+            const sourceUserId = Number(source);
+            const targetUserId = Number(target);
+
+            if (sourceUserId === targetUserId) {
+                throw createError(ERROR_CODES.VALIDATION, `Mapeamento inválido na entrada ${line}: origem e destino iguais (${sourceUserId})`);
+            }
+
+            return { sourceUserId, targetUserId };
+        });
+    }
+
+    /**
+     * Valida a estrutura dos pares: origens duplicadas, ciclos e cadeias (A→B e B→C).
+     * Cadeias são resolvidas para o destino final quando resolveChains está ativo.
+     */
+    validateMappings(pairs) {
+        const targetBySource = new Map();
+        for (const { sourceUserId, targetUserId } of pairs) {
+            const existing = targetBySource.get(sourceUserId);
+            if (existing !== undefined && existing !== targetUserId) {
+                throw createError(ERROR_CODES.VALIDATION, `Usuário ${sourceUserId} mapeado para destinos diferentes (${existing} e ${targetUserId})`);
+            }
+            targetBySource.set(sourceUserId, targetUserId);
+        }
+
+        const chains = [];
+        const resolved = [];
+
+        for (const [sourceUserId, targetUserId] of targetBySource) {
+            const visited = [sourceUserId];
+            let finalTarget = targetUserId;
+
+            while (targetBySource.has(finalTarget)) {
+                if (visited.includes(finalTarget)) {
+                    throw createError(ERROR_CODES.VALIDATION, `Ciclo no mapeamento: ${[...visited, finalTarget].join(' → ')}`);
+                }
+                visited.push(finalTarget);
+                finalTarget = targetBySource.get(finalTarget);
+            }
+
+            if (finalTarget !== targetUserId) {
+                chains.push([...visited, finalTarget].join(' → '));
+            }
+
+            resolved.push({ sourceUserId, targetUserId: finalTarget });
+        }
+
+        if (chains.length > 0) {
+            if (!this.resolveChains) {
+                throw createError(ERROR_CODES.VALIDATION, `Cadeias no mapeamento (use --resolve-chains para migrar direto ao destino final): ${chains.join('; ')}`);
+            }
+            this.log('warning', `${chains.length} cadeias resolvidas para o destino final`, chains);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Confirma que todos os usuários de origem e destino existem
+     */
+    async validateUsersExist(pairs) {
+        const ids = [...new Set(pairs.flatMap(p => [p.sourceUserId, p.targetUserId]))];
+        const { name: userTable, primaryKey } = getConfig().userTable;
+        const [rows] = await this.pool.query(
+            `SELECT \`${primaryKey}\` AS id FROM \`${userTable}\` WHERE \`${primaryKey}\` IN (?)`,
+            [ids]
+        );
+
+        const found = new Set(rows.map(row => Number(row.id)));
+        const missing = ids.filter(id => !found.has(id));
+
+        if (missing.length > 0) {
+            throw createError(ERROR_CODES.VALIDATION, `Usuários não encontrados: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Salva o relatório consolidado do lote
+     */
+    saveBatchReport(results) {
+        const reportFile = `batch-migration-report-${Date.now()}.json`;
+        fs.writeFileSync(reportFile, JSON.stringify({
+            mappingFile: this.mappingFile,
+            dryRun: this.dryRun,
+            timestamp: new Date().toISOString(),
+            summary: {
+                totalPairs: results.length,
+                succeeded: results.filter(r => r.status === 'success').length,
+                partial: results.filter(r => r.status === 'partial').length,
+                failed: results.filter(r => r.status === 'failed').length,
+                notRun: results.filter(r => r.status === 'not-run').length,
+                totalMigrated: results.reduce((sum, r) => sum + (r.totalMigrated || 0), 0)
+            },
+            results,
+            log: this.batchLog
+        }, null, 2));
+        this.log('info', `Relatório do lote salvo em: ${reportFile}`);
+        return reportFile;
+    }
+
+    /**
+     * Executa a migração de todos os pares, em sequência
+     */
+    async run() {
+        try {
+            console.log(chalk.blue.bold(`🚀 INICIANDO MIGRAÇÃO EM LOTE ${this.dryRun ? '(DRY RUN)' : ''}\n`));
+
+            const pairs = this.validateMappings(this.loadMappings());
+            await this.validateUsersExist(pairs);
+            this.log('success', `${pairs.length} pares validados a partir de ${this.mappingFile}`);
+
+            const results = pairs.map(pair => ({ ...pair, status: 'not-run' }));
+
+            for (const [index, result] of results.entries()) {
+                console.log(chalk.blue.bold(`\n📦 Par ${index + 1}/${results.length}: ${result.sourceUserId} → ${result.targetUserId}\n`));
+
+                try {
+                    const migrator = new UserMigrator({
+                        ...this.migratorOptions,
+                        dryRun: this.dryRun,
+                        pool: this.pool,
+                        sourceUserId: result.sourceUserId,
+                        targetUserId: result.targetUserId
+                    });
+                    const outcome = await migrator.run();
+
+                    result.status = outcome.migration.partial ? 'partial' : 'success';
+                    result.totalMigrated = outcome.migration.totalMigrated;
+                    result.tableStatus = outcome.migration.tableStatus;
+                    result.logFile = outcome.logFile;
+                } catch (error) {
+                    result.status = 'failed';
+                    result.error = error.message;
+                    this.log('error', `Par ${result.sourceUserId} → ${result.targetUserId} falhou`, error.message);
+
+                    if (this.stopOnError) {
+                        this.log('warning', 'Lote interrompido (--stop-on-error)');
+                        break;
+                    }
+                }
+            }
+
+            const reportFile = this.saveBatchReport(results);
+            const failed = results.filter(r => r.status === 'failed').length;
+
+            console.log(chalk.white.bold('\n📋 RESUMO DO LOTE:'));
+            for (const r of results) {
+                const color = { success: chalk.green, partial: chalk.yellow, failed: chalk.red }[r.status] || chalk.gray;
+                console.log(color(`  ${r.sourceUserId} → ${r.targetUserId}: ${r.status}${r.totalMigrated !== undefined ? ` (${r.totalMigrated} registros)` : ''}`));
+            }
+            console.log(chalk.white(`📋 Relatório salvo em: ${reportFile}`));
+
+            if (failed > 0) {
+                // O resumo por par é devolvido mesmo com falhas; quem chama decide o código de saída
+                this.log('warning', `${failed} de ${results.length} pares falharam`);
+            }
+
+            return { results, reportFile, failed };
+
+        } catch (error) {
+            this.log('error', 'Falha na migração em lote', error.message);
+            throw error;
+        } finally {
+            await this.pool.end();
+        }
+    }
+}
+
+// Executar lote se chamado diretamente
+if (require.main === module) {
+    const mappingFile = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const batch = new BatchMigrator(mappingFile, {
+        resolveChains: process.argv.includes('--resolve-chains'),
+        stopOnError: process.argv.includes('--stop-on-error')
+    });
+
+    batch.run()
+        .then(({ failed }) => {
+            if (failed > 0) {
+                console.log(chalk.yellow.bold(`\n⚠️  Processo finalizado com ${failed} pares falhos`));
+                process.exit(1);
+            }
+            console.log(chalk.green.bold('\n🎉 Processo finalizado!'));
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error(chalk.red.bold('\n💥 Falha no processo:'), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = BatchMigrator;
@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+
+const { getMigrationTables } = require('./config/tables');
+const { getConfig, setProfile, REMOVAL_MODES } = require('./config/profiles');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { EXPORT_FORMATS } = require('./config/compression');
+const chalk = require('chalk');
+require('dotenv').config();
+
+/**
+ * Exit codes da interface não interativa
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    VALIDATION: 2,
+    CONFLICT: 3,
+    PARTIAL: 4
+};
+
+/**
+ * Opções aceitas: booleanas ou com valor
+ */
+const OPTIONS = {
+    profile: { value: true, description: 'Perfil de user-migration.config.json (padrão: MIGRATION_PROFILE ou defaultProfile)' },
+    source: { value: true, description: 'ID do usuário origem (padrão: users.source do perfil)' },
+    target: { value: true, description: 'ID do usuário destino (padrão: users.target do perfil)' },
+    tables: { value: true, description: 'Lista de tabelas configuradas a considerar, separadas por vírgula' },
+    'dry-run': { description: 'Simula a operação sem alterar o banco' },
+    yes: { alias: 'y', description: 'Confirma operações que alteram dados, sem perguntar' },
+    json: { description: 'Escreve o resultado em JSON no stdout (logs vão para o stderr)' },
+    map: { value: true, description: 'Arquivo CSV/JSON com pares origem,destino (migração em lote)' },
+    'resolve-chains': { description: 'Resolve cadeias A→B→C do mapeamento para o destino final' },
+    'stop-on-error': { description: 'Interrompe o lote no primeiro par com falha' },
+    resume: { value: true, description: 'Retoma a execução interrompida com o runId informado' },
+    'best-effort': { description: 'Em caso de falha, reverte apenas a tabela afetada' },
+    chunked: { description: 'Atualiza em lotes pela chave primária' },
+    'chunk-size': { value: true, description: 'Registros por lote no modo --chunked' },
+    snapshot: { description: 'Exporta as linhas dos dois usuários antes de migrar (MIGRATION_SNAPSHOT)' },
+    'temp-index': { description: 'Cria um índice temporário (DDL online) nas colunas de usuário sem índice e o remove ao final (MIGRATION_TEMP_INDEX)' },
+    'no-fingerprint': { description: 'Não compara as impressões digitais das linhas antes e depois da migração (MIGRATION_FINGERPRINT=false)' },
+    discover: { description: 'Descobre as colunas que referenciam o usuário' },
+    save: { description: 'Com --discover, grava a proposta como configuração' },
+    'no-compress': { description: 'Não comprime o dump' },
+    compression: { value: true, description: 'Formato de compressão do dump: gzip, brotli ou zstd (padrão: DUMP_COMPRESSION ou gzip)' },
+    format: { value: true, description: `Formato do export: ${Object.keys(EXPORT_FORMATS).join(', ')} (padrão: sql)` },
+    'migration-tables': { description: 'No export CSV/NDJSON, exporta apenas as tabelas de migração' },
+    'allow-cascade': { description: 'Permite remover o usuário mesmo que linhas sejam apagadas em cascata' },
+    'removal-mode': { value: true, description: `Modo de remoção: ${REMOVAL_MODES.join(', ')} (padrão: removal.mode do perfil)` },
+    strict: { description: 'Cancela o desfazer/restauração se alguma linha mudou ou conflita' },
+    database: { value: true, description: 'Banco de destino da importação do dump (criado se não existir) ou banco de rascunho do verify-dump' },
+    'continue-on-error': { description: 'Na importação do dump, registra as instruções com erro e continua' },
+    help: { alias: 'h', description: 'Mostra esta ajuda' }
+};
+
+/**
+ * Subcomandos, com as opções e argumentos que cada um aceita
+ * (--profile e --help valem para todos)
+ */
+const COMMANDS = {
+    analyze: {
+        description: 'Analisa as tabelas configuradas e os usuários',
+        options: ['source', 'target', 'tables', 'discover', 'save', 'json']
+    },
+    migrate: {
+        description: 'Migra os dados do usuário origem para o destino',
+        options: ['source', 'target', 'tables', 'dry-run', 'yes', 'json', 'map', 'resolve-chains',
+            'stop-on-error', 'resume', 'best-effort', 'chunked', 'chunk-size', 'snapshot', 'no-fingerprint', 'temp-index']
+    },
+    verify: {
+        description: 'Verifica se restam registros do usuário origem',
+        options: ['source', 'target', 'tables', 'json']
+    },
+    remove: {
+        description: 'Remove o usuário origem após a migração',
+        options: ['source', 'tables', 'dry-run', 'yes', 'json', 'removal-mode', 'allow-cascade']
+    },
+    export: {
+        description: 'Exporta o dump do banco (com --source/--target, apenas as linhas dos dois usuários)',
+        options: ['source', 'target', 'tables', 'no-compress', 'compression', 'format', 'migration-tables', 'json']
+    },
+    undo: {
+        description: 'Desfaz uma migração a partir do seu log',
+        usage: '<migration-log.json>',
+        positional: 'logFile',
+        options: ['dry-run', 'yes', 'json', 'strict']
+    },
+    restore: {
+        description: 'Restaura o backup de um usuário removido ou importa um dump .sql/.sql.gz',
+        usage: '<user-backup.json | dump.sql[.gz]>',
+        positional: 'backupFile',
+        options: ['dry-run', 'yes', 'json', 'strict', 'database', 'continue-on-error']
+    },
+    'verify-dump': {
+        description: 'Confere o dump com o manifesto; com --database, carrega e compara as tabelas',
+        usage: '<dump>',
+        positional: 'dumpFile',
+        options: ['database', 'json']
+    },
+    interactive: {
+        description: 'Abre o menu interativo',
+        options: []
+    }
+};
+
+/**
+ * Converte os argumentos da linha de comando em { command, options, positional }
+ */
+const parseArgs = (argv) => {
+    const hasCommand = argv.length > 0 && !argv[0].startsWith('-');
+    const command = hasCommand ? argv[0] : undefined;
+    const rest = hasCommand ? argv.slice(1) : argv;
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+
+        if (!arg.startsWith('-')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.replace(/^-{1,2}/, '').split(/=(.*)/s);
+        const name = Object.keys(OPTIONS).find(key => key === rawName || OPTIONS[key].alias === rawName);
+
+        if (!name) {
+            throw createError(ERROR_CODES.VALIDATION, `Opção desconhecida: ${arg}`);
+        }
+
+        if (OPTIONS[name].value) {
+            const value = inlineValue !== undefined ? inlineValue : rest[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw createError(ERROR_CODES.VALIDATION, `A opção --${name} requer um valor`);
+            }
+            options[name] = value;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { command, options, positional };
+};
+
+/**
+ * Converte um inteiro positivo (IDs, tamanho de lote) informado na linha de comando
+ */
+const parsePositiveInt = (value, name) => {
+    if (!/^\d+$/.test(String(value)) || parseInt(value) === 0) {
+        throw createError(ERROR_CODES.VALIDATION, `--${name} deve ser um inteiro positivo (recebido "${value}")`);
+    }
+    return parseInt(value);
+};
+
+/**
+ * Backups de usuário são JSON; os demais arquivos do restore são dumps SQL
+ */
+const isUserBackup = (file) => /\.json$/i.test(file);
+
+/**
+ * Valida a combinação de opções e monta as opções das classes de migração
+ */
+const validateOptions = (command, options, positional) => {
+    const spec = COMMANDS[command];
+    if (!spec) {
+        throw createError(ERROR_CODES.VALIDATION, `Comando desconhecido: ${command}`);
+    }
+
+    for (const name of Object.keys(options)) {
+        if (name !== 'help' && name !== 'profile' && !spec.options.includes(name)) {
+            throw createError(ERROR_CODES.VALIDATION, `A opção --${name} não se aplica ao comando ${command}`);
+        }
+    }
+
+    if (spec.positional && positional.length !== 1) {
+        throw createError(ERROR_CODES.VALIDATION, `Uso: user-migration ${command} ${spec.usage}`);
+    }
+    if (!spec.positional && positional.length > 0) {
+        throw createError(ERROR_CODES.VALIDATION, `Argumento inesperado: ${positional[0]}`);
+    }
+
+    if (options.map && (options.source || options.target)) {
+        throw createError(ERROR_CODES.VALIDATION, '--map não pode ser combinado com --source/--target');
+    }
+    if (options.resume && (options.source || options.target || options.map || options.tables || options.chunked)) {
+        throw createError(ERROR_CODES.VALIDATION, '--resume usa o par e a configuração da execução original; não combine com outras opções de seleção');
+    }
+    if (options.resume && options['dry-run']) {
+        throw createError(ERROR_CODES.VALIDATION, '--resume não pode ser usado com --dry-run');
+    }
+    if ((options['resolve-chains'] || options['stop-on-error']) && !options.map) {
+        throw createError(ERROR_CODES.VALIDATION, '--resolve-chains e --stop-on-error exigem --map');
+    }
+    if (options['chunk-size'] && !options.chunked) {
+        throw createError(ERROR_CODES.VALIDATION, '--chunk-size exige --chunked');
+    }
+    if (options['no-compress'] && options.compression) {
+        throw createError(ERROR_CODES.VALIDATION, '--compression não pode ser combinado com --no-compress');
+    }
+    if (options.format && !EXPORT_FORMATS[options.format]) {
+        throw createError(ERROR_CODES.VALIDATION, `--format deve ser ${Object.keys(EXPORT_FORMATS).join(', ')} (recebido "${options.format}")`);
+    }
+    if (command === 'export' && (options.source || options.target) && !(options.source && options.target)) {
+        throw createError(ERROR_CODES.VALIDATION, 'O export por usuários exige --source e --target');
+    }
+    if (command === 'export' && (options.format || 'sql') === 'sql' && options.tables && !options.source) {
+        throw createError(ERROR_CODES.VALIDATION, 'No formato sql, --tables exige --source e --target');
+    }
+    if (options['migration-tables'] && (options.format || 'sql') === 'sql') {
+        throw createError(ERROR_CODES.VALIDATION, '--migration-tables vale apenas para --format csv ou ndjson');
+    }
+    if (command === 'restore' && isUserBackup(positional[0]) && (options.database || options['continue-on-error'])) {
+        throw createError(ERROR_CODES.VALIDATION, '--database e --continue-on-error valem apenas para a importação de dumps');
+    }
+    if (command === 'restore' && !isUserBackup(positional[0]) && options.strict) {
+        throw createError(ERROR_CODES.VALIDATION, '--strict vale apenas para a restauração de backups de usuário');
+    }
+    if (options.save && !options.discover) {
+        throw createError(ERROR_CODES.VALIDATION, '--save exige --discover');
+    }
+
+    const writes = ['migrate', 'remove', 'undo', 'restore'].includes(command);
+    if (writes && !options['dry-run'] && !options.yes) {
+        throw createError(ERROR_CODES.VALIDATION, `O comando ${command} altera dados: confirme com --yes ou simule com --dry-run`);
+    }
+
+    const resolved = {};
+    if (options.source) {
+        resolved.sourceUserId = parsePositiveInt(options.source, 'source');
+    }
+    if (options.target) {
+        resolved.targetUserId = parsePositiveInt(options.target, 'target');
+    }
+    if (resolved.sourceUserId && resolved.targetUserId && resolved.sourceUserId === resolved.targetUserId) {
+        throw createError(ERROR_CODES.VALIDATION, 'IDs de usuário origem e destino não podem ser iguais');
+    }
+
+    if (options.tables) {
+        const requested = options.tables.split(',').map(t => t.trim()).filter(Boolean);
+        const configured = getMigrationTables();
+        const unknown = requested.filter(table => !configured.some(t => t.table === table));
+        if (unknown.length > 0) {
+            throw createError(ERROR_CODES.VALIDATION, `Tabelas fora da configuração: ${unknown.join(', ')}`);
+        }
+        resolved.migrationTables = configured.filter(t => requested.includes(t.table));
+    }
+
+    if (options['dry-run']) {
+        resolved.dryRun = true;
+    }
+    if (options['best-effort']) {
+        resolved.bestEffort = true;
+    }
+    if (options.chunked) {
+        resolved.updateMode = 'chunked';
+    }
+    if (options.snapshot) {
+        resolved.snapshot = true;
+    }
+    if (options['temp-index']) {
+        resolved.temporaryIndex = true;
+    }
+    if (options['no-fingerprint']) {
+        resolved.fingerprint = false;
+    }
+    if (options['chunk-size']) {
+        resolved.chunkSize = parsePositiveInt(options['chunk-size'], 'chunk-size');
+    }
+    if (options['removal-mode']) {
+        if (!REMOVAL_MODES.includes(options['removal-mode'])) {
+            throw createError(ERROR_CODES.VALIDATION, `--removal-mode deve ser ${REMOVAL_MODES.join(', ')} (recebido "${options['removal-mode']}")`);
+        }
+        resolved.removalMode = options['removal-mode'];
+    }
+    if (options['allow-cascade']) {
+        resolved.allowCascade = true;
+    }
+
+    return resolved;
+};
+
+/**
+ * Texto de ajuda
+ */
+const showHelp = () => {
+    const lines = [
+        'Uso: user-migration <comando> [opções]',
+        '',
+        'Comandos:'
+    ];
+    for (const [name, spec] of Object.entries(COMMANDS)) {
+        lines.push(`  ${`${name} ${spec.usage || ''}`.padEnd(34)}${spec.description}`);
+    }
+    lines.push('', 'Opções:');
+    for (const [name, spec] of Object.entries(OPTIONS)) {
+        const flag = `${spec.alias ? `-${spec.alias}, ` : ''}--${name}${spec.value ? ' <valor>' : ''}`;
+        lines.push(`  ${flag.padEnd(34)}${spec.description}`);
+    }
+    lines.push(
+        '',
+        'Exit codes:',
+        `  ${EXIT_CODES.SUCCESS}  sucesso`,
+        `  ${EXIT_CODES.ERROR}  erro inesperado`,
+        `  ${EXIT_CODES.VALIDATION}  falha de validação (opções, usuários, tabelas)`,
+        `  ${EXIT_CODES.CONFLICT}  conflito (chave única, referências restantes, linhas alteradas, impressões digitais ou dump divergentes)`,
+        `  ${EXIT_CODES.PARTIAL}  falha parcial (tabelas ou pares não concluídos)`,
+        '',
+        'Exemplos:',
+        '  user-migration migrate --profile staging --source 12 --target 34 --tables content,media --dry-run',
+        '  user-migration migrate --profile production --map mappings.csv --yes --json',
+        '  user-migration export --profile production --source 12 --target 34',
+        '  user-migration export --format csv --source 12 --target 34 --no-compress',
+        '  user-migration verify-dump meubanco-dump-2024-01-15T10-30-00-000Z.sql.gz --database meubanco_verify',
+        '  user-migration restore meubanco-dump-2024-01-15T10-30-00-000Z.sql.gz --database meubanco_scratch --yes',
+        '  user-migration remove --profile production --source 12 --yes',
+        '  user-migration remove --profile production --source 12 --removal-mode anonymize --dry-run'
+    );
+    console.log(lines.join('\n'));
+};
+
+/**
+ * Executa o subcomando e retorna { result, exitCode }
+ */
+const runCommand = async (command, options, positional, migrationOptions) => {
+    switch (command) {
+        case 'analyze': {
+            const DatabaseAnalyzer = require('./analyze-database');
+            const analyzer = new DatabaseAnalyzer(migrationOptions);
+            const result = options.discover
+                ? await analyzer.runDiscovery(Boolean(options.save))
+                : await analyzer.generateReport();
+            return { result, exitCode: EXIT_CODES.SUCCESS };
+        }
+        case 'migrate': {
+            let migrator;
+            if (options.map) {
+                const BatchMigrator = require('./batch-migrate');
+                const { dryRun, ...migratorOptions } = migrationOptions;
+                migrator = new BatchMigrator(options.map, {
+                    dryRun,
+                    migratorOptions,
+                    resolveChains: Boolean(options['resolve-chains']),
+                    stopOnError: Boolean(options['stop-on-error'])
+                });
+                const result = await migrator.run();
+                const partial = result.failed > 0 || result.results.some(r => r.status === 'partial');
+                return { result, exitCode: partial ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+            }
+
+            const UserMigrator = require('./migrate');
+            migrator = new UserMigrator({ ...migrationOptions, resumeRunId: options.resume });
+            const result = await migrator.run();
+            if (result.fingerprint && !result.fingerprint.valid) {
+                return { result, exitCode: EXIT_CODES.CONFLICT };
+            }
+            return { result, exitCode: result.migration.partial ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+        }
+        case 'verify': {
+            const UserMigrator = require('./migrate');
+            const migrator = new UserMigrator(migrationOptions);
+            try {
+                const result = await migrator.verifyMigration();
+                const remaining = Object.values(result).some(r => r.sourceRemaining > 0);
+                return { result, exitCode: remaining ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+            } finally {
+                await migrator.pool.end();
+            }
+        }
+        case 'remove': {
+            const UserRemover = require('./remove-user');
+            const result = await new UserRemover(migrationOptions).run();
+            if (result.verification && result.verification.success === false) {
+                return { result, exitCode: EXIT_CODES.CONFLICT };
+            }
+            return { result, exitCode: EXIT_CODES.SUCCESS };
+        }
+        case 'export': {
+            const DatabaseExporter = require('./export-database');
+            const compression = options['no-compress'] ? null : options.compression || process.env.DUMP_COMPRESSION || 'gzip';
+            const format = options.format || 'sql';
+            const exporter = new DatabaseExporter();
+            if (format === 'sql' && migrationOptions.sourceUserId) {
+                const result = await exporter.runUserScope(migrationOptions.sourceUserId, migrationOptions.targetUserId, {
+                    migrationTables: migrationOptions.migrationTables,
+                    compression
+                });
+                return { result, exitCode: EXIT_CODES.SUCCESS };
+            }
+            const result = await exporter.run(compression, {
+                format,
+                sourceUserId: migrationOptions.sourceUserId,
+                targetUserId: migrationOptions.targetUserId,
+                migrationTables: migrationOptions.migrationTables || (options['migration-tables'] ? getMigrationTables() : null)
+            });
+            return { result, exitCode: EXIT_CODES.SUCCESS };
+        }
+        case 'undo': {
+            const MigrationUndoer = require('./undo-migration');
+            const undoer = new MigrationUndoer(positional[0], {
+                strict: Boolean(options.strict),
+                dryRun: migrationOptions.dryRun
+            });
+            const result = await undoer.run();
+            return { result, exitCode: result.partial ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+        }
+        case 'restore': {
+            if (!isUserBackup(positional[0])) {
+                const DatabaseImporter = require('./import-database');
+                const importer = new DatabaseImporter(positional[0], {
+                    database: options.database,
+                    continueOnError: Boolean(options['continue-on-error']),
+                    dryRun: migrationOptions.dryRun
+                });
+                const result = await importer.run();
+                return { result, exitCode: result.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+            }
+
+            const BackupRestorer = require('./restore-backup');
+            const restorer = new BackupRestorer(positional[0], {
+                strict: Boolean(options.strict),
+                dryRun: migrationOptions.dryRun
+            });
+            const result = await restorer.run();
+            return { result, exitCode: result.conflicts > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS };
+        }
+        case 'verify-dump': {
+            const DumpVerifier = require('./verify-dump');
+            const result = await new DumpVerifier(positional[0], { database: options.database }).run();
+            return { result, exitCode: result.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFLICT };
+        }
+        case 'interactive': {
+            const MigrationCLI = require('./index');
+            await new MigrationCLI().run();
+            return { result: null, exitCode: EXIT_CODES.SUCCESS };
+        }
+    }
+};
+
+/**
+ * Converte o código do erro no exit code correspondente
+ */
+const exitCodeForError = (error) => {
+    switch (error.code) {
+        case ERROR_CODES.VALIDATION:
+            return EXIT_CODES.VALIDATION;
+        case ERROR_CODES.CONFLICT:
+            return EXIT_CODES.CONFLICT;
+        case ERROR_CODES.PARTIAL:
+            return EXIT_CODES.PARTIAL;
+        default:
+            return EXIT_CODES.ERROR;
+    }
+};
+
+/**
+ * Ponto de entrada da interface não interativa
+ */
+const main = async (argv) => {
+    let parsed = { command: argv[0], options: {} };
+    const json = argv.includes('--json');
+
+    // Com --json, o stdout fica reservado para o resultado
+    if (json) {
+        console.log = (...args) => console.error(...args);
+    }
+
+    try {
+        parsed = parseArgs(argv);
+        const { command, options, positional } = parsed;
+
+        if (!command || command === 'help' || options.help) {
+            showHelp();
+            return EXIT_CODES.SUCCESS;
+        }
+
+        if (command === 'interactive' && json) {
+            throw createError(ERROR_CODES.VALIDATION, 'O modo interativo não aceita --json');
+        }
+
+        // Carrega o perfil antes de validar, para reportar erros de configuração
+        if (options.profile) {
+            setProfile(options.profile);
+        }
+        getConfig();
+
+        const migrationOptions = validateOptions(command, options, positional);
+        const { result, exitCode } = await runCommand(command, options, positional, migrationOptions);
+
+        if (json) {
+            process.stdout.write(JSON.stringify({ command, exitCode, result }, null, 2) + '\n');
+        }
+        return exitCode;
+
+    } catch (error) {
+        const exitCode = exitCodeForError(error);
+
+        if (json) {
+            process.stdout.write(JSON.stringify({
+                command: parsed.command,
+                exitCode,
+                error: { code: error.code || null, message: error.message }
+            }, null, 2) + '\n');
+        } else {
+            console.error(chalk.red.bold('\n💥 Falha:'), error.message);
+            if (exitCode === EXIT_CODES.VALIDATION) {
+                console.error(chalk.gray('Use "user-migration --help" para ver os comandos e opções.'));
+            }
+        }
+        return exitCode;
+    }
+};
+
+// Executar CLI se chamado diretamente
+if (require.main === module) {
+    main(process.argv.slice(2)).then((exitCode) => process.exit(exitCode));
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    validateOptions,
+    main
+};
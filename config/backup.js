@@ -0,0 +1,211 @@
+const { format } = require('mysql2');
+const {
+    getPrimaryKeyColumns,
+    getInsertableColumns,
+    getReferencingForeignKeys,
+    buildKeyPredicate,
+    pickKey
+} = require('./schema');
+
+/**
+ * Backup completo de um usuário antes da remoção.
+ *
+ * Além do registro do usuário, captura as linhas de todas as tabelas que o referenciam
+ * por chave estrangeira, seguindo as chaves em cadeia (linhas que referenciam linhas
+ * capturadas), inclusive tabelas fora da configuração. As tabelas ficam em ordem de
+ * dependência: cada tabela aparece depois das tabelas que ela referencia.
+ */
+
+/**
+ * Quantidade de valores referenciados por consulta
+ */
+const KEY_BATCH_SIZE = 500;
+
+/**
+ * Identifica uma linha pela chave primária (ou pela linha inteira, em tabelas sem PK)
+ */
+const rowId = (entry, row) => JSON.stringify(entry.primaryKey.length > 0 ? pickKey(entry.primaryKey, row) : row);
+
+/**
+ * Ordena as tabelas para que as referenciadas venham antes das que as referenciam.
+ * Autorreferências são ignoradas; tabelas em ciclo ficam na ordem de descoberta.
+ */
+const orderByDependency = (entries) => {
+    const ordered = [];
+    const pending = [...entries];
+
+    while (pending.length > 0) {
+        const index = pending.findIndex(entry => entry.references.every(ref =>
+            ref.referencedTable === entry.table || !pending.some(other => other.table === ref.referencedTable)
+        ));
+        ordered.push(...pending.splice(index === -1 ? 0 : index, 1));
+    }
+
+    return ordered;
+};
+
+/**
+ * Ordena as linhas de uma tabela autorreferenciada (ex.: comment.parent_id) para que
+ * cada linha venha depois da linha que ela referencia. Ciclos ficam na ordem original.
+ */
+const orderSelfReferences = (entry) => {
+    const selfReferences = entry.references.filter(ref => ref.referencedTable === entry.table);
+    if (selfReferences.length === 0) {
+        return entry.rows;
+    }
+
+    const value = (row, columns) => JSON.stringify(columns.map(col => row[col]));
+    const ordered = [];
+    let pending = entry.rows;
+
+    // A cada passada, saem as linhas que não referenciam nenhuma linha ainda pendente
+    while (pending.length > 0) {
+        const pendingValues = selfReferences.map(ref => new Set(pending.map(row => value(row, ref.referencedColumns))));
+        const ready = pending.filter(row => selfReferences.every((ref, i) =>
+            ref.columns.some(col => row[col] === null) ||
+            value(row, ref.columns) === value(row, ref.referencedColumns) ||
+            !pendingValues[i].has(value(row, ref.columns))
+        ));
+        const batch = new Set(ready.length > 0 ? ready : pending);
+        ordered.push(...batch);
+        pending = pending.filter(row => !batch.has(row));
+    }
+
+    return ordered;
+};
+
+/**
+ * Captura o registro do usuário e, recursivamente, as linhas que o referenciam.
+ * Datas são lidas como texto, para que o backup seja regravado sem conversão de fuso.
+ */
+const collectUserRows = async (db, userTable, primaryKey, userId) => {
+    const tables = new Map();
+    const foreignKeys = new Map();
+
+    const ensureTable = async (table) => {
+        if (!tables.has(table)) {
+            tables.set(table, {
+                table,
+                primaryKey: await getPrimaryKeyColumns(db, table),
+                columns: await getInsertableColumns(db, table),
+                references: [],
+                rows: [],
+                seen: new Set()
+            });
+        }
+        return tables.get(table);
+    };
+
+    // Acrescenta as linhas ainda não capturadas e retorna apenas elas
+    const addRows = (entry, rows) => {
+        const added = rows.filter(row => !entry.seen.has(rowId(entry, row)));
+        added.forEach(row => entry.seen.add(rowId(entry, row)));
+        entry.rows.push(...added);
+        return added;
+    };
+
+    const selectRows = async (entry, keyColumns, keys) => {
+        const predicate = buildKeyPredicate(keyColumns, keys);
+        const [rows] = await db.query({
+            sql: `SELECT ${entry.columns.map(col => `\`${col}\``).join(', ')} FROM \`${entry.table}\` WHERE ${predicate.sql}`,
+            dateStrings: true
+        }, predicate.params);
+        return rows;
+    };
+
+    const root = await ensureTable(userTable);
+    const queue = [{ entry: root, rows: addRows(root, await selectRows(root, [primaryKey], [{ [primaryKey]: userId }])) }];
+
+    while (queue.length > 0) {
+        const { entry, rows } = queue.shift();
+        if (!foreignKeys.has(entry.table)) {
+            foreignKeys.set(entry.table, await getReferencingForeignKeys(db, entry.table));
+        }
+
+        for (const fk of foreignKeys.get(entry.table)) {
+            const child = await ensureTable(fk.table);
+            if (!child.references.some(ref => ref.constraint === fk.constraint)) {
+                const { table, ...reference } = fk;
+                child.references.push(reference);
+            }
+
+            // Valores referenciados pelas linhas novas, já no nome das colunas da tabela filha
+            const keys = new Map();
+            for (const row of rows) {
+                if (fk.referencedColumns.some(col => row[col] === null)) {
+                    continue;
+                }
+                const key = {};
+                fk.columns.forEach((col, i) => { key[col] = row[fk.referencedColumns[i]]; });
+                keys.set(JSON.stringify(key), key);
+            }
+
+            const values = [...keys.values()];
+            for (let i = 0; i < values.length; i += KEY_BATCH_SIZE) {
+                const found = await selectRows(child, fk.columns, values.slice(i, i + KEY_BATCH_SIZE));
+                const added = addRows(child, found);
+                if (added.length > 0) {
+                    queue.push({ entry: child, rows: added });
+                }
+            }
+        }
+    }
+
+    return orderByDependency([...tables.values()].filter(entry => entry.rows.length > 0))
+        .map(({ seen, ...entry }) => ({ ...entry, rows: orderSelfReferences(entry) }));
+};
+
+/**
+ * Converte de volta os valores binários gravados no JSON ({ type: 'Buffer', data })
+ */
+const reviveRow = (row) => {
+    const revived = {};
+    for (const [column, value] of Object.entries(row)) {
+        revived[column] = value && value.type === 'Buffer' && Array.isArray(value.data)
+            ? Buffer.from(value.data)
+            : value;
+    }
+    return revived;
+};
+
+/**
+ * Monta o INSERT de uma linha do backup
+ */
+const buildInsertStatement = (entry, row) => {
+    const columns = entry.columns.filter(col => col in row);
+    return format('INSERT INTO ?? (??) VALUES (?)', [entry.table, columns, columns.map(col => row[col])]);
+};
+
+/**
+ * Gera o script SQL que reinsere todas as linhas do backup, em ordem de dependência
+ */
+const buildRestoreScript = (backup) => {
+    const lines = [
+        `-- Backup do usuário ${backup.userId} (${backup.userTable}) em ${backup.timestamp}`,
+        `-- Perfil: ${backup.profile} | Banco: ${backup.database}`,
+        '',
+        'SET NAMES utf8mb4;',
+        'START TRANSACTION;',
+        ''
+    ];
+
+    for (const entry of backup.tables) {
+        lines.push(`-- ${entry.table}: ${entry.rows.length} linhas`);
+        for (const row of entry.rows) {
+            lines.push(`${buildInsertStatement(entry, reviveRow(row))};`);
+        }
+        lines.push('');
+    }
+
+    lines.push('COMMIT;', '');
+    return lines.join('\n');
+};
+
+module.exports = {
+    collectUserRows,
+    orderByDependency,
+    orderSelfReferences,
+    reviveRow,
+    buildInsertStatement,
+    buildRestoreScript
+};
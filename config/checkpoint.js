@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Checkpoints de migração em disco, usados para retomar uma execução interrompida.
+ *
+ * O estado da execução fica em migration-checkpoint-<runId>.json e é regravado a cada
+ * tabela ou lote. As chaves migradas são acrescentadas em um arquivo .keys.ndjson ao
+ * lado, para não regravar listas grandes a cada lote.
+ */
+const CHECKPOINT_PREFIX = 'migration-checkpoint-';
+
+const checkpointFile = (runId) => `${CHECKPOINT_PREFIX}${runId}.json`;
+const keysFile = (runId) => `${CHECKPOINT_PREFIX}${runId}.keys.ndjson`;
+
+/**
+ * Gera um identificador de execução
+ */
+const createRunId = (sourceUserId, targetUserId) => {
+    return `${sourceUserId}-${targetUserId}-${Date.now()}`;
+};
+
+/**
+ * Calcula o hash da configuração de tabelas, para detectar mudanças entre execuções
+ */
+const hashMigrationTables = (migrationTables) => {
+    return crypto.createHash('sha256').update(JSON.stringify(migrationTables)).digest('hex');
+};
+
+/**
+ * Grava o estado atual da execução
+ */
+const saveCheckpoint = (checkpoint) => {
+    checkpoint.updatedAt = new Date().toISOString();
+    fs.writeFileSync(checkpointFile(checkpoint.runId), JSON.stringify(checkpoint, null, 2));
+    return checkpointFile(checkpoint.runId);
+};
+
+/**
+ * Acrescenta as chaves de um lote (ou alvo "tabela.coluna") confirmado
+ */
+const appendCheckpointKeys = (runId, targetKey, rows, keys) => {
+    if (keys.length === 0) {
+        return;
+    }
+    fs.appendFileSync(keysFile(runId), JSON.stringify({
+        target: targetKey,
+        table: rows.table,
+        column: rows.column,
+        discriminator: rows.discriminator,
+        keyColumns: rows.keyColumns,
+        keys
+    }) + '\n');
+};
+
+/**
+ * Carrega um checkpoint e reconstrói as linhas já migradas
+ */
+const loadCheckpoint = (runId) => {
+    const file = checkpointFile(runId);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Checkpoint não encontrado para a execução ${runId} (${file})`);
+    }
+
+    const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const migratedRows = {};
+
+    if (fs.existsSync(keysFile(runId))) {
+        const lines = fs.readFileSync(keysFile(runId), 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            const { target, keys, ...rows } = JSON.parse(line);
+            if (!migratedRows[target]) {
+                migratedRows[target] = { ...rows, keys: [] };
+            }
+            migratedRows[target].keys.push(...keys);
+        }
+    }
+
+    return { checkpoint, migratedRows };
+};
+
+/**
+ * Lista as execuções que não foram concluídas no diretório atual
+ */
+const findUnfinishedCheckpoints = (dir = '.') => {
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(CHECKPOINT_PREFIX) && name.endsWith('.json'))
+        .map(name => JSON.parse(fs.readFileSync(`${dir}/${name}`, 'utf8')))
+        .filter(checkpoint => checkpoint.status !== 'completed')
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+};
+
+module.exports = {
+    CHECKPOINT_PREFIX,
+    createRunId,
+    hashMigrationTables,
+    saveCheckpoint,
+    appendCheckpointKeys,
+    loadCheckpoint,
+    findUnfinishedCheckpoints
+};
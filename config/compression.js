@@ -0,0 +1,122 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { ERROR_CODES, createError } = require('./errors');
+
+/**
+ * Formatos de compressão dos dumps, com a extensão do arquivo e os streams do zlib.
+ * O zstd depende da versão do Node (zlib.createZstdCompress); os demais estão sempre disponíveis.
+ */
+const COMPRESSION_FORMATS = {
+    gzip: {
+        extension: '.gz',
+        magic: Buffer.from([0x1f, 0x8b]),
+        compress: () => zlib.createGzip({ level: 6 }),
+        decompress: () => zlib.createGunzip()
+    },
+    brotli: {
+        extension: '.br',
+        magic: null,
+        compress: () => zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+        }),
+        decompress: () => zlib.createBrotliDecompress()
+    },
+    zstd: {
+        extension: '.zst',
+        magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+        compress: () => zlib.createZstdCompress(),
+        decompress: () => zlib.createZstdDecompress()
+    }
+};
+
+/**
+ * Formatos de export: o dump SQL é um único arquivo; CSV e NDJSON geram um diretório
+ * com um arquivo por tabela e o manifesto
+ */
+const EXPORT_FORMATS = {
+    sql: { extension: '.sql' },
+    csv: { extension: '.csv' },
+    ndjson: { extension: '.ndjson' }
+};
+
+/**
+ * Arquivo com as tabelas, arquivos e contagens de linhas de um export em diretório
+ */
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Retorna os formatos de compressão suportados pelo Node em execução
+ */
+const availableCompressions = () => {
+    return Object.keys(COMPRESSION_FORMATS).filter(format =>
+        format !== 'zstd' || typeof zlib.createZstdCompress === 'function'
+    );
+};
+
+/**
+ * Valida o formato de compressão pedido (null = sem compressão)
+ */
+const assertCompressionAvailable = (format) => {
+    if (format && !availableCompressions().includes(format)) {
+        throw createError(ERROR_CODES.VALIDATION, COMPRESSION_FORMATS[format]
+            ? `Compressão ${format} não disponível nesta versão do Node (${process.version})`
+            : `Compressão "${format}" inválida (use ${availableCompressions().join(', ')})`);
+    }
+    return format;
+};
+
+/**
+ * Identifica a compressão de um arquivo pelos primeiros bytes
+ * (o brotli não tem assinatura e é reconhecido pela extensão)
+ */
+const detectCompression = (filePath) => {
+    const header = Buffer.alloc(4);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+        bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    for (const [format, spec] of Object.entries(COMPRESSION_FORMATS)) {
+        if (spec.magic && bytesRead >= spec.magic.length && header.subarray(0, spec.magic.length).equals(spec.magic)) {
+            return format;
+        }
+    }
+    return filePath.endsWith(COMPRESSION_FORMATS.brotli.extension) ? 'brotli' : null;
+};
+
+/**
+ * Cria o stream de compressão do formato informado
+ */
+const createCompressor = (format) => {
+    return COMPRESSION_FORMATS[assertCompressionAvailable(format)].compress();
+};
+
+/**
+ * Abre um arquivo de dump para leitura, descomprimindo conforme o formato detectado.
+ * input é o stream do arquivo em si (input.bytesRead indica o quanto já foi lido).
+ */
+const createDumpReadStream = (filePath) => {
+    const format = detectCompression(filePath);
+    const input = fs.createReadStream(filePath);
+    if (!format) {
+        return { format, stream: input, input };
+    }
+
+    const decompressor = COMPRESSION_FORMATS[assertCompressionAvailable(format)].decompress();
+    input.on('error', (error) => decompressor.destroy(error));
+    return { format, stream: input.pipe(decompressor), input };
+};
+
+module.exports = {
+    COMPRESSION_FORMATS,
+    EXPORT_FORMATS,
+    MANIFEST_FILE,
+    availableCompressions,
+    assertCompressionAvailable,
+    detectCompression,
+    createCompressor,
+    createDumpReadStream
+};
@@ -1,28 +1,24 @@
 const mysql = require('mysql2/promise');
-require('dotenv').config();
+const { getConfig } = require('./profiles');
 
 /**
- * Configuração da conexão com o banco de dados MySQL
+ * Configuração da conexão com o banco de dados MySQL, a partir do perfil ativo
  */
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 3306,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME || 'fiesto18_database',
+const getDbConfig = () => ({
+    ...getConfig().connection,
     waitForConnections: true,
     connectionLimit: 10,
     queueLimit: 0,
     acquireTimeout: 60000,
     timeout: 60000,
     reconnect: true
-};
+});
 
 /** 
  * Cria um pool de conexões MySQL
  */
 const createPool = () => {
-    return mysql.createPool(dbConfig);
+    return mysql.createPool(getDbConfig());
 };
 
 /**
@@ -46,7 +42,7 @@ const testConnection = async () => {
 };
 
 module.exports = {
-    dbConfig,
+    getDbConfig,
     createPool,
     testConnection
 };
@@ -0,0 +1,23 @@
+/**
+ * Códigos de erro usados para distinguir falhas de validação e conflitos
+ * de erros inesperados (a interface de linha de comando os converte em exit codes)
+ */
+const ERROR_CODES = {
+    VALIDATION: 'VALIDATION_ERROR',
+    CONFLICT: 'MIGRATION_CONFLICT',
+    PARTIAL: 'PARTIAL_FAILURE'
+};
+
+/**
+ * Cria um Error com o código informado
+ */
+const createError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+module.exports = {
+    ERROR_CODES,
+    createError
+};
@@ -0,0 +1,260 @@
+const {
+    getPrimaryKeyColumns,
+    getInsertableColumns,
+    getAutoUpdateColumns,
+    buildKeyPredicate,
+    buildOwnerPredicate,
+    pickKey
+} = require('./schema');
+
+/**
+ * Impressões digitais das linhas migradas: antes da migração, cada linha dos dois usuários
+ * é lida pela chave primária com o SHA-256 das demais colunas (exceto as colunas de usuário
+ * da tabela e as ON UPDATE CURRENT_TIMESTAMP que o UPDATE da migração altera); depois, as
+ * mesmas chaves são relidas para provar que apenas o dono mudou.
+ */
+
+/**
+ * Quantidade de chaves de exemplo guardadas por tipo de divergência
+ */
+const FINGERPRINT_SAMPLE_SIZE = 10;
+
+/**
+ * Linhas lidas por consulta, no registro (em ordem de chave) e na comparação
+ */
+const FINGERPRINT_BATCH_SIZE = 500;
+
+/**
+ * Agrupa os alvos de migração (tabela.coluna) por tabela
+ */
+const groupTargetsByTable = (targets) => {
+    const tables = new Map();
+    for (const target of targets) {
+        if (!tables.has(target.table)) {
+            tables.set(target.table, []);
+        }
+        tables.get(target.table).push(target);
+    }
+    return tables;
+};
+
+/**
+ * Indica se a linha pertence ao usuário no alvo, comparando a coluna e o discriminador
+ */
+const isOwnedBy = (row, target, userId) => {
+    if (row[target.column] === null || String(row[target.column]) !== String(userId)) {
+        return false;
+    }
+    return !target.discriminator || String(row[target.discriminator.column]) === String(target.discriminator.value);
+};
+
+/**
+ * Monta o SELECT das chaves, das colunas de usuário (e discriminadores) e do hash das demais colunas
+ */
+const buildFingerprintQuery = (table, keyColumns, rawColumns, hashedColumns) => {
+    const quote = (col) => `\`${col}\``;
+    const hash = hashedColumns.length > 0
+        ? `SHA2(JSON_ARRAY(${hashedColumns.map(quote).join(', ')}), 256)`
+        : 'NULL';
+    return `SELECT ${[...new Set([...keyColumns, ...rawColumns])].map(quote).join(', ')}, ${hash} AS \`__fingerprint\` FROM \`${table}\``;
+};
+
+/**
+ * Colunas que entram no hash: as graváveis, exceto as de usuário e as ON UPDATE
+ * CURRENT_TIMESTAMP, a menos que todos os alvos da tabela as preservem (preserveTimestamps)
+ */
+const getHashedColumns = async (db, table, tableTargets) => {
+    const userColumns = tableTargets.map(target => target.column);
+    const preserved = tableTargets.every(target => target.preserveTimestamps);
+    const autoUpdateColumns = preserved ? [] : await getAutoUpdateColumns(db, table);
+    return (await getInsertableColumns(db, table))
+        .filter(col => !userColumns.includes(col) && !autoUpdateColumns.includes(col));
+};
+
+/**
+ * Lê as impressões digitais das linhas dos dois usuários, por tabela, em lotes ordenados
+ * pela chave primária. As linhas do origem guardam o hash; as do destino, apenas a chave
+ * (para identificar linhas extras).
+ */
+const captureFingerprints = async (db, targets, sourceUserId, targetUserId) => {
+    const fingerprints = {};
+
+    for (const [table, tableTargets] of groupTargetsByTable(targets)) {
+        const keyColumns = await getPrimaryKeyColumns(db, table);
+        if (keyColumns.length === 0) {
+            fingerprints[table] = { skipped: 'tabela sem chave primária' };
+            continue;
+        }
+
+        const rawColumns = [...new Set([
+            ...tableTargets.map(target => target.column),
+            ...tableTargets.filter(target => target.discriminator).map(target => target.discriminator.column)
+        ])];
+        const hashedColumns = await getHashedColumns(db, table, tableTargets);
+
+        const owners = tableTargets.flatMap(target => [
+            buildOwnerPredicate(target, sourceUserId),
+            buildOwnerPredicate(target, targetUserId)
+        ]);
+        const ownerSql = owners.map(owner => `(${owner.sql})`).join(' OR ');
+        const keyList = keyColumns.map(col => `\`${col}\``).join(', ');
+        const query = buildFingerprintQuery(table, keyColumns, rawColumns, hashedColumns);
+
+        const sourceRows = new Map();
+        const targetKeys = new Set();
+        let lastKey = null;
+        for (;;) {
+            // Paginação pela chave: cada lote continua depois da última chave lida
+            const after = lastKey ? ` AND (${keyList}) > (${keyColumns.map(() => '?').join(', ')})` : '';
+            const [rows] = await db.query(
+                `${query} WHERE (${ownerSql})${after} ORDER BY ${keyList} LIMIT ${FINGERPRINT_BATCH_SIZE}`,
+                [...owners.flatMap(owner => owner.params), ...(lastKey ? keyColumns.map(col => lastKey[col]) : [])]
+            );
+
+            for (const row of rows) {
+                const key = pickKey(keyColumns, row);
+                if (tableTargets.some(target => isOwnedBy(row, target, sourceUserId))) {
+                    sourceRows.set(JSON.stringify(key), {
+                        key,
+                        values: Object.fromEntries(rawColumns.map(col => [col, row[col]])),
+                        fingerprint: row.__fingerprint
+                    });
+                } else {
+                    targetKeys.add(JSON.stringify(key));
+                }
+            }
+
+            if (rows.length < FINGERPRINT_BATCH_SIZE) {
+                break;
+            }
+            lastKey = pickKey(keyColumns, rows[rows.length - 1]);
+        }
+
+        fingerprints[table] = {
+            keyColumns,
+            rawColumns,
+            hashedColumns,
+            targets: tableTargets,
+            sourceRows,
+            targetKeys
+        };
+    }
+
+    return fingerprints;
+};
+
+/**
+ * Valor esperado da coluna de usuário de uma linha do origem após a migração.
+ * outcome = { status, keptKeys } do alvo; retorna a lista de valores aceitos.
+ */
+const expectedOwners = (outcome, keyId, sourceUserId, targetUserId) => {
+    if (!outcome || outcome.status === 'rolledBack' || outcome.keptKeys.has(keyId)) {
+        return [String(sourceUserId)];
+    }
+    if (outcome.status === 'partial') {
+        return [String(sourceUserId), String(targetUserId)];
+    }
+    return [String(targetUserId)];
+};
+
+/**
+ * Relê as linhas registradas antes da migração e compara com as impressões digitais.
+ * outcomes = { 'tabela.coluna': { status, keptKeys: Set, removedKeys: Set } } com as chaves
+ * que a migração manteve no origem ou removeu de propósito (conflitos e modo merge).
+ * Retorna, por tabela, as linhas ausentes, extras e alteradas, com chaves de exemplo.
+ */
+const compareFingerprints = async (db, fingerprints, outcomes, sourceUserId, targetUserId) => {
+    const report = {};
+
+    for (const [table, before] of Object.entries(fingerprints)) {
+        if (before.skipped) {
+            report[table] = { skipped: before.skipped, valid: true };
+            continue;
+        }
+
+        const { keyColumns, rawColumns, hashedColumns, targets, sourceRows, targetKeys } = before;
+        const missing = [];
+        const changed = [];
+        const extra = [];
+        let removed = 0;
+
+        const removedKeys = new Set(targets.flatMap(target => outcomes[target.key] ? [...outcomes[target.key].removedKeys] : []));
+        const query = buildFingerprintQuery(table, keyColumns, rawColumns, hashedColumns);
+
+        const entries = [...sourceRows.entries()];
+        for (let i = 0; i < entries.length; i += FINGERPRINT_BATCH_SIZE) {
+            const batch = entries.slice(i, i + FINGERPRINT_BATCH_SIZE);
+            const predicate = buildKeyPredicate(keyColumns, batch.map(([, row]) => row.key));
+            const [rows] = await db.query(`${query} WHERE ${predicate.sql}`, predicate.params);
+            const current = new Map(rows.map(row => [JSON.stringify(pickKey(keyColumns, row)), row]));
+
+            for (const [keyId, row] of batch) {
+                const after = current.get(keyId);
+
+                if (removedKeys.has(keyId)) {
+                    if (after) {
+                        changed.push({ key: row.key, reason: 'deveria ter sido removida pela resolução de conflito ou pelo merge' });
+                    } else {
+                        removed++;
+                    }
+                    continue;
+                }
+                if (!after) {
+                    missing.push(row.key);
+                    continue;
+                }
+                if (after.__fingerprint !== row.fingerprint) {
+                    changed.push({ key: row.key, reason: 'conteúdo alterado' });
+                    continue;
+                }
+
+                for (const target of targets) {
+                    const value = after[target.column] === null ? null : String(after[target.column]);
+                    const accepted = isOwnedBy(row.values, target, sourceUserId)
+                        ? expectedOwners(outcomes[target.key], keyId, sourceUserId, targetUserId)
+                        : [row.values[target.column] === null ? null : String(row.values[target.column])];
+                    if (!accepted.includes(value)) {
+                        changed.push({ key: row.key, reason: `${target.column}: esperado ${accepted.join(' ou ')}, encontrado ${value}` });
+                        break;
+                    }
+                }
+            }
+        }
+
+        // Linhas que passaram a pertencer a um dos usuários sem estar entre as registradas
+        const owners = targets.flatMap(target => [
+            buildOwnerPredicate(target, sourceUserId),
+            buildOwnerPredicate(target, targetUserId)
+        ]);
+        const [ownedRows] = await db.query(
+            `SELECT ${keyColumns.map(col => `\`${col}\``).join(', ')} FROM \`${table}\` WHERE ${owners.map(owner => `(${owner.sql})`).join(' OR ')}`,
+            owners.flatMap(owner => owner.params)
+        );
+        for (const row of ownedRows) {
+            const key = pickKey(keyColumns, row);
+            const keyId = JSON.stringify(key);
+            if (!sourceRows.has(keyId) && !targetKeys.has(keyId)) {
+                extra.push(key);
+            }
+        }
+
+        report[table] = {
+            rows: sourceRows.size,
+            removed,
+            missing: { count: missing.length, sample: missing.slice(0, FINGERPRINT_SAMPLE_SIZE) },
+            extra: { count: extra.length, sample: extra.slice(0, FINGERPRINT_SAMPLE_SIZE) },
+            changed: { count: changed.length, sample: changed.slice(0, FINGERPRINT_SAMPLE_SIZE) },
+            valid: missing.length === 0 && extra.length === 0 && changed.length === 0
+        };
+    }
+
+    return report;
+};
+
+module.exports = {
+    FINGERPRINT_SAMPLE_SIZE,
+    getHashedColumns,
+    captureFingerprints,
+    compareFingerprints,
+    expectedOwners
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { MANIFEST_FILE } = require('./compression');
+
+/**
+ * Manifesto dos dumps: SHA-256 do arquivo e, por tabela, a quantidade de linhas e o
+ * CHECKSUM TABLE lidos no mesmo snapshot do export. Dumps SQL ganham um arquivo ao lado
+ * ([dump].manifest.json); exports CSV/NDJSON usam o manifest.json do próprio diretório.
+ */
+
+/**
+ * Caminho do manifesto de um dump (arquivo SQL ou diretório CSV/NDJSON)
+ */
+const getManifestPath = (dumpPath) => {
+    return fs.existsSync(dumpPath) && fs.statSync(dumpPath).isDirectory()
+        ? path.join(dumpPath, MANIFEST_FILE)
+        : `${dumpPath}.manifest.json`;
+};
+
+/**
+ * Calcula o SHA-256 de um arquivo, em streaming
+ */
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Conta as linhas e lê o CHECKSUM TABLE de cada tabela. Executado na conexão do export,
+ * dentro da transação do snapshot, os valores correspondem exatamente aos dados exportados.
+ * entries = [{ table, where }]; tabelas filtradas têm apenas a contagem (checksum null).
+ */
+const captureTableStats = async (db, entries, database = null) => {
+    const qualify = (table) => database ? `\`${database}\`.\`${table}\`` : `\`${table}\``;
+    const stats = [];
+
+    for (const { table, where = null } of entries) {
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) AS total FROM ${qualify(table)}${where ? ` WHERE ${where.sql}` : ''}`,
+            where ? where.params : []
+        );
+        let checksum = null;
+        if (!where) {
+            const [[result]] = await db.query(`CHECKSUM TABLE ${qualify(table)}`);
+            checksum = result.Checksum === null ? null : String(result.Checksum);
+        }
+        stats.push({ table, rows: Number(total), checksum });
+    }
+
+    return stats;
+};
+
+/**
+ * Lê o manifesto de um dump
+ */
+const readManifest = (dumpPath) => {
+    const manifestPath = getManifestPath(dumpPath);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+};
+
+/**
+ * Grava o manifesto de um dump
+ */
+const writeManifest = (dumpPath, manifest) => {
+    const manifestPath = getManifestPath(dumpPath);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifestPath;
+};
+
+module.exports = {
+    getManifestPath,
+    hashFile,
+    captureTableStats,
+    readManifest,
+    writeManifest
+};
@@ -0,0 +1,93 @@
+/**
+ * Combinação campo a campo de duas linhas (modo merge das tabelas e userTable.merge),
+ * segundo as regras de MERGE_RULES
+ */
+
+/**
+ * Compara dois valores de campo (datas e buffers incluídos)
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Combina o valor de um campo segundo a regra configurada
+ */
+const mergeFieldValue = (rule, targetValue, sourceValue, sourceIsNewer, separator) => {
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+    const isNull = (value) => value === null || value === undefined;
+
+    switch (rule) {
+        case 'prefer-non-null':
+            return isEmpty(targetValue) && !isEmpty(sourceValue) ? sourceValue : targetValue;
+        case 'prefer-newest':
+            return sourceIsNewer ? sourceValue : targetValue;
+        case 'concatenate':
+            if (isEmpty(sourceValue) || sameValue(sourceValue, targetValue)) {
+                return targetValue;
+            }
+            if (isEmpty(targetValue)) {
+                return sourceValue;
+            }
+            return `${targetValue}${separator}${sourceValue}`;
+        case 'earliest':
+            if (isNull(sourceValue)) {
+                return targetValue;
+            }
+            return isNull(targetValue) || sourceValue < targetValue ? sourceValue : targetValue;
+        case 'latest':
+            if (isNull(sourceValue)) {
+                return targetValue;
+            }
+            return isNull(targetValue) || sourceValue > targetValue ? sourceValue : targetValue;
+        case 'or': {
+            const value = Boolean(Number(targetValue)) || Boolean(Number(sourceValue));
+            return typeof targetValue === 'boolean' ? value : Number(value);
+        }
+        default:
+            return targetValue;
+    }
+};
+
+/**
+ * Calcula os campos da linha destino alterados pela combinação com a linha origem.
+ * Só as colunas informadas em columns são combinadas (por padrão, todas as da linha).
+ * Retorna { campo: { rule, before, source, after } } apenas para os campos que mudam.
+ */
+const computeMergeDiff = (targetRow, sourceRow, merge, fixedColumns, newestColumn, columns = Object.keys(targetRow)) => {
+    const separator = merge.separator !== undefined ? merge.separator : '\n';
+    const sourceIsNewer = sourceRow[newestColumn] > targetRow[newestColumn];
+    const diff = {};
+
+    for (const field of columns) {
+        if (fixedColumns.includes(field)) {
+            continue;
+        }
+        const rule = (merge.fields && merge.fields[field]) || merge.default || 'keep-target';
+        const value = mergeFieldValue(rule, targetRow[field], sourceRow[field], sourceIsNewer, separator);
+        if (!sameValue(value, targetRow[field])) {
+            diff[field] = { rule, before: targetRow[field], source: sourceRow[field], after: value };
+        }
+    }
+
+    return diff;
+};
+
+/**
+ * Separa, entre as colunas com índice único, as que a combinação alteraria: com regra
+ * explícita diferente de keep-target (rejected) ou apenas pela regra padrão (skipped)
+ */
+const findUniqueMergeColumns = (merge, uniqueColumns) => {
+    const explicitRule = (col) => merge.fields && merge.fields[col];
+    const changes = (col) => (explicitRule(col) || merge.default || 'keep-target') !== 'keep-target';
+
+    return {
+        rejected: uniqueColumns.filter(col => explicitRule(col) && changes(col)),
+        skipped: uniqueColumns.filter(col => !explicitRule(col) && changes(col))
+    };
+};
+
+module.exports = {
+    sameValue,
+    mergeFieldValue,
+    computeMergeDiff,
+    findUniqueMergeColumns
+};
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES, createError } = require('./errors');
+require('dotenv').config();
+
+/**
+ * Arquivo de configuração com os perfis (staging, production, ...).
+ * Pode ser trocado pela variável MIGRATION_CONFIG.
+ */
+const CONFIG_FILE = process.env.MIGRATION_CONFIG || path.join(__dirname, '..', 'user-migration.config.json');
+
+/**
+ * Tabelas do perfil "env" (sem arquivo de perfis), as mesmas migradas antes dos perfis
+ */
+const ENV_MIGRATION_TABLES = [
+    { table: 'content', column: 'user_id' },
+    { table: 'media', column: 'user_id' }
+];
+
+/**
+ * Estratégias para linhas do usuário origem que colidem com uma chave única
+ * já ocupada pelo usuário destino:
+ * - abort: interrompe a migração da tabela (padrão)
+ * - skip: mantém as linhas em conflito no usuário origem
+ * - delete-source: remove as linhas em conflito do usuário origem
+ * - keep-newest: mantém a linha mais recente (coluna newestColumn) e remove a outra
+ */
+const CONFLICT_STRATEGIES = ['abort', 'skip', 'delete-source', 'keep-newest'];
+
+/**
+ * Modos de migração de uma tabela:
+ * - repoint: reatribui as linhas do usuário origem ao destino (padrão)
+ * - merge: tabelas com no máximo uma linha por usuário; a linha origem é combinada
+ *   com a do destino, campo a campo, e depois removida
+ */
+const TABLE_MODES = ['repoint', 'merge'];
+
+/**
+ * Regras de combinação de campos (modo merge das tabelas e userTable.merge):
+ * - keep-target: mantém o valor do destino (padrão)
+ * - prefer-non-null: mantém o destino, ou usa o valor da origem se o destino for nulo ou vazio
+ * - prefer-newest: usa o valor da linha mais recente (coluna newestColumn)
+ * - concatenate: junta os valores de destino e origem com merge.separator
+ * - earliest / latest: o menor / maior valor não nulo (datas, números)
+ * - or: verdadeiro se algum dos dois for verdadeiro (flags booleanas)
+ */
+const MERGE_RULES = ['keep-target', 'prefer-non-null', 'prefer-newest', 'concatenate', 'earliest', 'latest', 'or'];
+
+/**
+ * Modos de remoção do usuário origem:
+ * - delete: apaga o registro da tabela de usuários (padrão)
+ * - soft-delete: marca o registro na coluna removal.softDelete.column
+ * - anonymize: sobrescreve as colunas de removal.anonymize.columns
+ */
+const REMOVAL_MODES = ['delete', 'soft-delete', 'anonymize'];
+
+/**
+ * Como cada coluna é sobrescrita no modo anonymize:
+ * - hash: HMAC-SHA256 do valor original com uma chave aleatória descartada ao fim da remoção
+ *   (irreversível, e valores distintos continuam distintos em índices únicos)
+ * - placeholder: texto fixo de removal.anonymize.placeholder ({id} é trocado pelo ID)
+ * - null: apaga o valor
+ */
+const ANONYMIZE_RULES = ['hash', 'placeholder', 'null'];
+
+/**
+ * Tabela de usuários usada quando o perfil não define userTable
+ */
+const DEFAULT_USER_TABLE = {
+    name: 'user',
+    primaryKey: 'id',
+    displayColumns: ['name', 'email']
+};
+
+let activeProfile = null;
+let cachedConfig = null;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Valida as regras de combinação de uma tabela em modo merge
+ */
+const validateMergeOptions = (merge, where) => {
+    const problems = [];
+    const invalidRule = (rule) => !MERGE_RULES.includes(rule);
+
+    if (merge.default !== undefined && invalidRule(merge.default)) {
+        problems.push(`${where}.default "${merge.default}" inválido (use ${MERGE_RULES.join(', ')})`);
+    }
+    if (merge.fields !== undefined) {
+        if (!merge.fields || typeof merge.fields !== 'object' || Array.isArray(merge.fields)) {
+            problems.push(`${where}.fields deve ser um objeto { coluna: regra }`);
+        } else {
+            for (const [field, rule] of Object.entries(merge.fields)) {
+                if (invalidRule(rule)) {
+                    problems.push(`${where}.fields.${field} "${rule}" inválido (use ${MERGE_RULES.join(', ')})`);
+                }
+            }
+        }
+    }
+    if (merge.separator !== undefined && typeof merge.separator !== 'string') {
+        problems.push(`${where}.separator deve ser um texto`);
+    }
+    if (merge.newestColumn !== undefined && !isNonEmptyString(merge.newestColumn)) {
+        problems.push(`${where}.newestColumn deve ser o nome de uma coluna`);
+    }
+
+    return problems;
+};
+
+/**
+ * Valida as opções de remoção do usuário (modo, soft delete e anonimização)
+ */
+const validateRemovalOptions = (removal) => {
+    const problems = [];
+    const { mode = 'delete', softDelete, anonymize } = removal;
+
+    if (!REMOVAL_MODES.includes(mode)) {
+        problems.push(`removal.mode "${mode}" inválido (use ${REMOVAL_MODES.join(', ')})`);
+    }
+    if (softDelete !== undefined) {
+        if (!softDelete || !isNonEmptyString(softDelete.column)) {
+            problems.push('removal.softDelete deve ser { column, value? }, ex.: { "column": "deleted_at" }');
+        }
+    } else if (mode === 'soft-delete') {
+        problems.push('removal.mode "soft-delete" exige removal.softDelete.column');
+    }
+    if (anonymize !== undefined) {
+        const columns = anonymize && anonymize.columns;
+        if (!columns || typeof columns !== 'object' || Array.isArray(columns) || Object.keys(columns).length === 0) {
+            problems.push('removal.anonymize.columns deve ser um objeto não vazio { coluna: regra }');
+        } else {
+            for (const [column, rule] of Object.entries(columns)) {
+                if (!ANONYMIZE_RULES.includes(rule)) {
+                    problems.push(`removal.anonymize.columns.${column} "${rule}" inválido (use ${ANONYMIZE_RULES.join(', ')})`);
+                }
+            }
+        }
+        if (anonymize && anonymize.placeholder !== undefined && typeof anonymize.placeholder !== 'string') {
+            problems.push('removal.anonymize.placeholder deve ser um texto');
+        }
+    } else if (mode === 'anonymize') {
+        problems.push('removal.mode "anonymize" exige removal.anonymize.columns');
+    }
+
+    return problems;
+};
+
+/**
+ * Valida uma entrada de migrationTables e retorna a lista de problemas encontrados.
+ * A entrada informa uma coluna (column) ou várias (columns), cada uma migrada
+ * separadamente, e opcionalmente um discriminador para referências polimórficas.
+ */
+const validateTableEntry = (entry, where) => {
+    const problems = [];
+
+    if (!entry || typeof entry !== 'object') {
+        return [`${where}: esperado objeto { table, column } ou { table, columns }`];
+    }
+    if (!isNonEmptyString(entry.table)) {
+        problems.push(`${where}.table ausente ou inválido`);
+    }
+    if (entry.column !== undefined && entry.columns !== undefined) {
+        problems.push(`${where}: use column ou columns, não ambos`);
+    } else if (entry.columns !== undefined) {
+        if (!Array.isArray(entry.columns) || entry.columns.length === 0 || !entry.columns.every(isNonEmptyString)) {
+            problems.push(`${where}.columns deve ser uma lista não vazia de nomes de coluna`);
+        }
+    } else if (!isNonEmptyString(entry.column)) {
+        problems.push(`${where}.column ausente ou inválido`);
+    }
+    if (entry.discriminator !== undefined) {
+        const { column, value } = entry.discriminator || {};
+        if (!isNonEmptyString(column) || !['string', 'number'].includes(typeof value)) {
+            problems.push(`${where}.discriminator deve ser { column, value }, ex.: { "column": "owner_type", "value": "user" }`);
+        }
+    }
+    if (entry.mode !== undefined && !TABLE_MODES.includes(entry.mode)) {
+        problems.push(`${where}.mode "${entry.mode}" inválido (use ${TABLE_MODES.join(', ')})`);
+    }
+    if (entry.mode === 'merge') {
+        if (Array.isArray(entry.columns) && entry.columns.length > 1) {
+            problems.push(`${where}: o modo merge aceita uma única coluna de usuário`);
+        }
+        problems.push(...validateMergeOptions(entry.merge || {}, `${where}.merge`));
+    } else if (entry.merge !== undefined) {
+        problems.push(`${where}.merge exige mode: "merge"`);
+    }
+    if (entry.onConflict !== undefined && !CONFLICT_STRATEGIES.includes(entry.onConflict)) {
+        problems.push(`${where}.onConflict "${entry.onConflict}" inválido (use ${CONFLICT_STRATEGIES.join(', ')})`);
+    }
+    if (entry.newestColumn !== undefined && !isNonEmptyString(entry.newestColumn)) {
+        problems.push(`${where}.newestColumn deve ser o nome de uma coluna`);
+    }
+    if (entry.chunkSize !== undefined && !isPositiveInt(entry.chunkSize)) {
+        problems.push(`${where}.chunkSize deve ser um inteiro positivo`);
+    }
+    if (entry.preserveTimestamps !== undefined && typeof entry.preserveTimestamps !== 'boolean') {
+        problems.push(`${where}.preserveTimestamps deve ser true ou false`);
+    }
+
+    return problems;
+};
+
+/**
+ * Monta e valida a configuração de um perfil. Campos de conexão ausentes
+ * são lidos das variáveis DB_* do .env, para não gravar senhas no arquivo.
+ */
+const buildProfileConfig = (name, profile, configFile) => {
+    const problems = [];
+    const connection = profile.connection || {};
+    const userTable = { ...DEFAULT_USER_TABLE, ...(profile.userTable || {}) };
+    const users = profile.users || {};
+    const migrationTables = profile.migrationTables || [];
+    const removal = profile.removal || {};
+
+    const config = {
+        profile: name,
+        configFile,
+        connection: {
+            host: connection.host || process.env.DB_HOST || 'localhost',
+            port: parseInt(connection.port || process.env.DB_PORT) || 3306,
+            user: connection.user || process.env.DB_USER,
+            password: connection.password !== undefined ? connection.password : process.env.DB_PASSWORD,
+            database: connection.database || process.env.DB_NAME
+        },
+        userTable,
+        users: {
+            // O perfil tem precedência; o .env só completa os usuários que ele não define
+            source: users.source || parseInt(process.env.SOURCE_USER_ID) || null,
+            target: users.target || parseInt(process.env.TARGET_USER_ID) || null
+        },
+        migrationTables,
+        removal: {
+            ...removal,
+            mode: process.env.REMOVAL_MODE || removal.mode || 'delete'
+        }
+    };
+
+    if (!isNonEmptyString(config.connection.database)) {
+        problems.push('connection.database ausente (defina no perfil ou em DB_NAME)');
+    }
+    if (!isNonEmptyString(userTable.name)) {
+        problems.push('userTable.name ausente ou inválido');
+    }
+    if (!isNonEmptyString(userTable.primaryKey)) {
+        problems.push('userTable.primaryKey ausente ou inválido');
+    }
+    if (!Array.isArray(userTable.displayColumns) || !userTable.displayColumns.every(isNonEmptyString)) {
+        problems.push('userTable.displayColumns deve ser uma lista de nomes de coluna');
+    }
+    if (userTable.merge !== undefined) {
+        problems.push(...validateMergeOptions(userTable.merge || {}, 'userTable.merge'));
+    }
+    problems.push(...validateRemovalOptions(config.removal));
+    for (const key of ['source', 'target']) {
+        if (users[key] !== undefined && !isPositiveInt(users[key])) {
+            problems.push(`users.${key} deve ser um ID inteiro positivo`);
+        }
+    }
+
+    if (!Array.isArray(migrationTables)) {
+        problems.push('migrationTables deve ser uma lista');
+    } else {
+        const seen = new Map();
+        migrationTables.forEach((entry, i) => {
+            const entryProblems = validateTableEntry(entry, `migrationTables[${i}]`);
+            problems.push(...entryProblems);
+            if (entryProblems.length > 0) {
+                return;
+            }
+
+            // A mesma coluna não pode ser migrada por duas entradas
+            for (const column of entry.columns || [entry.column]) {
+                const target = `${entry.table}.${column}`;
+                if (seen.get(target) === i) {
+                    problems.push(`migrationTables[${i}].columns repete a coluna ${column}`);
+                } else if (seen.has(target)) {
+                    problems.push(`migrationTables[${i}]: ${target} já configurada em migrationTables[${seen.get(target)}]`);
+                }
+                seen.set(target, i);
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        throw createError(ERROR_CODES.VALIDATION,
+            `Configuração inválida (perfil "${name}" em ${configFile}):\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return config;
+};
+
+/**
+ * Carrega o perfil informado (ou o perfil ativo/padrão) do arquivo de configuração.
+ * Sem arquivo, monta um perfil "env" apenas com as variáveis do .env.
+ */
+const loadConfig = (profileName = null) => {
+    if (!fs.existsSync(CONFIG_FILE)) {
+        if (profileName) {
+            throw createError(ERROR_CODES.VALIDATION, `Perfil "${profileName}" solicitado, mas ${CONFIG_FILE} não existe`);
+        }
+        return buildProfileConfig('env', { migrationTables: ENV_MIGRATION_TABLES }, '.env');
+    }
+
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        throw createError(ERROR_CODES.VALIDATION, `Não foi possível ler ${CONFIG_FILE}: ${error.message}`);
+    }
+
+    const profiles = file.profiles || {};
+    const names = Object.keys(profiles);
+    const name = profileName || process.env.MIGRATION_PROFILE || file.defaultProfile || (names.length === 1 ? names[0] : null);
+
+    if (!name) {
+        throw createError(ERROR_CODES.VALIDATION, `Informe o perfil (--profile ou MIGRATION_PROFILE). Perfis disponíveis: ${names.join(', ')}`);
+    }
+    if (!profiles[name]) {
+        throw createError(ERROR_CODES.VALIDATION, `Perfil "${name}" não encontrado em ${CONFIG_FILE}. Perfis disponíveis: ${names.join(', ') || 'nenhum'}`);
+    }
+
+    return buildProfileConfig(name, profiles[name], CONFIG_FILE);
+};
+
+/**
+ * Seleciona o perfil usado por getConfig()
+ */
+const setProfile = (profileName) => {
+    activeProfile = profileName;
+    cachedConfig = null;
+};
+
+/**
+ * Retorna a configuração carregada do perfil ativo (carregada uma única vez)
+ */
+const getConfig = () => {
+    if (!cachedConfig) {
+        cachedConfig = loadConfig(activeProfile);
+    }
+    return cachedConfig;
+};
+
+/**
+ * Retorna o identificador legível de um registro da tabela de usuários,
+ * usando a primeira coluna de userTable.displayColumns preenchida
+ */
+const getUserLabel = (row) => {
+    const { displayColumns, primaryKey } = getConfig().userTable;
+    const column = displayColumns.find(col => row[col]);
+    return column ? row[column] : row[primaryKey];
+};
+
+/**
+ * Grava a lista de tabelas no perfil ativo do arquivo de configuração,
+ * criando o arquivo e o perfil se necessário
+ */
+const saveProfileMigrationTables = (migrationTables) => {
+    const file = fs.existsSync(CONFIG_FILE)
+        ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+        : { defaultProfile: 'default', profiles: {} };
+    const name = getConfig().profile === 'env' ? (file.defaultProfile || 'default') : getConfig().profile;
+
+    file.profiles = file.profiles || {};
+    file.profiles[name] = { ...(file.profiles[name] || {}), migrationTables };
+
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(file, null, 2) + '\n');
+    cachedConfig = null;
+    return CONFIG_FILE;
+};
+
+module.exports = {
+    CONFIG_FILE,
+    CONFLICT_STRATEGIES,
+    TABLE_MODES,
+    MERGE_RULES,
+    REMOVAL_MODES,
+    ANONYMIZE_RULES,
+    validateRemovalOptions,
+    buildProfileConfig,
+    loadConfig,
+    setProfile,
+    getConfig,
+    getUserLabel,
+    saveProfileMigrationTables
+};
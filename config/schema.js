@@ -0,0 +1,284 @@
+const { getConfig } = require('./profiles');
+
+/**
+ * Funções de introspecção do schema usadas pela análise e pela migração.
+ * Recebem um pool ou uma conexão, para poderem rodar dentro de uma transação.
+ */
+
+/**
+ * Retorna as colunas da chave primária de uma tabela, na ordem do índice
+ */
+const getPrimaryKeyColumns = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = 'PRIMARY'
+         ORDER BY SEQ_IN_INDEX`,
+        [getConfig().connection.database, tableName]
+    );
+    return rows.map(row => row.COLUMN_NAME);
+};
+
+/**
+ * Retorna as colunas graváveis de uma tabela (exceto colunas geradas), na ordem da tabela.
+ * DEFAULT_GENERATED (colunas com DEFAULT CURRENT_TIMESTAMP no MySQL 8) não é coluna gerada.
+ */
+const getInsertableColumns = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND EXTRA NOT IN ('VIRTUAL GENERATED', 'STORED GENERATED')
+         ORDER BY ORDINAL_POSITION`,
+        [getConfig().connection.database, tableName]
+    );
+    return rows.map(row => row.COLUMN_NAME);
+};
+
+/**
+ * Retorna o tipo, o tamanho máximo (colunas de texto) e a nulidade das colunas de uma tabela
+ */
+const getColumnDefinitions = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH, IS_NULLABLE FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+         ORDER BY ORDINAL_POSITION`,
+        [getConfig().connection.database, tableName]
+    );
+    return Object.fromEntries(rows.map(row => [row.COLUMN_NAME, {
+        dataType: row.DATA_TYPE,
+        maxLength: row.CHARACTER_MAXIMUM_LENGTH === null ? null : Number(row.CHARACTER_MAXIMUM_LENGTH),
+        nullable: row.IS_NULLABLE === 'YES'
+    }]));
+};
+
+/**
+ * Retorna as chaves estrangeiras que referenciam uma tabela, uma por constraint,
+ * com as colunas de origem e as referenciadas na ordem da chave
+ */
+const getReferencingForeignKeys = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT k.TABLE_NAME, k.CONSTRAINT_NAME, k.COLUMN_NAME, k.REFERENCED_COLUMN_NAME,
+                r.UPDATE_RULE, r.DELETE_RULE
+         FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+         JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+           ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+          AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+          AND r.TABLE_NAME = k.TABLE_NAME
+         WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME = ?
+         ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+        [getConfig().connection.database, tableName]
+    );
+
+    const foreignKeys = new Map();
+    for (const row of rows) {
+        const id = `${row.TABLE_NAME}.${row.CONSTRAINT_NAME}`;
+        if (!foreignKeys.has(id)) {
+            foreignKeys.set(id, {
+                table: row.TABLE_NAME,
+                constraint: row.CONSTRAINT_NAME,
+                columns: [],
+                referencedTable: tableName,
+                referencedColumns: [],
+                onUpdate: row.UPDATE_RULE,
+                onDelete: row.DELETE_RULE
+            });
+        }
+        foreignKeys.get(id).columns.push(row.COLUMN_NAME);
+        foreignKeys.get(id).referencedColumns.push(row.REFERENCED_COLUMN_NAME);
+    }
+
+    return [...foreignKeys.values()];
+};
+
+/**
+ * Retorna os índices únicos (incluindo a PK) que contêm a coluna informada
+ */
+const getUniqueKeysForColumn = async (db, tableName, columnName) => {
+    const [rows] = await db.execute(
+        `SELECT INDEX_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND NON_UNIQUE = 0
+         ORDER BY INDEX_NAME, SEQ_IN_INDEX`,
+        [getConfig().connection.database, tableName]
+    );
+
+    const indexes = {};
+    for (const row of rows) {
+        if (!indexes[row.INDEX_NAME]) {
+            indexes[row.INDEX_NAME] = [];
+        }
+        indexes[row.INDEX_NAME].push(row.COLUMN_NAME);
+    }
+
+    return Object.entries(indexes)
+        .filter(([, columns]) => columns.includes(columnName))
+        .map(([index, columns]) => ({ index, columns }));
+};
+
+/**
+ * Monta um predicado SQL que seleciona (ou exclui) as linhas pelas chaves informadas.
+ * Cada chave é um objeto { coluna: valor } com as colunas da PK.
+ */
+const buildKeyPredicate = (keyColumns, keys, alias = null, negate = false) => {
+    const prefix = alias ? `${alias}.` : '';
+    const columnList = keyColumns.map(col => `${prefix}\`${col}\``).join(', ');
+    const tuple = `(${keyColumns.map(() => '?').join(', ')})`;
+
+    return {
+        sql: `(${columnList}) ${negate ? 'NOT IN' : 'IN'} (${keys.map(() => tuple).join(', ')})`,
+        params: keys.flatMap(key => keyColumns.map(col => key[col]))
+    };
+};
+
+/**
+ * Monta o predicado SQL que seleciona as linhas de um usuário em um alvo de migração,
+ * incluindo o discriminador das referências polimórficas (ex.: owner_type = 'user')
+ */
+const buildOwnerPredicate = (target, userId, alias = null) => {
+    const prefix = alias ? `${alias}.` : '';
+    const conditions = [`${prefix}\`${target.column}\` = ?`];
+    const params = [userId];
+
+    if (target.discriminator) {
+        conditions.push(`${prefix}\`${target.discriminator.column}\` = ?`);
+        params.push(target.discriminator.value);
+    }
+
+    return {
+        sql: conditions.join(' AND '),
+        params
+    };
+};
+
+/**
+ * Monta o SET de um UPDATE da migração. As colunas preservadas (ON UPDATE CURRENT_TIMESTAMP)
+ * recebem o próprio valor, o que impede o MySQL de atualizá-las.
+ */
+const buildAssignments = (columns, preservedColumns = []) => {
+    return [
+        ...columns.map(col => `\`${col}\` = ?`),
+        ...preservedColumns.filter(col => !columns.includes(col)).map(col => `\`${col}\` = \`${col}\``)
+    ].join(', ');
+};
+
+/**
+ * Localiza as linhas do usuário origem que colidiriam com uma chave única
+ * já ocupada pelo usuário destino, em um alvo de migração
+ */
+const findUniqueKeyConflicts = async (connection, tableConfig, keyColumns, sourceUserId, targetUserId) => {
+    const { table: tableName, column: userIdColumn } = tableConfig;
+    const sourceOwner = buildOwnerPredicate(tableConfig, sourceUserId, 's');
+    const targetOwner = buildOwnerPredicate(tableConfig, targetUserId, 't');
+    const newestColumn = tableConfig.newestColumn || 'updated_at';
+    const uniqueKeys = await getUniqueKeysForColumn(connection, tableName, userIdColumn);
+
+    const conflicts = new Map();
+    for (const uniqueKey of uniqueKeys) {
+        const otherColumns = uniqueKey.columns.filter(col => col !== userIdColumn);
+        const joinConditions = [targetOwner.sql]
+            .concat(otherColumns.map(col => `t.\`${col}\` = s.\`${col}\``));
+
+        // Sem chave primária não é possível identificar as linhas; basta detectar o conflito
+        const selectColumns = keyColumns.length > 0
+            ? keyColumns.map(col => `s.\`${col}\` AS \`src__${col}\`, t.\`${col}\` AS \`tgt__${col}\``)
+            : ['1 AS conflict'];
+        if (tableConfig.onConflict === 'keep-newest') {
+            selectColumns.push(`s.\`${newestColumn}\` AS src__newest, t.\`${newestColumn}\` AS tgt__newest`);
+        }
+
+        const [rows] = await connection.execute(
+            `SELECT ${selectColumns.join(', ')}
+             FROM \`${tableName}\` s
+             JOIN \`${tableName}\` t ON ${joinConditions.join(' AND ')}
+             WHERE ${sourceOwner.sql}`,
+            [...targetOwner.params, ...sourceOwner.params]
+        );
+
+        for (const row of rows) {
+            const sourceKey = {};
+            const targetKey = {};
+            for (const col of keyColumns) {
+                sourceKey[col] = row[`src__${col}`];
+                targetKey[col] = row[`tgt__${col}`];
+            }
+
+            const id = JSON.stringify(sourceKey);
+            if (!conflicts.has(id)) {
+                conflicts.set(id, {
+                    sourceKey,
+                    targetKey,
+                    index: uniqueKey.index,
+                    sourceNewest: row.src__newest,
+                    targetNewest: row.tgt__newest
+                });
+            }
+        }
+    }
+
+    return [...conflicts.values()];
+};
+
+/**
+ * Retorna os índices (SHOW INDEX) que começam pela coluna informada, os únicos que
+ * o MySQL consegue usar para filtrar apenas por ela
+ */
+const getLeadingIndexes = async (db, tableName, columnName) => {
+    const [rows] = await db.query(`SHOW INDEX FROM \`${tableName}\``);
+    return [...new Set(rows
+        .filter(row => row.Column_name === columnName && Number(row.Seq_in_index) === 1)
+        .map(row => row.Key_name))];
+};
+
+/**
+ * Retorna as colunas atualizadas automaticamente em todo UPDATE (ON UPDATE CURRENT_TIMESTAMP)
+ */
+const getAutoUpdateColumns = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND EXTRA LIKE '%on update%'
+         ORDER BY ORDINAL_POSITION`,
+        [getConfig().connection.database, tableName]
+    );
+    return rows.map(row => row.COLUMN_NAME);
+};
+
+/**
+ * Retorna os triggers de uma tabela, com o evento (INSERT, UPDATE, DELETE) e o momento (BEFORE, AFTER)
+ */
+const getTableTriggers = async (db, tableName) => {
+    const [rows] = await db.execute(
+        `SELECT TRIGGER_NAME, EVENT_MANIPULATION, ACTION_TIMING FROM INFORMATION_SCHEMA.TRIGGERS
+         WHERE EVENT_OBJECT_SCHEMA = ? AND EVENT_OBJECT_TABLE = ?
+         ORDER BY EVENT_MANIPULATION, ACTION_TIMING, ACTION_ORDER`,
+        [getConfig().connection.database, tableName]
+    );
+    return rows.map(row => ({
+        name: row.TRIGGER_NAME,
+        event: row.EVENT_MANIPULATION,
+        timing: row.ACTION_TIMING
+    }));
+};
+
+/**
+ * Extrai a chave primária de uma linha
+ */
+const pickKey = (keyColumns, row) => {
+    const key = {};
+    for (const col of keyColumns) {
+        key[col] = row[col];
+    }
+    return key;
+};
+
+module.exports = {
+    getPrimaryKeyColumns,
+    getInsertableColumns,
+    getColumnDefinitions,
+    getReferencingForeignKeys,
+    getUniqueKeysForColumn,
+    getLeadingIndexes,
+    getAutoUpdateColumns,
+    getTableTriggers,
+    findUniqueKeyConflicts,
+    buildKeyPredicate,
+    buildOwnerPredicate,
+    buildAssignments,
+    pickKey
+};
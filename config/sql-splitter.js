@@ -0,0 +1,200 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Divide um dump SQL em instruções, no mesmo formato aceito pelo cliente `mysql`.
+ *
+ * O texto chega em pedaços (o dump é lido em streaming) e o estado da leitura é mantido
+ * entre eles: o delimitador só é reconhecido fora de strings, identificadores e comentários,
+ * e linhas `DELIMITER xx` trocam o delimitador (blocos de triggers e procedures).
+ * Comentários `/*! ... *\/` são mantidos, pois o servidor executa o seu conteúdo.
+ */
+class SqlStatementSplitter {
+    constructor() {
+        this.decoder = new StringDecoder('utf8');
+        this.delimiter = ';';
+        this.pending = '';
+        this.position = 0;
+        this.state = 'code';
+        this.hasCode = false;
+        this.line = 1;
+        this.startLine = 1;
+    }
+
+    /**
+     * Acrescenta um pedaço do dump e retorna as instruções completas encontradas
+     */
+    push(chunk) {
+        this.pending += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        return this.scan(false);
+    }
+
+    /**
+     * Finaliza a leitura e retorna a última instrução, se houver
+     */
+    end() {
+        this.pending += this.decoder.end();
+        const statements = this.scan(true);
+        if (this.hasCode && this.pending.trim()) {
+            statements.push({ sql: this.pending.trim(), line: this.startLine });
+        }
+        this.pending = '';
+        this.position = 0;
+        this.hasCode = false;
+        return statements;
+    }
+
+    /**
+     * Percorre o texto pendente a partir da última posição lida
+     */
+    scan(final) {
+        const statements = [];
+        let i = this.position;
+
+        while (i < this.pending.length) {
+            const char = this.pending[i];
+            const next = this.pending[i + 1];
+
+            if (this.state === 'line-comment') {
+                if (char === '\n') {
+                    this.state = 'code';
+                    this.line++;
+                }
+                i++;
+                continue;
+            }
+
+            if (this.state === 'block-comment') {
+                if (char === '*' && next === '/') {
+                    this.state = 'code';
+                    i += 2;
+                    continue;
+                }
+                if (char === '*' && next === undefined && !final) {
+                    break;
+                }
+                if (char === '\n') {
+                    this.line++;
+                }
+                i++;
+                continue;
+            }
+
+            if (this.state !== 'code') {
+                // Dentro de '...', "..." ou `...`: a barra invertida escapa o próximo caractere
+                if (char === '\\' && this.state !== '`') {
+                    if (next === undefined && !final) {
+                        break;
+                    }
+                    if (next === '\n') {
+                        this.line++;
+                    }
+                    i += 2;
+                    continue;
+                }
+                if (char === this.state) {
+                    this.state = 'code';
+                } else if (char === '\n') {
+                    this.line++;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '\n') {
+                this.line++;
+                i++;
+                continue;
+            }
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comentários: "-- " até o fim da linha, "#" e "/* */" (exceto "/*!", executado pelo servidor)
+            if (char === '-' && (next === '-' || (next === undefined && !final))) {
+                if (next === undefined) {
+                    break;
+                }
+                const after = this.pending[i + 2];
+                if (after === undefined && !final) {
+                    break;
+                }
+                if (after === undefined || /\s/.test(after)) {
+                    this.state = 'line-comment';
+                    i += 2;
+                    continue;
+                }
+            }
+            if (char === '#') {
+                this.state = 'line-comment';
+                i++;
+                continue;
+            }
+            if (char === '/' && (next === '*' || (next === undefined && !final))) {
+                if (next === undefined) {
+                    break;
+                }
+                const after = this.pending[i + 2];
+                if (after === undefined && !final) {
+                    break;
+                }
+                if (after !== '!') {
+                    this.state = 'block-comment';
+                    i += 2;
+                    continue;
+                }
+            }
+
+            // DELIMITER só vale no início de uma instrução e ocupa a linha inteira
+            if (!this.hasCode && (char === 'D' || char === 'd')) {
+                const lineEnd = this.pending.indexOf('\n', i);
+                if (lineEnd === -1 && !final) {
+                    break;
+                }
+                const command = this.pending.slice(i, lineEnd === -1 ? undefined : lineEnd);
+                const match = command.match(/^DELIMITER[ \t]+(\S+)/i);
+                if (match) {
+                    this.delimiter = match[1];
+                    this.pending = this.pending.slice(lineEnd === -1 ? this.pending.length : lineEnd);
+                    i = 0;
+                    continue;
+                }
+            }
+
+            if (char === this.delimiter[0]) {
+                if (i + this.delimiter.length > this.pending.length && !final) {
+                    break;
+                }
+                if (this.pending.startsWith(this.delimiter, i)) {
+                    if (this.hasCode) {
+                        statements.push({ sql: this.pending.slice(0, i).trim(), line: this.startLine });
+                    }
+                    this.pending = this.pending.slice(i + this.delimiter.length);
+                    this.hasCode = false;
+                    i = 0;
+                    continue;
+                }
+            }
+
+            if (!this.hasCode) {
+                // Descarta espaços e comentários anteriores à instrução
+                this.pending = this.pending.slice(i);
+                i = 0;
+                this.hasCode = true;
+                this.startLine = this.line;
+            }
+
+            if (char === '\'' || char === '"' || char === '`') {
+                this.state = char;
+            }
+            i++;
+        }
+
+        this.position = i;
+        return statements;
+    }
+}
+
+module.exports = {
+    SqlStatementSplitter
+};
@@ -1,58 +1,130 @@
+const fs = require('fs');
+const {
+    CONFLICT_STRATEGIES,
+    TABLE_MODES,
+    MERGE_RULES,
+    getConfig,
+    saveProfileMigrationTables
+} = require('./profiles');
+
 /**
- * Configuração das tabelas específicas para migração
- * Definidas pelo usuário para o projeto fiesto18_database
+ * Nomes de coluna candidatos a referenciar o usuário, com grau de confiança
+ * usado pela descoberta automática quando não há chave estrangeira
  */
-
-const MIGRATION_TABLES = [
-    // { table: 'comment', column: 'user' },
-    { table: 'content', column: 'user_id' },
-    { table: 'media', column: 'user_id' },
-    // { table: 'order', column: 'user' },
-    // { table: 'suborder', column: 'user' }
+const USER_COLUMN_CANDIDATES = [
+    { name: 'user_id', confidence: 0.8 },
+    { name: 'usuario_id', confidence: 0.8 },
+    { name: 'user', confidence: 0.7 },
+    { name: 'author_id', confidence: 0.6 },
+    { name: 'owner_id', confidence: 0.5 },
+    { name: 'created_by', confidence: 0.5 },
+    { suffix: '_user_id', confidence: 0.6 }
 ];
 
+/**
+ * Grava a lista de tabelas revisada no perfil ativo do arquivo de configuração,
+ * ou em um arquivo avulso para revisão quando file é informado
+ */
+const saveMigrationTables = (tables, file = null) => {
+    if (!file) {
+        // As entradas já configuradas (com várias colunas, discriminador ou opções
+        // como onConflict) são mantidas; só as colunas novas são acrescentadas
+        const configured = expandMigrationTargets();
+        const added = tables
+            .filter(entry => !configured.some(t => t.table === entry.table && t.column === entry.column))
+            .map(({ source, confidence, configured, ...entry }) => entry);
+        return saveProfileMigrationTables([...getMigrationTables(), ...added]);
+    }
+
+    fs.writeFileSync(file, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        tables
+    }, null, 2));
+    return file;
+};
+
 /**
  * Retorna a lista de tabelas para migração
  */
 const getMigrationTables = () => {
-    return MIGRATION_TABLES;
+    return getConfig().migrationTables;
+};
+
+/**
+ * Expande as entradas de tabela em alvos de migração, um por coluna de usuário.
+ * Cada alvo é identificado por "tabela.coluna" nos resultados, logs e checkpoints.
+ */
+const expandMigrationTargets = (tables = getMigrationTables()) => {
+    return tables.flatMap(({ column, columns, ...options }) =>
+        (columns || [column]).map(col => ({
+            ...options,
+            key: `${options.table}.${col}`,
+            column: col
+        }))
+    );
 };
 
 /**
  * Verifica se uma tabela está na lista de migração
  */
 const isTableIncluded = (tableName) => {
-    return MIGRATION_TABLES.some(t => t.table === tableName);
+    return getMigrationTables().some(t => t.table === tableName);
 };
 
 /**
- * Retorna a coluna de user_id para uma tabela específica
+ * Retorna as colunas de usuário configuradas para uma tabela específica
  */
-const getUserColumnForTable = (tableName) => {
-    const tableConfig = MIGRATION_TABLES.find(t => t.table === tableName);
-    return tableConfig ? tableConfig.column : null;
+const getUserColumnsForTable = (tableName) => {
+    return expandMigrationTargets()
+        .filter(t => t.table === tableName)
+        .map(t => t.column);
+};
+
+/**
+ * Retorna a estratégia de conflito de chave única de um alvo de migração
+ */
+const getConflictStrategy = (target) => {
+    return target.onConflict || 'abort';
+};
+
+/**
+ * Projeta as contagens do origem e do destino após a migração de um alvo.
+ * Com a estratégia abort e colisões a migração é cancelada (null).
+ */
+const projectCounts = (strategy, source, target, collisions) => {
+    if (strategy === 'merge') {
+        return { source: 0, target: source > 0 && target === 0 ? source : target };
+    }
+    if (strategy === 'abort' && collisions > 0) {
+        return null;
+    }
+    if (strategy === 'skip') {
+        return { source: collisions, target: target + source - collisions };
+    }
+    // Nas demais, cada colisão termina com uma única linha no destino
+    return { source: 0, target: target + source - collisions };
 };
 
 /**
  * Valida se todas as tabelas especificadas existem no banco
  */
-const validateTablesExist = async (pool) => {
+const validateTablesExist = async (pool, targets = expandMigrationTargets()) => {
     const results = {};
     
-    for (const tableConfig of MIGRATION_TABLES) {
+    for (const tableConfig of targets) {
         try {
             const [rows] = await pool.execute(
                 `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.TABLES 
                  WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
-                [process.env.DB_NAME, tableConfig.table]
+                [getConfig().connection.database, tableConfig.table]
             );
             
-            results[tableConfig.table] = {
+            results[tableConfig.key] = {
                 exists: rows[0].count > 0,
                 column: tableConfig.column
             };
         } catch (error) {
-            results[tableConfig.table] = {
+            results[tableConfig.key] = {
                 exists: false,
                 error: error.message,
                 column: tableConfig.column
@@ -64,26 +136,34 @@ const validateTablesExist = async (pool) => {
 };
 
 /**
- * Valida se as colunas especificadas existem nas tabelas
+ * Valida se as colunas especificadas (e os discriminadores) existem nas tabelas
  */
-const validateColumnsExist = async (pool) => {
+const validateColumnsExist = async (pool, targets = expandMigrationTargets()) => {
     const results = {};
     
-    for (const tableConfig of MIGRATION_TABLES) {
+    for (const tableConfig of targets) {
         try {
-            const [rows] = await pool.execute(
-                `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS 
-                 WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
-                [process.env.DB_NAME, tableConfig.table, tableConfig.column]
+            const columns = [tableConfig.column];
+            if (tableConfig.discriminator) {
+                columns.push(tableConfig.discriminator.column);
+            }
+
+            const [rows] = await pool.query(
+                `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS 
+                 WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME IN (?)`,
+                [getConfig().connection.database, tableConfig.table, columns]
             );
+            const found = rows.map(row => row.COLUMN_NAME);
             
-            results[tableConfig.table] = {
-                columnExists: rows[0].count > 0,
+            results[tableConfig.key] = {
+                columnExists: found.includes(tableConfig.column),
+                discriminatorExists: !tableConfig.discriminator || found.includes(tableConfig.discriminator.column),
                 column: tableConfig.column
             };
         } catch (error) {
-            results[tableConfig.table] = {
+            results[tableConfig.key] = {
                 columnExists: false,
+                discriminatorExists: false,
                 error: error.message,
                 column: tableConfig.column
             };
@@ -94,10 +174,17 @@ const validateColumnsExist = async (pool) => {
 };
 
 module.exports = {
-    MIGRATION_TABLES,
+    USER_COLUMN_CANDIDATES,
+    CONFLICT_STRATEGIES,
+    TABLE_MODES,
+    MERGE_RULES,
     getMigrationTables,
+    saveMigrationTables,
+    expandMigrationTargets,
     isTableIncluded,
-    getUserColumnForTable,
+    getUserColumnsForTable,
+    getConflictStrategy,
+    projectCounts,
     validateTablesExist,
     validateColumnsExist
 };
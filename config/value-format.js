@@ -0,0 +1,96 @@
+const { Types, escape } = require('mysql2');
+
+/**
+ * Conversão dos valores brutos das colunas (os bytes lidos com typeCast: field.buffer())
+ * nos formatos do export: literal SQL, valor JSON e campo CSV
+ */
+
+/**
+ * Conjunto de caracteres "binary" nos metadados da coluna (BLOB, BINARY, VARBINARY, GEOMETRY)
+ */
+const BINARY_CHARSET = 63;
+
+const NUMERIC_TYPES = [
+    Types.TINY, Types.SHORT, Types.LONG, Types.LONGLONG, Types.INT24, Types.YEAR,
+    Types.FLOAT, Types.DOUBLE, Types.DECIMAL, Types.NEWDECIMAL
+];
+const TEMPORAL_TYPES = [Types.DATE, Types.NEWDATE, Types.TIME, Types.DATETIME, Types.TIMESTAMP];
+
+/**
+ * Converte o valor bruto de uma coluna (os bytes enviados pelo servidor) em literal SQL.
+ * Números e datas são usados como o servidor os envia, sem conversão para tipos do JS,
+ * o que preserva DECIMAL e evita deslocar DATETIME para UTC.
+ */
+const formatSqlValue = (value, field) => {
+    if (value === null) {
+        return 'NULL';
+    }
+    if (NUMERIC_TYPES.includes(field.columnType)) {
+        return value.toString('ascii');
+    }
+    if (field.columnType === Types.BIT) {
+        return `b'${[...value].map(byte => byte.toString(2).padStart(8, '0')).join('')}'`;
+    }
+    if (field.columnType === Types.JSON || TEMPORAL_TYPES.includes(field.columnType)) {
+        return escape(value.toString('utf8'));
+    }
+    if (field.characterSet === BINARY_CHARSET) {
+        return value.length > 0 ? `0x${value.toString('hex')}` : "''";
+    }
+    return escape(value.toString('utf8'));
+};
+
+/**
+ * Converte o valor bruto de uma coluna em valor JSON tipado: números como números
+ * (inteiros fora do intervalo seguro e DECIMAL como texto, para não perder precisão),
+ * colunas JSON como objetos, binários em base64 e datas como o servidor as envia
+ */
+const formatJsonValue = (value, field) => {
+    if (value === null) {
+        return null;
+    }
+    if (field.columnType === Types.JSON) {
+        return JSON.parse(value.toString('utf8'));
+    }
+    if (field.columnType === Types.BIT) {
+        return value.length <= 6 ? value.readUIntBE(0, value.length) : `0x${value.toString('hex')}`;
+    }
+    if (NUMERIC_TYPES.includes(field.columnType)) {
+        const text = value.toString('ascii');
+        if (field.columnType === Types.DECIMAL || field.columnType === Types.NEWDECIMAL) {
+            return text;
+        }
+        const number = Number(text);
+        return Number.isFinite(number) && (!/^-?\d+$/.test(text) || Number.isSafeInteger(number)) ? number : text;
+    }
+    if (field.characterSet === BINARY_CHARSET && !TEMPORAL_TYPES.includes(field.columnType)) {
+        return value.toString('base64');
+    }
+    return value.toString('utf8');
+};
+
+/**
+ * Coloca o campo CSV entre aspas quando necessário (RFC 4180), duplicando as aspas internas
+ */
+const quoteCsv = (text) => {
+    return text === '' || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Converte o valor bruto de uma coluna em campo CSV. NULL é um campo vazio e a
+ * string vazia é gravada entre aspas, para distinguir as duas.
+ */
+const formatCsvValue = (value, field) => {
+    if (value === null) {
+        return '';
+    }
+    const text = field.columnType === Types.JSON ? value.toString('utf8') : String(formatJsonValue(value, field));
+    return quoteCsv(text);
+};
+
+module.exports = {
+    formatSqlValue,
+    formatJsonValue,
+    quoteCsv,
+    formatCsvValue
+};
@@ -1,10 +1,95 @@
-const { createPool } = require('./config/database');
+const { createPool, getDbConfig } = require('./config/database');
+const { getInsertableColumns, buildOwnerPredicate } = require('./config/schema');
+const { getMigrationTables, expandMigrationTargets } = require('./config/tables');
+const { getConfig } = require('./config/profiles');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { hashFile, captureTableStats, writeManifest } = require('./config/manifest');
+const {
+    COMPRESSION_FORMATS,
+    EXPORT_FORMATS,
+    MANIFEST_FILE,
+    assertCompressionAvailable,
+    createCompressor,
+    createDumpReadStream
+} = require('./config/compression');
+const { formatSqlValue, formatJsonValue, formatCsvValue, quoteCsv } = require('./config/value-format');
 const chalk = require('chalk');
 const fs = require('fs');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
 const { spawn } = require('child_process');
 const path = require('path');
 require('dotenv').config();
 
+/**
+ * Tamanho máximo aproximado de cada INSERT estendido do export SQL direto
+ */
+const INSERT_BATCH_BYTES = 1024 * 1024;
+
+/**
+ * Comentários que o mysqldump escreve depois de abrir a transação (--single-transaction):
+ * estrutura da primeira tabela ou view e, em bancos sem tabelas, eventos e rotinas
+ */
+const MYSQLDUMP_SNAPSHOT_MARKER = /^-- (Table|Temporary (table|view)) structure for |^-- Dumping (events|routines) /m;
+
+/**
+ * Erros de FLUSH TABLES WITH READ LOCK sem o privilégio RELOAD
+ */
+const LOCK_PRIVILEGE_ERRORS = ['ER_SPECIFIC_ACCESS_DENIED_ERROR', 'ER_DBACCESS_DENIED_ERROR'];
+
+/**
+ * Variáveis de sessão ajustadas pelos dumps gerados sem o mysqldump. O cabeçalho guarda
+ * o valor anterior de cada uma e o rodapé o devolve, em ordem inversa (TIME_ZONE por último,
+ * que é o rodapé conferido na validação do dump).
+ */
+const DUMP_SESSION_SETTINGS = [
+    ['TIME_ZONE', "'+00:00'"],
+    ['UNIQUE_CHECKS', '0'],
+    ['FOREIGN_KEY_CHECKS', '0'],
+    ['SQL_MODE', "'NO_AUTO_VALUE_ON_ZERO'"]
+];
+
+/**
+ * Variáveis do snapshot de usuários: as mesmas, exceto UNIQUE_CHECKS, porque o REPLACE
+ * depende dos índices únicos para achar a linha a substituir
+ */
+const USER_SCOPE_SESSION_SETTINGS = DUMP_SESSION_SETTINGS.filter(([name]) => name !== 'UNIQUE_CHECKS');
+
+/**
+ * Cabeçalho de sessão do dump
+ */
+const buildDumpHeader = (settings = DUMP_SESSION_SETTINGS) => [
+    'SET NAMES utf8mb4;',
+    ...settings.map(([name, value]) => `SET @OLD_${name}=@@${name}, ${name}=${value};`),
+    '',
+    ''
+].join('\n');
+
+/**
+ * Rodapé de sessão do dump: restaura os valores guardados no cabeçalho
+ */
+const buildDumpFooter = (settings = DUMP_SESSION_SETTINGS) => [
+    ...[...settings].reverse().map(([name]) => `SET ${name}=@OLD_${name};`),
+    ''
+].join('\n');
+
+/**
+ * Ordena as views para que cada uma venha depois das views que ela consulta
+ */
+const orderViews = (views) => {
+    const ordered = [];
+    const pending = [...views];
+
+    while (pending.length > 0) {
+        const index = pending.findIndex(view =>
+            !pending.some(other => other !== view && view.definition.includes(`\`${other.name}\``))
+        );
+        ordered.push(...pending.splice(index === -1 ? 0 : index, 1));
+    }
+
+    return ordered;
+};
+
 /**
  * Classe para exportar dump do banco de dados
  */
@@ -12,13 +97,8 @@ class DatabaseExporter {
     constructor() {
         this.pool = createPool();
         this.exportLog = [];
-        this.dbConfig = {
-            host: process.env.DB_HOST || 'localhost',
-            port: process.env.DB_PORT || 3306,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            database: process.env.DB_NAME || 'fiesto18_database'
-        };
+        this.dbConfig = getDbConfig();
+        this.tableStats = null;
     }
 
     /**
@@ -78,174 +158,595 @@ class DatabaseExporter {
     }
 
     /**
-     * Gera nome do arquivo de dump
+     * Gera nome do arquivo de dump (formato sql) ou do diretório do export (csv, ndjson)
      */
-    generateDumpFileName(compressed = false) {
+    generateDumpFileName(compression = null, options = {}) {
+        const { format = 'sql', sourceUserId = null, targetUserId = null } = options;
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const baseName = `${this.dbConfig.database}-dump-${timestamp}`;
-        return compressed ? `${baseName}.sql.gz` : `${baseName}.sql`;
+        const label = sourceUserId ? `user-snapshot-${sourceUserId}-${targetUserId}` : 'dump';
+        const baseName = `${this.dbConfig.database}-${label}-${timestamp}`;
+        if (format !== 'sql') {
+            return `${baseName}-${format}`;
+        }
+        return `${baseName}.sql${compression ? COMPRESSION_FORMATS[compression].extension : ''}`;
     }
 
     /**
-     * Executa mysqldump para exportar o banco
+     * Abre o arquivo de saída, comprimindo no próprio processo quando pedido.
+     * Retorna o stream onde o dump é escrito e a promessa de conclusão da gravação.
      */
-    async executeMysqldump(outputFile, compressed = false) {
-        return new Promise((resolve, reject) => {
-            this.log('info', `Iniciando export do banco ${this.dbConfig.database}...`);
-            
-            const args = [
-                '--host=' + this.dbConfig.host,
-                '--port=' + this.dbConfig.port,
-                '--user=' + this.dbConfig.user,
-                '--password=' + this.dbConfig.password,
-                '--single-transaction',
-                '--routines',
-                '--triggers',
-                '--events',
-                '--add-drop-table',
-                '--add-locks',
-                '--create-options',
-                '--disable-keys',
-                '--extended-insert',
-                '--lock-tables=false',
-                '--quick',
-                '--set-charset',
-                this.dbConfig.database
-            ];
+    openOutput(outputFile, compression = null) {
+        const file = fs.createWriteStream(outputFile);
+        if (!compression) {
+            return { output: file, written: once(file, 'finish') };
+        }
+
+        const compressor = createCompressor(compression);
+        return { output: compressor, written: pipeline(compressor, file) };
+    }
+
+    /**
+     * Captura as contagens e checksums das tabelas na conexão informada, que já está
+     * no mesmo snapshot do mysqldump (ver executeMysqldump)
+     */
+    async captureSnapshotStats(connection) {
+        const [objects] = await connection.query(`SHOW FULL TABLES FROM \`${this.dbConfig.database}\``);
+        const nameKey = `Tables_in_${this.dbConfig.database}`;
+        const entries = objects
+            .filter(row => row.Table_type === 'BASE TABLE')
+            .map(row => ({ table: row[nameKey] }));
+        return { consistent: true, tables: await captureTableStats(connection, entries) };
+    }
+
+    /**
+     * Grava o manifesto de um dump SQL: SHA-256 do arquivo e as contagens e checksums
+     * capturados durante o export
+     */
+    async writeDumpManifest(outputFile, compression, validation, users = null) {
+        const manifest = {
+            file: path.basename(outputFile),
+            database: this.dbConfig.database,
+            format: 'sql',
+            compression,
+            createdAt: new Date().toISOString(),
+            users,
+            sha256: await hashFile(outputFile),
+            bytes: validation.size.bytes,
+            uncompressedBytes: validation.uncompressedBytes,
+            consistent: this.tableStats ? this.tableStats.consistent : false,
+            tables: this.tableStats ? this.tableStats.tables : []
+        };
+        const manifestFile = writeManifest(outputFile, manifest);
+        this.log('info', `Manifesto salvo em: ${manifestFile}`, { sha256: manifest.sha256 });
+        return manifestFile;
+    }
+
+    /**
+     * Argumentos de conexão do mysqldump
+     */
+    getMysqldumpConnectionArgs() {
+        return [
+            '--host=' + this.dbConfig.host,
+            '--port=' + this.dbConfig.port,
+            '--user=' + this.dbConfig.user,
+            '--password=' + this.dbConfig.password
+        ];
+    }
+
+    /**
+     * Executa o mysqldump escrevendo a saída em output; onData recebe cada trecho da saída
+     */
+    async pipeMysqldump(args, output, onData = null) {
+        const mysqldump = spawn('mysqldump', args);
+        if (onData) {
+            mysqldump.stdout.on('data', onData);
+        }
+        let errorOutput = '';
+        mysqldump.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+        const exited = new Promise((resolve, reject) => {
+            mysqldump.on('error', (error) => reject(new Error(`Erro ao executar mysqldump: ${error.message}`)));
+            mysqldump.on('close', resolve);
+        });
+
+        const [code] = await Promise.all([exited, pipeline(mysqldump.stdout, output)]);
+
+        if (code !== 0) {
+            if (errorOutput) {
+                this.log('error', 'Erro no mysqldump', errorOutput);
+            }
+            throw new Error(`Erro no mysqldump: código ${code}`);
+        }
+    }
+
+    /**
+     * Executa mysqldump para exportar o banco. Para que as contagens do manifesto sejam do
+     * mesmo snapshot do dump, uma conexão própria trava as escritas (FLUSH TABLES WITH READ
+     * LOCK), abre seu snapshot e só libera a trava quando o mysqldump já abriu o dele
+     * (--single-transaction): sem escritas entre os dois, os snapshots são idênticos.
+     * Sem o privilégio RELOAD, exigido pela trava, usa o export SQL direto.
+     */
+    async executeMysqldump(outputFile, compression = null) {
+        this.log('info', `Iniciando export do banco ${this.dbConfig.database}...`);
+
+        const args = [
+            ...this.getMysqldumpConnectionArgs(),
+            '--single-transaction',
+            '--routines',
+            '--triggers',
+            '--events',
+            '--add-drop-table',
+            '--add-locks',
+            '--create-options',
+            '--disable-keys',
+            '--extended-insert',
+            '--lock-tables=false',
+            '--quick',
+            '--set-charset',
+            this.dbConfig.database
+        ];
+
+        // A trava global termina com a sessão: a conexão é sempre descartada no final
+        const snapshot = await this.pool.getConnection();
+        try {
+            await snapshot.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+            try {
+                await snapshot.query('FLUSH TABLES WITH READ LOCK');
+            } catch (error) {
+                if (!LOCK_PRIVILEGE_ERRORS.includes(error.code)) {
+                    throw error;
+                }
+                this.log('warning', 'Sem privilégio RELOAD para sincronizar o snapshot do mysqldump; usando o export SQL direto', error.message);
+                return await this.exportUsingSQL(outputFile, compression);
+            }
+            await snapshot.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
 
             this.log('info', 'Executando mysqldump com opções otimizadas...');
-            
-            const mysqldump = spawn('mysqldump', args);
-            let outputStream;
-            
-            if (compressed) {
-                const gzip = spawn('gzip', ['-c']);
-                outputStream = fs.createWriteStream(outputFile);
-                
-                mysqldump.stdout.pipe(gzip.stdin);
-                gzip.stdout.pipe(outputStream);
-                
-                gzip.on('close', (code) => {
-                    if (code === 0) {
-                        this.log('success', `Dump comprimido criado: ${outputFile}`);
-                        resolve(outputFile);
-                    } else {
-                        reject(new Error(`Erro na compressão: código ${code}`));
-                    }
-                });
-                
-                gzip.on('error', (error) => {
-                    reject(new Error(`Erro no gzip: ${error.message}`));
-                });
-            } else {
-                outputStream = fs.createWriteStream(outputFile);
-                mysqldump.stdout.pipe(outputStream);
-                
-                mysqldump.on('close', (code) => {
-                    if (code === 0) {
-                        this.log('success', `Dump criado: ${outputFile}`);
-                        resolve(outputFile);
-                    } else {
-                        reject(new Error(`Erro no mysqldump: código ${code}`));
+
+            // O mysqldump abre a transação antes de escrever a estrutura da primeira tabela
+            let unlocked = null;
+            let head = '';
+            const unlock = () => {
+                if (!unlocked) {
+                    unlocked = snapshot.query('UNLOCK TABLES');
+                    unlocked.catch(() => {});
+                }
+                return unlocked;
+            };
+
+            const { output, written } = this.openOutput(outputFile, compression);
+            await this.pipeMysqldump(args, output, (chunk) => {
+                if (!unlocked) {
+                    head = (head + chunk.toString('utf8')).slice(-1024);
+                    if (MYSQLDUMP_SNAPSHOT_MARKER.test(head)) {
+                        unlock();
                     }
-                });
-            }
-            
-            mysqldump.on('error', (error) => {
-                reject(new Error(`Erro ao executar mysqldump: ${error.message}`));
-            });
-            
-            let errorOutput = '';
-            mysqldump.stderr.on('data', (data) => {
-                errorOutput += data.toString();
-            });
-            
-            mysqldump.on('close', (code) => {
-                if (code !== 0 && errorOutput) {
-                    this.log('error', 'Erro no mysqldump', errorOutput);
                 }
             });
+            await written;
+            await unlock();
+
+            this.tableStats = await this.captureSnapshotStats(snapshot);
+            await snapshot.query('COMMIT');
+        } finally {
+            snapshot.destroy();
+        }
+
+        this.log('success', `${compression ? `Dump comprimido (${compression})` : 'Dump'} criado: ${outputFile}`);
+        return outputFile;
+    }
+
+    /**
+     * Escreve no arquivo respeitando o backpressure do stream
+     */
+    async writeOutput(output, chunk) {
+        if (!output.write(chunk)) {
+            await once(output, 'drain');
+        }
+    }
+
+    /**
+     * Lê as linhas de uma tabela por stream. Todas as colunas chegam como bytes brutos;
+     * os metadados (fields) indicam como formatar cada uma.
+     */
+    async *streamTableRows(connection, tableName, columns, where = null) {
+        const query = connection.connection.query({
+            sql: `SELECT ${columns.map(col => `\`${col}\``).join(', ')} FROM \`${tableName}\`${where ? ` WHERE ${where.sql}` : ''}`,
+            values: where ? where.params : [],
+            rowsAsArray: true,
+            typeCast: (field) => field.buffer()
         });
+        const stream = query.stream({ highWaterMark: 100 });
+        let fields = null;
+        stream.on('fields', (columnFields) => {
+            fields = columnFields;
+        });
+
+        for await (const row of stream) {
+            yield { row, fields };
+        }
+    }
+
+    /**
+     * Exporta os dados de uma tabela lendo as linhas por stream e gravando
+     * INSERTs estendidos de até INSERT_BATCH_BYTES. Opcionalmente filtra as linhas
+     * (where = { sql, params }) e grava REPLACE em vez de INSERT.
+     */
+    async exportTableData(connection, output, tableName, options = {}) {
+        const { where = null, replace = false } = options;
+        const columns = await getInsertableColumns(connection, tableName);
+        const columnList = columns.map(col => `\`${col}\``).join(', ');
+        const insertPrefix = `${replace ? 'REPLACE' : 'INSERT'} INTO \`${tableName}\` (${columnList}) VALUES\n`;
+
+        let batch = [];
+        let batchBytes = 0;
+        let rowCount = 0;
+        const flush = async () => {
+            if (batch.length > 0) {
+                await this.writeOutput(output, `${insertPrefix}${batch.join(',\n')};\n`);
+                batch = [];
+                batchBytes = 0;
+            }
+        };
+
+        await this.writeOutput(output, `-- Dados da tabela ${tableName}\nLOCK TABLES \`${tableName}\` WRITE;\n`);
+
+        for await (const { row, fields } of this.streamTableRows(connection, tableName, columns, where)) {
+            const tuple = `(${row.map((value, i) => formatSqlValue(value, fields[i])).join(',')})`;
+            batch.push(tuple);
+            batchBytes += tuple.length;
+            rowCount++;
+            if (batchBytes >= INSERT_BATCH_BYTES) {
+                await flush();
+            }
+        }
+        await flush();
+
+        await this.writeOutput(output, 'UNLOCK TABLES;\n\n');
+        return rowCount;
     }
 
     /**
-     * Exporta usando consultas SQL diretas (fallback)
+     * Exporta usando consultas SQL diretas (fallback): estrutura e dados das tabelas,
+     * views, triggers e rotinas, em streaming e a partir de um snapshot consistente
      */
-    async exportUsingSQL(outputFile) {
+    async exportUsingSQL(outputFile, compression = null) {
+        const { output, written } = this.openOutput(outputFile, compression);
+        written.catch(() => {});
+        let connection;
         try {
             this.log('info', 'Usando método de export SQL direto...');
-            
-            // Obter lista de tabelas
-            const [tables] = await this.pool.execute(
-                'SHOW TABLES FROM ' + this.dbConfig.database
-            );
-            
-            let sqlDump = '';
-            sqlDump += `-- MySQL dump gerado em ${new Date().toISOString()}\n`;
-            sqlDump += `-- Banco de dados: ${this.dbConfig.database}\n\n`;
-            sqlDump += `SET FOREIGN_KEY_CHECKS=0;\n`;
-            sqlDump += `SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO";\n`;
-            sqlDump += `SET time_zone = "+00:00";\n\n`;
-            
-            const tableKey = `Tables_in_${this.dbConfig.database}`;
-            
-            for (const tableRow of tables) {
-                const tableName = tableRow[tableKey];
-                
+
+            // Snapshot consistente (como --single-transaction) e TIMESTAMPs lidos em UTC
+            connection = await this.pool.getConnection();
+            await connection.query("SET SESSION time_zone = '+00:00'");
+            await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+            await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+
+            const [objects] = await connection.query(`SHOW FULL TABLES FROM \`${this.dbConfig.database}\``);
+            const nameKey = `Tables_in_${this.dbConfig.database}`;
+            const tables = objects.filter(row => row.Table_type === 'BASE TABLE').map(row => row[nameKey]);
+            const viewNames = objects.filter(row => row.Table_type === 'VIEW').map(row => row[nameKey]);
+
+            await this.writeOutput(output, [
+                `-- MySQL dump gerado em ${new Date().toISOString()}`,
+                `-- Banco de dados: ${this.dbConfig.database}`,
+                '',
+                buildDumpHeader()
+            ].join('\n'));
+
+            const rowCounts = {};
+            for (const tableName of tables) {
                 this.log('info', `Exportando tabela: ${tableName}`);
-                
-                // Estrutura da tabela
-                const [createTable] = await this.pool.execute(`SHOW CREATE TABLE ${tableName}`);
-                sqlDump += `-- Estrutura da tabela ${tableName}\n`;
-                sqlDump += `DROP TABLE IF EXISTS \`${tableName}\`;\n`;
-                sqlDump += createTable[0]['Create Table'] + ';\n\n';
-                
-                // Dados da tabela
-                const [rows] = await this.pool.execute(`SELECT * FROM \`${tableName}\``);
-                
-                if (rows.length > 0) {
-                    sqlDump += `-- Dados da tabela ${tableName}\n`;
-                    sqlDump += `LOCK TABLES \`${tableName}\` WRITE;\n`;
-                    
-                    const columns = Object.keys(rows[0]);
-                    const columnNames = columns.map(col => `\`${col}\``).join(', ');
-                    
-                    for (const row of rows) {
-                        const values = columns.map(col => {
-                            const value = row[col];
-                            if (value === null) return 'NULL';
-                            if (typeof value === 'string') return `'${value.replace(/'/g, "\\'")}'`;
-                            if (value instanceof Date) return `'${value.toISOString().slice(0, 19).replace('T', ' ')}'`;
-                            return value;
-                        }).join(', ');
-                        
-                        sqlDump += `INSERT INTO \`${tableName}\` (${columnNames}) VALUES (${values});\n`;
-                    }
-                    
-                    sqlDump += `UNLOCK TABLES;\n\n`;
-                }
+
+                const [createTable] = await connection.query(`SHOW CREATE TABLE \`${tableName}\``);
+                await this.writeOutput(output,
+                    `-- Estrutura da tabela ${tableName}\n` +
+                    `DROP TABLE IF EXISTS \`${tableName}\`;\n` +
+                    `${createTable[0]['Create Table']};\n\n`
+                );
+
+                rowCounts[tableName] = await this.exportTableData(connection, output, tableName);
             }
-            
-            sqlDump += `SET FOREIGN_KEY_CHECKS=1;\n`;
-            
-            fs.writeFileSync(outputFile, sqlDump);
-            this.log('success', `Export SQL direto concluído: ${outputFile}`);
-            
+
+            // Views depois das tabelas, na ordem em que dependem umas das outras
+            const views = [];
+            for (const name of viewNames) {
+                const [createView] = await connection.query(`SHOW CREATE VIEW \`${name}\``);
+                views.push({ name, definition: createView[0]['Create View'] });
+            }
+            for (const view of orderViews(views)) {
+                this.log('info', `Exportando view: ${view.name}`);
+                await this.writeOutput(output,
+                    `-- View ${view.name}\n` +
+                    `DROP VIEW IF EXISTS \`${view.name}\`;\n` +
+                    `${view.definition};\n\n`
+                );
+            }
+
+            // Triggers depois dos dados, para não dispararem durante a importação
+            const [triggers] = await connection.query(`SHOW TRIGGERS FROM \`${this.dbConfig.database}\``);
+            for (const trigger of triggers) {
+                const [createTrigger] = await connection.query(`SHOW CREATE TRIGGER \`${trigger.Trigger}\``);
+                await this.writeOutput(output,
+                    `-- Trigger ${trigger.Trigger}\n` +
+                    `DROP TRIGGER IF EXISTS \`${trigger.Trigger}\`;\n` +
+                    `DELIMITER ;;\n${createTrigger[0]['SQL Original Statement']};;\nDELIMITER ;\n\n`
+                );
+            }
+
+            const routines = [];
+            for (const type of ['PROCEDURE', 'FUNCTION']) {
+                const [rows] = await connection.query(`SHOW ${type} STATUS WHERE Db = ?`, [this.dbConfig.database]);
+                routines.push(...rows.map(row => ({ type, name: row.Name })));
+            }
+            for (const routine of routines) {
+                const [createRoutine] = await connection.query(`SHOW CREATE ${routine.type} \`${routine.name}\``);
+                const definition = createRoutine[0][routine.type === 'PROCEDURE' ? 'Create Procedure' : 'Create Function'];
+                await this.writeOutput(output,
+                    `-- ${routine.type === 'PROCEDURE' ? 'Procedure' : 'Function'} ${routine.name}\n` +
+                    `DROP ${routine.type} IF EXISTS \`${routine.name}\`;\n` +
+                    `DELIMITER ;;\n${definition};;\nDELIMITER ;\n\n`
+                );
+            }
+
+            await this.writeOutput(output, buildDumpFooter());
+
+            // Contagens e checksums no mesmo snapshot, para o manifesto
+            this.tableStats = {
+                consistent: true,
+                tables: await captureTableStats(connection, tables.map(table => ({ table })))
+            };
+            await connection.query('COMMIT');
+            output.end();
+            await written;
+
+            this.log('success', `Export SQL direto concluído: ${outputFile}`, {
+                tables: tables.length,
+                rows: Object.values(rowCounts).reduce((sum, count) => sum + count, 0),
+                views: views.length,
+                triggers: triggers.length,
+                routines: routines.length
+            });
+
             return outputFile;
-            
+
         } catch (error) {
             this.log('error', 'Erro no export SQL direto', error.message);
+            output.destroy();
+            throw error;
+        } finally {
+            // A sessão foi alterada (time_zone, snapshot): a conexão não volta ao pool
+            if (connection) {
+                connection.destroy();
+            }
+        }
+    }
+
+    /**
+     * Grava as linhas de uma tabela em um arquivo CSV (com cabeçalho, linhas em CRLF)
+     * ou NDJSON (um objeto por linha)
+     */
+    async exportTableFile(connection, filePath, entry, format, compression = null) {
+        const columns = await getInsertableColumns(connection, entry.table);
+        const { output, written } = this.openOutput(filePath, compression);
+        written.catch(() => {});
+        let rows = 0;
+        try {
+            if (format === 'csv') {
+                await this.writeOutput(output, `${columns.map(quoteCsv).join(',')}\r\n`);
+            }
+
+            for await (const { row, fields } of this.streamTableRows(connection, entry.table, columns, entry.where)) {
+                if (format === 'csv') {
+                    await this.writeOutput(output, `${row.map((value, i) => formatCsvValue(value, fields[i])).join(',')}\r\n`);
+                } else {
+                    const record = {};
+                    columns.forEach((col, i) => { record[col] = formatJsonValue(row[i], fields[i]); });
+                    await this.writeOutput(output, `${JSON.stringify(record)}\n`);
+                }
+                rows++;
+            }
+
+            output.end();
+            await written;
+            return { columns, rows };
+
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Exporta as tabelas em arquivos CSV ou NDJSON no diretório informado, um por tabela,
+     * a partir de um snapshot consistente, e grava o manifesto com as linhas de cada arquivo.
+     * entries = [{ table, where }]; sem entries, exporta todas as tabelas do banco.
+     */
+    async exportTableFiles(outputDir, format, compression = null, entries = null, users = null) {
+        let connection;
+        try {
+            this.log('info', `Exportando tabelas em ${format.toUpperCase()} para ${outputDir}`);
+            fs.mkdirSync(outputDir, { recursive: true });
+
+            connection = await this.pool.getConnection();
+            await connection.query("SET SESSION time_zone = '+00:00'");
+            await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+            await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+
+            if (!entries) {
+                const [objects] = await connection.query(`SHOW FULL TABLES FROM \`${this.dbConfig.database}\``);
+                const nameKey = `Tables_in_${this.dbConfig.database}`;
+                entries = objects
+                    .filter(row => row.Table_type === 'BASE TABLE')
+                    .map(row => ({ table: row[nameKey], where: null }));
+            }
+
+            const manifest = {
+                database: this.dbConfig.database,
+                format,
+                compression,
+                createdAt: new Date().toISOString(),
+                users,
+                consistent: true,
+                tables: []
+            };
+            const stats = await captureTableStats(connection, entries);
+
+            for (const entry of entries) {
+                const file = `${entry.table}${EXPORT_FORMATS[format].extension}${compression ? COMPRESSION_FORMATS[compression].extension : ''}`;
+                const filePath = path.join(outputDir, file);
+                const { columns, rows } = await this.exportTableFile(connection, filePath, entry, format, compression);
+                manifest.tables.push({
+                    table: entry.table,
+                    file,
+                    columns,
+                    rows,
+                    checksum: stats.find(stat => stat.table === entry.table).checksum,
+                    bytes: this.getFileSize(filePath).bytes,
+                    sha256: await hashFile(filePath)
+                });
+                this.log('info', `Tabela ${entry.table}: ${rows} linhas em ${file}`);
+            }
+
+            await connection.query('COMMIT');
+            fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+            this.log('success', `Export ${format.toUpperCase()} criado: ${outputDir} (${manifest.tables.length} tabelas)`);
+            return outputDir;
+
+        } catch (error) {
+            this.log('error', `Erro no export ${format.toUpperCase()}`, error.message);
+            throw error;
+        } finally {
+            if (connection) {
+                connection.destroy();
+            }
+        }
+    }
+
+    /**
+     * Monta, por tabela, o filtro das linhas dos dois usuários: o registro de cada um na
+     * tabela de usuários e as linhas das tabelas de migração em que a coluna de usuário
+     * (com o discriminador, se houver) aponta para a origem ou o destino
+     */
+    buildUserScope(sourceUserId, targetUserId, migrationTables = getMigrationTables()) {
+        const { name: userTable, primaryKey } = getConfig().userTable;
+        const scope = new Map([[userTable, [{
+            sql: `\`${primaryKey}\` IN (?, ?)`,
+            params: [sourceUserId, targetUserId]
+        }]]]);
+
+        for (const target of expandMigrationTargets(migrationTables)) {
+            if (!scope.has(target.table)) {
+                scope.set(target.table, []);
+            }
+            for (const userId of [sourceUserId, targetUserId]) {
+                scope.get(target.table).push(buildOwnerPredicate(target, userId));
+            }
+        }
+
+        return [...scope.entries()].map(([table, predicates]) => ({
+            table,
+            where: {
+                sql: predicates.map(predicate => `(${predicate.sql})`).join(' OR '),
+                params: predicates.flatMap(predicate => predicate.params)
+            }
+        }));
+    }
+
+    /**
+     * Exporta apenas as linhas do escopo dos usuários, como REPLACE, para que o
+     * snapshot devolva essas linhas ao estado anterior sem apagar o restante das tabelas.
+     * Todas as tabelas são lidas em uma única conexão e no mesmo snapshot consistente
+     * (o mysqldump exigiria uma execução, e um snapshot, por tabela).
+     */
+    async exportUserScope(outputFile, scope, compression = null) {
+        const { output, written } = this.openOutput(outputFile, compression);
+        written.catch(() => {});
+        let connection;
+        try {
+            await this.writeOutput(output,
+                `-- MySQL dump (escopo de usuários) gerado em ${new Date().toISOString()}\n` +
+                `-- Banco de dados: ${this.dbConfig.database}\n` +
+                `-- Tabelas: ${scope.map(entry => entry.table).join(', ')}\n\n`
+            );
+
+            connection = await this.pool.getConnection();
+            await connection.query("SET SESSION time_zone = '+00:00'");
+            await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+            await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+
+            await this.writeOutput(output, buildDumpHeader(USER_SCOPE_SESSION_SETTINGS));
+
+            for (const entry of scope) {
+                const rows = await this.exportTableData(connection, output, entry.table, { where: entry.where, replace: true });
+                this.log('info', `Tabela ${entry.table}: ${rows} linhas no snapshot`);
+            }
+
+            await this.writeOutput(output, buildDumpFooter(USER_SCOPE_SESSION_SETTINGS));
+            this.tableStats = { consistent: true, tables: await captureTableStats(connection, scope) };
+            await connection.query('COMMIT');
+
+            output.end();
+            await written;
+            this.log('success', `Snapshot dos usuários criado: ${outputFile}`);
+            return outputFile;
+
+        } catch (error) {
+            this.log('error', 'Erro no export do escopo de usuários', error.message);
+            output.destroy();
+            throw error;
+        } finally {
+            if (connection) {
+                connection.destroy();
+            }
+        }
+    }
+
+    /**
+     * Exporta o snapshot das linhas que uma migração entre os dois usuários vai alterar
+     */
+    async runUserScope(sourceUserId, targetUserId, options = {}) {
+        try {
+            console.log(chalk.blue.bold(`📸 EXPORTANDO SNAPSHOT DOS USUÁRIOS ${sourceUserId} E ${targetUserId}\n`));
+
+            const compression = assertCompressionAvailable(options.compression === undefined ? 'gzip' : options.compression);
+            const outputFile = this.generateDumpFileName(compression, { sourceUserId, targetUserId });
+
+            const scope = this.buildUserScope(sourceUserId, targetUserId, options.migrationTables);
+            await this.exportUserScope(outputFile, scope, compression);
+            const validation = await this.validateDump(outputFile);
+            const manifestFile = await this.writeDumpManifest(outputFile, compression, validation, { sourceUserId, targetUserId });
+            const logFile = this.saveExportLog();
+
+            return {
+                exportedFile: outputFile,
+                tables: scope.map(entry => entry.table),
+                validation,
+                manifestFile,
+                logFile
+            };
+
+        } catch (error) {
+            this.log('error', 'Falha no snapshot dos usuários', error.message);
+            this.saveExportLog();
             throw error;
+        } finally {
+            await this.pool.end();
         }
     }
 
     /**
-     * Verifica o tamanho do arquivo gerado
+     * Verifica o tamanho do arquivo gerado (ou a soma dos arquivos do diretório do export)
      */
     getFileSize(filePath) {
         try {
             const stats = fs.statSync(filePath);
-            const sizeInBytes = stats.size;
+            const sizeInBytes = stats.isDirectory()
+                ? fs.readdirSync(filePath).reduce((total, file) => total + fs.statSync(path.join(filePath, file)).size, 0)
+                : stats.size;
             const sizeInMB = (sizeInBytes / (1024 * 1024)).toFixed(2);
             return { bytes: sizeInBytes, mb: sizeInMB };
         } catch (error) {
@@ -254,10 +755,63 @@ class DatabaseExporter {
     }
 
     /**
-     * Valida o arquivo de dump gerado
+     * Valida um export CSV/NDJSON: cada arquivo do manifesto é lido até o fim e a
+     * quantidade de registros precisa ser a registrada no manifesto
+     */
+    async validateExportDirectory(dirPath) {
+        const manifestFile = path.join(dirPath, MANIFEST_FILE);
+        if (!fs.existsSync(manifestFile)) {
+            throw new Error(`Manifesto ${MANIFEST_FILE} não encontrado em ${dirPath}`);
+        }
+        const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+
+        const tables = [];
+        for (const entry of manifest.tables) {
+            const { stream } = createDumpReadStream(path.join(dirPath, entry.file));
+            let records = 0;
+            let inQuotes = false;
+            for await (const chunk of stream) {
+                for (const byte of chunk) {
+                    // No CSV, quebras de linha entre aspas fazem parte do campo
+                    if (byte === 0x22 && manifest.format === 'csv') {
+                        inQuotes = !inQuotes;
+                    } else if (byte === 0x0a && !inQuotes) {
+                        records++;
+                    }
+                }
+            }
+
+            const rows = manifest.format === 'csv' ? records - 1 : records;
+            if (rows !== entry.rows) {
+                throw new Error(`Arquivo ${entry.file} tem ${rows} registros; o manifesto indica ${entry.rows}`);
+            }
+            tables.push({ table: entry.table, file: entry.file, rows });
+        }
+
+        const size = this.getFileSize(dirPath);
+        this.log('success', `Export validado com sucesso (${tables.length} arquivos ${manifest.format.toUpperCase()}, ${size.mb} MB${manifest.compression ? `, ${manifest.compression}` : ''})`);
+
+        return {
+            valid: true,
+            format: manifest.format,
+            size,
+            compression: manifest.compression,
+            tables
+        };
+    }
+
+    /**
+     * Valida o dump gerado. Dumps comprimidos são descomprimidos em streaming até o fim,
+     * o que também detecta arquivos truncados ou corrompidos. Exports CSV/NDJSON (diretórios)
+     * são conferidos contra o manifesto.
      */
     async validateDump(filePath) {
         try {
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+                this.log('info', 'Validando arquivos do export...');
+                return await this.validateExportDirectory(filePath);
+            }
+
             this.log('info', 'Validando arquivo de dump...');
             
             const fileSize = this.getFileSize(filePath);
@@ -266,9 +820,20 @@ class DatabaseExporter {
                 throw new Error('Arquivo de dump está vazio');
             }
             
+            const { format, stream } = createDumpReadStream(filePath);
+            let head = '';
+            let tail = Buffer.alloc(0);
+            let uncompressedBytes = 0;
+            for await (const chunk of stream) {
+                uncompressedBytes += chunk.length;
+                if (head.length < 64 * 1024) {
+                    head += chunk.toString('utf8');
+                }
+                tail = Buffer.concat([tail, chunk]).subarray(-4096);
+            }
+
             // Ler primeiras linhas para verificar formato
-            const content = fs.readFileSync(filePath, 'utf8');
-            const lines = content.split('\n').slice(0, 10);
+            const lines = head.split('\n').slice(0, 10);
             
             const hasHeader = lines.some(line => line.includes('MySQL dump') || line.includes('mysqldump'));
             const hasSQLCommands = lines.some(line => line.trim().startsWith('CREATE') || line.trim().startsWith('INSERT'));
@@ -276,14 +841,26 @@ class DatabaseExporter {
             if (!hasHeader && !hasSQLCommands) {
                 throw new Error('Arquivo não parece ser um dump MySQL válido');
             }
+
+            // O mysqldump termina com "-- Dump completed" e o export SQL direto restaurando o fuso
+            const footer = tail.toString('utf8');
+            const hasFooter = footer.includes('Dump completed') || footer.includes('SET TIME_ZONE=@OLD_TIME_ZONE');
+            if (!hasFooter) {
+                throw new Error('Dump incompleto: o final do arquivo não tem o rodapé do dump');
+            }
             
-            this.log('success', `Dump validado com sucesso (${fileSize.mb} MB)`);
+            const uncompressedMb = (uncompressedBytes / (1024 * 1024)).toFixed(2);
+            this.log('success', `Dump validado com sucesso (${fileSize.mb} MB${format ? `, ${format}, ${uncompressedMb} MB descomprimido` : ''})`);
             
             return {
                 valid: true,
+                format: 'sql',
                 size: fileSize,
+                compression: format,
+                uncompressedBytes,
                 hasHeader,
-                hasSQLCommands
+                hasSQLCommands,
+                hasFooter
             };
             
         } catch (error) {
@@ -293,48 +870,71 @@ class DatabaseExporter {
     }
 
     /**
-     * Executa o processo completo de export
+     * Executa o processo completo de export. compression é o formato (gzip, brotli,
+     * zstd) ou null para não comprimir; true equivale a gzip.
+     *
+     * options.format: sql (padrão), csv ou ndjson. Em CSV/NDJSON, options.migrationTables
+     * limita o export às tabelas de migração e options.sourceUserId/targetUserId às
+     * linhas dos dois usuários.
      */
-    async run(compressed = true) {
+    async run(compression = 'gzip', options = {}) {
         try {
             console.log(chalk.blue.bold('📦 INICIANDO EXPORT DO BANCO DE DADOS\n'));
             
-            const outputFile = this.generateDumpFileName(compressed);
-            this.log('info', `Arquivo de destino: ${outputFile}`);
+            if (compression === true) {
+                compression = 'gzip';
+            }
+            compression = assertCompressionAvailable(compression || null);
+            const { format = 'sql', migrationTables = null, sourceUserId = null, targetUserId = null } = options;
+            if (!EXPORT_FORMATS[format]) {
+                throw createError(ERROR_CODES.VALIDATION, `Formato "${format}" inválido (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+            }
+            const outputFile = this.generateDumpFileName(compression, { format, sourceUserId, targetUserId });
+            this.log('info', `${format === 'sql' ? 'Arquivo' : 'Diretório'} de destino: ${outputFile}`);
             
             // Verificar se mysqldump está disponível
-            const mysqldumpAvailable = await this.checkMysqldumpAvailable();
+            const mysqldumpAvailable = format === 'sql' && await this.checkMysqldumpAvailable();
             
             let exportedFile;
             
-            if (mysqldumpAvailable) {
+            if (format !== 'sql') {
+                const users = sourceUserId ? { sourceUserId, targetUserId } : null;
+                let entries = null;
+                if (users) {
+                    entries = this.buildUserScope(sourceUserId, targetUserId, migrationTables || undefined);
+                } else if (migrationTables) {
+                    entries = [...new Set(migrationTables.map(t => t.table))].map(table => ({ table, where: null }));
+                }
+                exportedFile = await this.exportTableFiles(outputFile, format, compression, entries, users);
+            } else if (mysqldumpAvailable) {
                 this.log('info', 'mysqldump disponível, usando método otimizado');
-                exportedFile = await this.executeMysqldump(outputFile, compressed);
+                exportedFile = await this.executeMysqldump(outputFile, compression);
             } else {
                 this.log('warning', 'mysqldump não disponível, usando método SQL direto');
-                const sqlFile = this.generateDumpFileName(false);
-                exportedFile = await this.exportUsingSQL(sqlFile);
-                
-                if (compressed) {
-                    this.log('info', 'Comprimindo arquivo...');
-                    // Implementar compressão manual se necessário
-                }
+                exportedFile = await this.exportUsingSQL(outputFile, compression);
             }
             
             // Validar dump
             const validation = await this.validateDump(exportedFile);
+
+            // Manifesto com o hash e as contagens (CSV/NDJSON já têm o manifest.json do diretório)
+            const manifestFile = format === 'sql'
+                ? await this.writeDumpManifest(exportedFile, compression, validation)
+                : path.join(exportedFile, MANIFEST_FILE);
             
             // Salvar log
             const logFile = this.saveExportLog();
             
             console.log(chalk.green.bold('\n✅ EXPORT CONCLUÍDO COM SUCESSO!'));
-            console.log(chalk.white(`📁 Arquivo: ${exportedFile}`));
+            console.log(chalk.white(`📁 ${format === 'sql' ? 'Arquivo' : 'Diretório'}: ${exportedFile}`));
             console.log(chalk.white(`📊 Tamanho: ${validation.size.mb} MB`));
+            console.log(chalk.white(`🧾 Manifesto: ${manifestFile}`));
             console.log(chalk.white(`📋 Log: ${logFile}`));
             
             return {
                 exportedFile,
                 validation,
+                manifestFile,
                 logFile
             };
             
@@ -351,9 +951,16 @@ class DatabaseExporter {
 // Executar export se chamado diretamente
 if (require.main === module) {
     const exporter = new DatabaseExporter();
-    const compressed = process.argv.includes('--no-compress') ? false : true;
+    const compressionArg = process.argv.find(arg => arg.startsWith('--compression='));
+    const formatArg = process.argv.find(arg => arg.startsWith('--format='));
+    const compression = process.argv.includes('--no-compress')
+        ? null
+        : (compressionArg ? compressionArg.split('=')[1] : process.env.DUMP_COMPRESSION || 'gzip');
     
-    exporter.run(compressed)
+    exporter.run(compression, {
+        format: formatArg ? formatArg.split('=')[1] : 'sql',
+        migrationTables: process.argv.includes('--migration-tables') ? getMigrationTables() : null
+    })
         .then((result) => {
             console.log(chalk.green.bold('\n🎉 Export finalizado!'));
             process.exit(0);
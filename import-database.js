@@ -0,0 +1,256 @@
+const mysql = require('mysql2/promise');
+const { getConfig } = require('./config/profiles');
+const { createDumpReadStream } = require('./config/compression');
+const { SqlStatementSplitter } = require('./config/sql-splitter');
+const { ERROR_CODES, createError } = require('./config/errors');
+const chalk = require('chalk');
+const fs = require('fs');
+require('dotenv').config();
+
+/**
+ * Intervalo, em pontos percentuais do arquivo lido, entre os registros de progresso
+ */
+const PROGRESS_STEP = 10;
+
+/**
+ * Tamanho máximo do trecho de SQL guardado no relatório de erros
+ */
+const ERROR_SQL_LENGTH = 300;
+
+/**
+ * Instruções que trocam ou criam o banco de dados; ignoradas quando o banco de destino é sobrescrito
+ */
+const DATABASE_STATEMENT = /^(USE\s|CREATE\s+(DATABASE|SCHEMA)\b)/i;
+
+/**
+ * Classe para importar (restaurar) um dump .sql ou comprimido no banco de dados
+ */
+class DatabaseImporter {
+    constructor(dumpFile, options = {}) {
+        this.config = getConfig();
+        this.dumpFile = dumpFile;
+        this.targetDatabase = options.database || this.config.connection.database;
+        this.databaseOverride = Boolean(options.database) && options.database !== this.config.connection.database;
+        this.continueOnError = options.continueOnError || false;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        this.importLog = [];
+        this.errors = [];
+    }
+
+    /**
+     * Adiciona entrada ao log de importação
+     */
+    log(level, message, data = null) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data
+        };
+        this.importLog.push(logEntry);
+
+        const colorMap = {
+            info: chalk.blue,
+            success: chalk.green,
+            warning: chalk.yellow,
+            error: chalk.red
+        };
+
+        console.log(colorMap[level] || chalk.white, `[${level.toUpperCase()}] ${message}`);
+        if (data) {
+            console.log(chalk.gray('  Data:'), data);
+        }
+    }
+
+    /**
+     * Salva o log de importação, com o relatório de erros, em arquivo
+     */
+    saveImportLog(stats = null) {
+        const logFile = `import-log-${Date.now()}.json`;
+        fs.writeFileSync(logFile, JSON.stringify({
+            dumpFile: this.dumpFile,
+            targetDatabase: this.targetDatabase,
+            dryRun: this.dryRun,
+            continueOnError: this.continueOnError,
+            timestamp: new Date().toISOString(),
+            stats,
+            errors: this.errors,
+            log: this.importLog
+        }, null, 2));
+        this.log('info', `Log de importação salvo em: ${logFile}`);
+        return logFile;
+    }
+
+    /**
+     * Abre a conexão no banco de destino, criando-o se for um banco diferente do configurado
+     */
+    async connect() {
+        const { database, ...connectionConfig } = this.config.connection;
+        const connection = await mysql.createConnection(connectionConfig);
+
+        if (this.databaseOverride) {
+            await connection.query(`CREATE DATABASE IF NOT EXISTS \`${this.targetDatabase.replace(/`/g, '``')}\``);
+            this.log('info', `Banco de destino: ${this.targetDatabase} (sobrescreve ${database})`);
+        } else {
+            this.log('warning', `Importando no banco configurado ${this.targetDatabase}: as tabelas do dump serão recriadas`);
+        }
+        await connection.query(`USE \`${this.targetDatabase.replace(/`/g, '``')}\``);
+
+        return connection;
+    }
+
+    /**
+     * Executa uma instrução do dump. Com continueOnError, a falha é registrada e a importação segue.
+     */
+    async executeStatement(connection, statement, number) {
+        try {
+            await connection.query(statement.sql);
+            return true;
+        } catch (error) {
+            const report = {
+                statement: number,
+                line: statement.line,
+                code: error.code,
+                error: error.message,
+                sql: statement.sql.length > ERROR_SQL_LENGTH
+                    ? `${statement.sql.slice(0, ERROR_SQL_LENGTH)}...`
+                    : statement.sql
+            };
+            this.errors.push(report);
+
+            if (!this.continueOnError) {
+                this.log('error', `Falha na instrução ${number} (linha ${statement.line})`, report);
+                throw new Error(`Falha na instrução ${number} (linha ${statement.line}): ${error.message}`);
+            }
+            this.log('warning', `Instrução ${number} (linha ${statement.line}) falhou; continuando`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Executa o processo completo de importação, lendo o dump em streaming
+     */
+    async run() {
+        let connection;
+        const stats = {
+            totalBytes: 0,
+            bytesRead: 0,
+            statements: 0,
+            executed: 0,
+            skipped: 0,
+            failed: 0
+        };
+        try {
+            console.log(chalk.blue.bold(`📥 IMPORTANDO DUMP DO BANCO ${this.dryRun ? '(DRY RUN)' : ''}\n`));
+
+            if (!this.dumpFile || !fs.existsSync(this.dumpFile)) {
+                throw createError(ERROR_CODES.VALIDATION, `Arquivo de dump não encontrado: ${this.dumpFile}`);
+            }
+            stats.totalBytes = fs.statSync(this.dumpFile).size;
+
+            const { format, stream, input } = createDumpReadStream(this.dumpFile);
+            this.log('info', `Lendo ${this.dumpFile} (${(stats.totalBytes / (1024 * 1024)).toFixed(2)} MB${format ? `, ${format}` : ''})`);
+
+            // Em DRY RUN o dump é apenas lido e dividido em instruções, sem conexão com o banco
+            if (!this.dryRun) {
+                connection = await this.connect();
+            }
+
+            const splitter = new SqlStatementSplitter();
+            let nextProgress = PROGRESS_STEP;
+
+            const handle = async (statements) => {
+                for (const statement of statements) {
+                    stats.statements++;
+                    if (this.databaseOverride && DATABASE_STATEMENT.test(statement.sql)) {
+                        stats.skipped++;
+                        this.log('warning', `Instrução ${stats.statements} (linha ${statement.line}) ignorada: troca o banco de destino`, statement.sql.slice(0, 100));
+                        continue;
+                    }
+                    if (this.dryRun) {
+                        continue;
+                    }
+                    if (await this.executeStatement(connection, statement, stats.statements)) {
+                        stats.executed++;
+                    } else {
+                        stats.failed++;
+                    }
+                }
+            };
+
+            for await (const chunk of stream) {
+                await handle(splitter.push(chunk));
+
+                stats.bytesRead = input.bytesRead;
+                const percent = stats.totalBytes > 0 ? Math.floor((stats.bytesRead / stats.totalBytes) * 100) : 100;
+                if (percent >= nextProgress && percent < 100) {
+                    this.log('info', `Progresso: ${percent}% (${(stats.bytesRead / (1024 * 1024)).toFixed(2)} de ${(stats.totalBytes / (1024 * 1024)).toFixed(2)} MB), ${stats.statements} instruções`);
+                    nextProgress = Math.floor(percent / PROGRESS_STEP) * PROGRESS_STEP + PROGRESS_STEP;
+                }
+            }
+            await handle(splitter.end());
+            stats.bytesRead = stats.totalBytes;
+
+            if (this.dryRun) {
+                this.log('warning', `DRY RUN: ${stats.statements - stats.skipped} instruções seriam executadas em ${this.targetDatabase}`);
+            } else {
+                this.log(stats.failed > 0 ? 'warning' : 'success',
+                    `Importação concluída: ${stats.executed} instruções executadas${stats.failed > 0 ? `, ${stats.failed} com erro` : ''}`);
+            }
+
+            const logFile = this.saveImportLog(stats);
+
+            console.log(chalk.green.bold(`\n✅ DUMP ${this.dryRun ? 'VERIFICADO' : 'IMPORTADO'}`));
+            console.log(chalk.white(`🗄️  Banco de destino: ${this.targetDatabase}`));
+            console.log(chalk.white(`📊 Instruções: ${stats.statements}`));
+            if (stats.failed > 0) {
+                console.log(chalk.yellow(`⚠️  Instruções com erro: ${stats.failed} (detalhes no log)`));
+            }
+            console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
+
+            return {
+                dumpFile: this.dumpFile,
+                targetDatabase: this.targetDatabase,
+                ...stats,
+                errors: this.errors,
+                logFile
+            };
+
+        } catch (error) {
+            this.log('error', 'Falha na importação', error.message);
+            this.saveImportLog(stats);
+            throw error;
+        } finally {
+            if (connection) {
+                await connection.end();
+            }
+        }
+    }
+}
+
+// Executar importação se chamado diretamente
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dumpFile = args.find(arg => !arg.startsWith('--'));
+    const databaseArg = args.find(arg => arg.startsWith('--database='));
+    if (!dumpFile) {
+        console.error(chalk.red('Uso: node import-database.js <dump.sql[.gz]> [--database=<banco>] [--continue-on-error]'));
+        process.exit(1);
+    }
+
+    const importer = new DatabaseImporter(dumpFile, {
+        database: databaseArg ? databaseArg.split('=')[1] : undefined,
+        continueOnError: args.includes('--continue-on-error')
+    });
+    importer.run()
+        .then(() => {
+            console.log(chalk.green.bold('\n🎉 Processo finalizado!'));
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error(chalk.red.bold('\n💥 Falha no processo:'), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = DatabaseImporter;
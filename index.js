@@ -2,10 +2,15 @@
 
 const { testConnection } = require('./config/database');
 const { getMigrationTables } = require('./config/tables');
+const { getConfig, setProfile } = require('./config/profiles');
+const { findUnfinishedCheckpoints } = require('./config/checkpoint');
 const DatabaseAnalyzer = require('./analyze-database');
 const UserMigrator = require('./migrate');
 const UserRemover = require('./remove-user');
 const DatabaseExporter = require('./export-database');
+const MigrationUndoer = require('./undo-migration');
+const BackupRestorer = require('./restore-backup');
+const DatabaseImporter = require('./import-database');
 const chalk = require('chalk');
 const readline = require('readline');
 require('dotenv').config();
@@ -19,6 +24,7 @@ class MigrationCLI {
             input: process.stdin,
             output: process.stdout
         });
+        this.config = getConfig();
         this.migrationTables = getMigrationTables();
     }
 
@@ -40,7 +46,7 @@ class MigrationCLI {
         console.log(chalk.blue.bold('\n  ╔══════════════════════════════════════════════════════════════╗'));
         console.log(chalk.blue.bold('  ║                    MIGRAÇÃO DE USUÁRIO MYSQL                 ║'));
         console.log(chalk.blue.bold('  ║                                                              ║'));
-        console.log(chalk.blue.bold('  ║  Migra dados do usuário ID 41 para ID 358 e remove origem    ║'));
+        console.log(chalk.blue.bold('  ║  Migra dados entre usuários e remove o usuário origem        ║'));
         console.log(chalk.blue.bold('  ╚══════════════════════════════════════════════════════════════╝\n'));
     }
 
@@ -49,18 +55,58 @@ class MigrationCLI {
      */
     showConfiguration() {
         console.log(chalk.yellow('📋 CONFIGURAÇÕES ATUAIS:'));
-        console.log(chalk.white(`  • Banco de dados: ${process.env.DB_NAME || 'fiesto18_database'}`));
-        console.log(chalk.white(`  • Usuário origem: ${process.env.SOURCE_USER_ID || 41}`));
-        console.log(chalk.white(`  • Usuário destino: ${process.env.TARGET_USER_ID || 358}`));
+        console.log(chalk.white(`  • Perfil: ${this.config.profile}`));
+        console.log(chalk.white(`  • Banco de dados: ${this.config.connection.database}`));
+        console.log(chalk.white(`  • Tabela de usuários: ${this.config.userTable.name} (${this.config.userTable.primaryKey})`));
+        console.log(chalk.white(`  • Usuário origem: ${this.config.users.source || 'não definido'}`));
+        console.log(chalk.white(`  • Usuário destino: ${this.config.users.target || 'não definido'}`));
         console.log(chalk.white(`  • Modo DRY RUN: ${process.env.DRY_RUN === 'true' ? 'SIM' : 'NÃO'}`));
         
         console.log(chalk.cyan('\n🎯 TABELAS ESPECIFICADAS:'));
         this.migrationTables.forEach(table => {
-            console.log(chalk.white(`  • ${table.table} (coluna: ${table.column})`));
+            const columns = (table.columns || [table.column]).join(', ');
+            const discriminator = table.discriminator ? `, ${table.discriminator.column} = '${table.discriminator.value}'` : '';
+            console.log(chalk.white(`  • ${table.table} (coluna: ${columns}${discriminator})`));
         });
         console.log('');
     }
 
+    /**
+     * Detecta migrações interrompidas e oferece retomá-las
+     */
+    async offerResume() {
+        const unfinished = findUnfinishedCheckpoints();
+        if (unfinished.length === 0) {
+            return null;
+        }
+
+        console.log(chalk.yellow('⏸️  MIGRAÇÕES NÃO CONCLUÍDAS:'));
+        unfinished.forEach(checkpoint => {
+            const current = checkpoint.currentTable ? `, em ${checkpoint.currentTable.table}` : '';
+            console.log(chalk.white(`  • ${checkpoint.runId}: ${checkpoint.sourceUserId} → ${checkpoint.targetUserId} ` +
+                `(${checkpoint.status}, ${checkpoint.tablesDone.length} tabelas concluídas${current})`));
+        });
+        console.log('');
+
+        const latest = unfinished[0];
+        const confirm = await this.askQuestion(`Deseja retomar a execução ${latest.runId}? (s/n): `);
+        if (confirm !== 's' && confirm !== 'sim') {
+            console.log('');
+            return null;
+        }
+
+        try {
+            const migrator = new UserMigrator({ resumeRunId: latest.runId });
+            const result = await migrator.run();
+
+            console.log(chalk.green('\n✅ Migração retomada e concluída!\n'));
+            return result;
+        } catch (error) {
+            console.log(chalk.red(`❌ Erro ao retomar migração: ${error.message}\n`));
+            return null;
+        }
+    }
+
     /**
      * Menu principal
      */
@@ -71,9 +117,12 @@ class MigrationCLI {
         console.log(chalk.white('  3. Executar migração de dados'));
         console.log(chalk.white('  4. Remover usuário origem (após migração)'));
         console.log(chalk.white('  7. Sair'));
+        console.log(chalk.white('  8. Desfazer migração a partir do log'));
+        console.log(chalk.white('  9. Restaurar backup de usuário removido'));
+        console.log(chalk.white('  10. Importar dump do banco (.sql, .sql.gz)'));
         console.log('');
 
-        const choice = await this.askQuestion('Escolha uma opção (1-7): ');
+        const choice = await this.askQuestion('Escolha uma opção (1-10): ');
         return choice;
     }
 
@@ -151,7 +200,16 @@ class MigrationCLI {
         }
         
         try {
-            const remover = new UserRemover();
+            const remover = new UserRemover({
+                confirmCascade: async (cascade) => {
+                    console.log(chalk.yellow('⚠️  As linhas abaixo serão APAGADAS EM CASCATA junto com o usuário:'));
+                    for (const ref of cascade) {
+                        console.log(chalk.white(`  • ${ref.key} (${ref.constraint}): ${ref.rows} linhas`));
+                    }
+                    const answer = await this.askQuestion('Confirma a remoção em cascata? (s/n): ');
+                    return answer === 's' || answer === 'sim';
+                }
+            });
             const result = await remover.run();
             
             console.log(chalk.green('\n✅ Remoção concluída com sucesso!\n'));
@@ -162,6 +220,111 @@ class MigrationCLI {
         }
     }
 
+    /**
+     * Desfaz uma migração a partir do seu arquivo de log
+     */
+    async undoMigration() {
+        console.log(chalk.blue('\n↩️  DESFAZENDO MIGRAÇÃO...\n'));
+
+        const logFile = await new Promise((resolve) => {
+            this.rl.question('Caminho do arquivo migration-log-*.json: ', (answer) => resolve(answer.trim()));
+        });
+        if (!logFile) {
+            console.log(chalk.yellow('Operação cancelada: nenhum arquivo informado.\n'));
+            return null;
+        }
+
+        const confirm = await this.askQuestion(`Devolver ao usuário origem as linhas registradas em ${logFile}? (s/n): `);
+        if (confirm !== 's' && confirm !== 'sim') {
+            console.log(chalk.yellow('Operação cancelada pelo usuário.\n'));
+            return null;
+        }
+
+        try {
+            const undoer = new MigrationUndoer(logFile);
+            const result = await undoer.run();
+
+            console.log(chalk.green('\n✅ Migração desfeita!\n'));
+            return result;
+        } catch (error) {
+            console.log(chalk.red(`❌ Erro ao desfazer migração: ${error.message}\n`));
+            throw error;
+        }
+    }
+
+    /**
+     * Restaura o backup de um usuário removido
+     */
+    async restoreBackup() {
+        console.log(chalk.blue('\n♻️  RESTAURANDO BACKUP DE USUÁRIO...\n'));
+
+        const backupFile = await new Promise((resolve) => {
+            this.rl.question('Caminho do arquivo user-backup-*.json: ', (answer) => resolve(answer.trim()));
+        });
+        if (!backupFile) {
+            console.log(chalk.yellow('Operação cancelada: nenhum arquivo informado.\n'));
+            return null;
+        }
+
+        const confirm = await this.askQuestion(`Reinserir as linhas registradas em ${backupFile}? (s/n): `);
+        if (confirm !== 's' && confirm !== 'sim') {
+            console.log(chalk.yellow('Operação cancelada pelo usuário.\n'));
+            return null;
+        }
+
+        try {
+            const restorer = new BackupRestorer(backupFile);
+            const result = await restorer.run();
+
+            console.log(chalk.green('\n✅ Backup restaurado!\n'));
+            return result;
+        } catch (error) {
+            console.log(chalk.red(`❌ Erro ao restaurar backup: ${error.message}\n`));
+            throw error;
+        }
+    }
+
+    /**
+     * Importa um dump do banco, opcionalmente em outro banco de destino
+     */
+    async importDump() {
+        console.log(chalk.blue('\n📥 IMPORTANDO DUMP DO BANCO...\n'));
+
+        const dumpFile = await new Promise((resolve) => {
+            this.rl.question('Caminho do arquivo de dump (.sql, .sql.gz): ', (answer) => resolve(answer.trim()));
+        });
+        if (!dumpFile) {
+            console.log(chalk.yellow('Operação cancelada: nenhum arquivo informado.\n'));
+            return null;
+        }
+
+        const database = await new Promise((resolve) => {
+            this.rl.question(`Banco de destino (Enter para ${this.config.connection.database}): `, (answer) => resolve(answer.trim()));
+        });
+        const target = database || this.config.connection.database;
+
+        const confirm = await this.askQuestion(`Executar ${dumpFile} no banco ${target}? As tabelas do dump serão recriadas (s/n): `);
+        if (confirm !== 's' && confirm !== 'sim') {
+            console.log(chalk.yellow('Operação cancelada pelo usuário.\n'));
+            return null;
+        }
+        const proceed = await this.askQuestion('Continuar após instruções com erro? (s/n): ');
+
+        try {
+            const importer = new DatabaseImporter(dumpFile, {
+                database: database || undefined,
+                continueOnError: proceed === 's' || proceed === 'sim'
+            });
+            const result = await importer.run();
+
+            console.log(chalk.green('\n✅ Dump importado!\n'));
+            return result;
+        } catch (error) {
+            console.log(chalk.red(`❌ Erro ao importar dump: ${error.message}\n`));
+            throw error;
+        }
+    }
+
     /**
      * Exporta dump do banco
      */
@@ -191,9 +354,9 @@ class MigrationCLI {
         
         console.log(chalk.yellow('Este processo irá:'));
         console.log(chalk.white('  1. Analisar o banco de dados'));
-        console.log(chalk.white('  2. Migrar dados das tabelas especificadas do usuário 41 para 358'));
+        console.log(chalk.white(`  2. Migrar dados das tabelas especificadas do usuário ${this.config.users.source} para ${this.config.users.target}`));
         console.log(chalk.white('  3. Verificar integridade da migração'));
-        console.log(chalk.white('  4. Remover o usuário 41 permanentemente'));
+        console.log(chalk.white(`  4. Remover o usuário ${this.config.users.source} permanentemente`));
         console.log(chalk.white('  5. Exportar dump completo do banco de dados'));
         console.log('');
         
@@ -253,6 +416,7 @@ class MigrationCLI {
         try {
             this.showBanner();
             this.showConfiguration();
+            await this.offerResume();
             
             while (true) {
                 const choice = await this.showMainMenu();
@@ -280,6 +444,15 @@ class MigrationCLI {
                         console.log(chalk.blue('👋 Saindo... Até logo!\n'));
                         this.rl.close();
                         return;
+                    case '8':
+                        await this.undoMigration();
+                        break;
+                    case '9':
+                        await this.restoreBackup();
+                        break;
+                    case '10':
+                        await this.importDump();
+                        break;
                     default:
                         console.log(chalk.red('❌ Opção inválida. Tente novamente.\n'));
                 }
@@ -301,8 +474,18 @@ class MigrationCLI {
 
 // Executar CLI se chamado diretamente
 if (require.main === module) {
-    const cli = new MigrationCLI();
-    cli.run();
+    const profileIndex = process.argv.indexOf('--profile');
+    if (profileIndex !== -1) {
+        setProfile(process.argv[profileIndex + 1]);
+    }
+
+    try {
+        const cli = new MigrationCLI();
+        cli.run();
+    } catch (error) {
+        console.error(chalk.red.bold('\n💥 Erro fatal:'), error.message);
+        process.exit(1);
+    }
 }
 
 module.exports = MigrationCLI;
\ No newline at end of file
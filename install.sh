@@ -52,8 +52,17 @@ else
     echo "ℹ️  Arquivo .env já existe"
 fi
 
+# Criar arquivo de perfis se não existir
+if [ ! -f user-migration.config.json ]; then
+    echo "📝 Criando arquivo de perfis user-migration.config.json..."
+    cp user-migration.config.example.json user-migration.config.json
+    echo "✅ Arquivo de perfis criado. Por favor, revise os perfis e as tabelas."
+else
+    echo "ℹ️  Arquivo user-migration.config.json já existe"
+fi
+
 # Tornar scripts executáveis
-chmod +x index.js
+chmod +x index.js cli.js
 
 # Executar testes básicos
 echo "🧪 Executando testes básicos..."
@@ -69,7 +78,8 @@ echo ""
 echo "🎉 Instalação concluída!"
 echo ""
 echo "📋 Próximos passos:"
-echo "1. Edite o arquivo .env com suas configurações de banco de dados"
+echo "1. Edite o arquivo .env com as credenciais do banco de dados"
+echo "   e revise os perfis em user-migration.config.json"
 echo "2. Execute 'npm start' para iniciar a interface"
 echo "3. Ou execute 'node index.js' diretamente"
 echo ""
@@ -1,21 +1,107 @@
 const { createPool } = require('./config/database');
-const { getMigrationTables } = require('./config/tables');
+const { getMigrationTables, expandMigrationTargets, getConflictStrategy } = require('./config/tables');
+const { getConfig, getUserLabel } = require('./config/profiles');
+const {
+    getPrimaryKeyColumns,
+    getInsertableColumns,
+    getUniqueKeysForColumn,
+    findUniqueKeyConflicts,
+    getAutoUpdateColumns,
+    buildKeyPredicate,
+    buildOwnerPredicate,
+    buildAssignments,
+    pickKey
+} = require('./config/schema');
+const {
+    createRunId,
+    hashMigrationTables,
+    saveCheckpoint,
+    appendCheckpointKeys,
+    loadCheckpoint
+} = require('./config/checkpoint');
+const { captureFingerprints, compareFingerprints } = require('./config/fingerprint');
+const { computeMergeDiff, findUniqueMergeColumns } = require('./config/merge');
+const { ERROR_CODES, createError } = require('./config/errors');
 const DatabaseAnalyzer = require('./analyze-database');
+const DatabaseExporter = require('./export-database');
 const chalk = require('chalk');
 const fs = require('fs');
 require('dotenv').config();
 
+/**
+ * Prefixo dos índices criados temporariamente nas colunas de usuário sem índice
+ */
+const TEMPORARY_INDEX_PREFIX = 'tmp_migration_';
+
+/**
+ * Aguarda o tempo informado, em milissegundos
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Formata uma duração em segundos como "1h02m", "3m05s" ou "42s"
+ */
+const formatDuration = (seconds) => {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+        return `${hours}h${String(minutes).padStart(2, '0')}m`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m${String(secs).padStart(2, '0')}s`;
+    }
+    return `${secs}s`;
+};
+
 /**
  * Classe principal para migração de dados de usuário
  */
 class UserMigrator {
-    constructor() {
-        this.pool = createPool();
-        this.sourceUserId = parseInt(process.env.SOURCE_USER_ID) || 41;
-        this.targetUserId = parseInt(process.env.TARGET_USER_ID) || 358;
-        this.dryRun = process.env.DRY_RUN === 'true';
+    constructor(options = {}) {
+        this.ownsPool = !options.pool;
+        this.pool = options.pool || createPool();
+        this.config = getConfig();
+        this.sourceUserId = options.sourceUserId || this.config.users.source;
+        this.targetUserId = options.targetUserId || this.config.users.target;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        this.bestEffort = options.bestEffort || process.env.MIGRATION_MODE === 'best-effort';
+        this.updateMode = options.updateMode || (process.env.UPDATE_MODE === 'chunked' ? 'chunked' : 'atomic');
+        this.chunkSize = options.chunkSize || parseInt(process.env.CHUNK_SIZE) || 1000;
+        this.chunkSleepMs = parseInt(process.env.CHUNK_SLEEP_MS) || 0;
+        this.maxThreadsRunning = parseInt(process.env.MAX_THREADS_RUNNING) || 0;
         this.migrationLog = [];
-        this.migrationTables = getMigrationTables();
+        this.migrationTables = options.migrationTables || getMigrationTables();
+        this.migrationTargets = expandMigrationTargets(this.migrationTables);
+        this.migratedRows = {};
+        this.mergedRows = {};
+        this.deletedRows = {};
+        this.userMerge = null;
+        this.userMergeColumns = null;
+        this.snapshot = options.snapshot || process.env.MIGRATION_SNAPSHOT === 'true';
+        this.snapshotFile = null;
+        this.fingerprint = options.fingerprint !== undefined
+            ? options.fingerprint
+            : process.env.MIGRATION_FINGERPRINT !== 'false';
+        this.fingerprints = null;
+        this.fingerprintReport = null;
+        this.temporaryIndex = options.temporaryIndex || process.env.MIGRATION_TEMP_INDEX === 'true';
+        this.temporaryIndexes = [];
+        this.preservedColumns = {};
+        this.checkpoint = null;
+
+        // Ao retomar, o par e o modo de atualização vêm do checkpoint da execução interrompida
+        if (options.resumeRunId) {
+            const { checkpoint, migratedRows } = loadCheckpoint(options.resumeRunId);
+            this.checkpoint = checkpoint;
+            this.migratedRows = migratedRows;
+            this.sourceUserId = checkpoint.sourceUserId;
+            this.targetUserId = checkpoint.targetUserId;
+            this.updateMode = checkpoint.updateMode;
+            this.snapshotFile = checkpoint.snapshotFile || null;
+        }
     }
 
     /**
@@ -49,167 +135,993 @@ class UserMigrator {
     saveMigrationLog() {
         const logFile = `migration-log-${Date.now()}.json`;
         fs.writeFileSync(logFile, JSON.stringify({
+            profile: this.config.profile,
+            database: this.config.connection.database,
             sourceUserId: this.sourceUserId,
             targetUserId: this.targetUserId,
             dryRun: this.dryRun,
+            bestEffort: this.bestEffort,
+            updateMode: this.updateMode,
             migrationTables: this.migrationTables,
             timestamp: new Date().toISOString(),
+            runId: this.checkpoint ? this.checkpoint.runId : null,
+            migratedRows: this.migratedRows,
+            mergedRows: this.mergedRows,
+            deletedRows: this.deletedRows,
+            userMerge: this.userMerge,
+            snapshotFile: this.snapshotFile,
+            fingerprint: this.fingerprintReport,
+            temporaryIndexes: this.temporaryIndexes,
             log: this.migrationLog
         }, null, 2));
         this.log('info', `Log de migração salvo em: ${logFile}`);
         return logFile;
     }
 
+    /**
+     * Inicia o checkpoint de uma nova execução ou valida o da execução retomada
+     */
+    prepareCheckpoint() {
+        const configHash = hashMigrationTables(this.migrationTables);
+
+        if (this.checkpoint) {
+            if (this.checkpoint.profile && this.checkpoint.profile !== this.config.profile) {
+                throw createError(ERROR_CODES.VALIDATION, `A execução ${this.checkpoint.runId} usou o perfil "${this.checkpoint.profile}"; retome com --profile ${this.checkpoint.profile}`);
+            }
+            if (this.checkpoint.configHash !== configHash) {
+                throw createError(ERROR_CODES.VALIDATION, `A configuração de tabelas mudou desde a execução ${this.checkpoint.runId}; não é seguro retomar`);
+            }
+            if (this.checkpoint.status === 'completed') {
+                throw createError(ERROR_CODES.VALIDATION, `A execução ${this.checkpoint.runId} já foi concluída`);
+            }
+
+            this.checkpoint.status = 'running';
+            this.checkpoint.resumedAt = new Date().toISOString();
+            saveCheckpoint(this.checkpoint);
+            this.log('info', `Retomando execução ${this.checkpoint.runId}`, {
+                tablesDone: this.checkpoint.tablesDone,
+                currentTable: this.checkpoint.currentTable
+            });
+            return;
+        }
+
+        this.checkpoint = {
+            runId: createRunId(this.sourceUserId, this.targetUserId),
+            profile: this.config.profile,
+            sourceUserId: this.sourceUserId,
+            targetUserId: this.targetUserId,
+            updateMode: this.updateMode,
+            configHash,
+            snapshotFile: this.snapshotFile,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            tablesDone: [],
+            currentTable: null
+        };
+        const file = saveCheckpoint(this.checkpoint);
+        this.log('info', `Execução ${this.checkpoint.runId} (checkpoint: ${file})`);
+    }
+
+    /**
+     * Exporta o snapshot das linhas dos dois usuários antes de alterá-las.
+     * Ao retomar, reaproveita o snapshot da execução interrompida.
+     */
+    async createSnapshot() {
+        if (this.checkpoint) {
+            if (this.snapshotFile) {
+                this.log('info', `Snapshot da execução ${this.checkpoint.runId}: ${this.snapshotFile}`);
+            } else {
+                this.log('warning', `A execução ${this.checkpoint.runId} não tem snapshot; parte das linhas já foi alterada, snapshot não criado`);
+            }
+            return this.snapshotFile;
+        }
+
+        const exporter = new DatabaseExporter();
+        const { exportedFile } = await exporter.runUserScope(this.sourceUserId, this.targetUserId, {
+            migrationTables: this.migrationTables,
+            compression: process.env.DUMP_COMPRESSION || 'gzip'
+        });
+        this.snapshotFile = exportedFile;
+        this.log('success', `Snapshot dos usuários salvo em: ${exportedFile}`);
+        return exportedFile;
+    }
+
+    /**
+     * Cria, com DDL online, um índice temporário em cada coluna de usuário sem índice.
+     * Um índice temporário deixado por uma execução interrompida é reaproveitado e removido ao final.
+     */
+    async createTemporaryIndexes(columnIndexes) {
+        for (const [targetKey, { table: tableName, column, indexes }] of Object.entries(columnIndexes)) {
+            const name = `${TEMPORARY_INDEX_PREFIX}${column}`.slice(0, 64);
+            if (indexes.some(index => index !== name)) {
+                continue;
+            }
+
+            const entry = { table: tableName, column, index: name, createdAt: null, droppedAt: null };
+            if (indexes.includes(name)) {
+                this.log('warning', `Tabela ${targetKey}: índice temporário ${name} de uma execução anterior encontrado; será removido ao final`);
+            } else {
+                const startedAt = Date.now();
+                await this.pool.query(
+                    `ALTER TABLE \`${tableName}\` ADD INDEX \`${name}\` (\`${column}\`), ALGORITHM=INPLACE, LOCK=NONE`
+                );
+                entry.createdAt = new Date().toISOString();
+                this.log('success', `Tabela ${targetKey}: índice temporário ${name} criado (${formatDuration((Date.now() - startedAt) / 1000)})`);
+            }
+            this.temporaryIndexes.push(entry);
+        }
+    }
+
+    /**
+     * Remove os índices temporários criados para a migração. Uma falha não interrompe
+     * a execução; o índice fica registrado no log para ser removido manualmente.
+     */
+    async dropTemporaryIndexes() {
+        for (const entry of this.temporaryIndexes.filter(index => !index.droppedAt)) {
+            try {
+                await this.pool.query(
+                    `ALTER TABLE \`${entry.table}\` DROP INDEX \`${entry.index}\`, ALGORITHM=INPLACE, LOCK=NONE`
+                );
+                entry.droppedAt = new Date().toISOString();
+                this.log('success', `Tabela ${entry.table}: índice temporário ${entry.index} removido`);
+            } catch (error) {
+                this.log('error', `Tabela ${entry.table}: falha ao remover o índice temporário ${entry.index}; remova-o manualmente`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Registra as impressões digitais das linhas dos dois usuários antes de alterá-las.
+     * Ao retomar, parte das linhas já foi migrada e não há estado anterior a comparar.
+     */
+    async recordFingerprints() {
+        if (this.checkpoint) {
+            this.log('warning', `A execução ${this.checkpoint.runId} já alterou parte das linhas; impressões digitais não registradas`);
+            return;
+        }
+
+        this.fingerprints = await captureFingerprints(this.pool, this.migrationTargets, this.sourceUserId, this.targetUserId);
+
+        const tables = Object.entries(this.fingerprints);
+        const rows = tables.reduce((sum, [, table]) => sum + (table.sourceRows ? table.sourceRows.size : 0), 0);
+        this.log('info', `Impressões digitais registradas: ${rows} linhas do usuário origem em ${tables.length} tabelas`);
+        for (const [table, fingerprint] of tables) {
+            if (fingerprint.skipped) {
+                this.log('warning', `Tabela ${table}: impressões digitais não registradas (${fingerprint.skipped})`);
+            }
+        }
+    }
+
+    /**
+     * Compara as linhas com as impressões digitais registradas antes da migração:
+     * as mesmas linhas devem pertencer ao destino, com o restante do conteúdo idêntico.
+     * As linhas mantidas ou removidas pela resolução de conflitos e pelo modo merge são esperadas.
+     */
+    async verifyFingerprints(migrationResults) {
+        const outcomes = {};
+        for (const target of this.migrationTargets) {
+            const result = migrationResults[target.key] || {};
+            const conflicts = result.conflicts || [];
+            const merged = this.mergedRows[target.key];
+            outcomes[target.key] = {
+                status: result.status,
+                keptKeys: new Set(conflicts.filter(r => r.action === 'skip').map(r => JSON.stringify(r.sourceKey))),
+                removedKeys: new Set([
+                    ...conflicts.filter(r => r.action === 'delete-source').map(r => JSON.stringify(r.sourceKey)),
+                    ...(merged ? [JSON.stringify(merged.sourceKey)] : [])
+                ])
+            };
+        }
+
+        const tables = await compareFingerprints(this.pool, this.fingerprints, outcomes, this.sourceUserId, this.targetUserId);
+
+        for (const [table, result] of Object.entries(tables)) {
+            if (result.valid) {
+                continue;
+            }
+            this.log('error', `Tabela ${table}: ${result.missing.count} linhas ausentes, ${result.extra.count} extras e ${result.changed.count} alteradas além da coluna de usuário`, {
+                missing: result.missing.sample,
+                extra: result.extra.sample,
+                changed: result.changed.sample
+            });
+        }
+
+        const valid = Object.values(tables).every(result => result.valid);
+        if (valid) {
+            this.log('success', 'Impressões digitais conferem: apenas a coluna de usuário foi alterada');
+        }
+
+        this.fingerprintReport = { valid, tables };
+        return this.fingerprintReport;
+    }
+
+    /**
+     * Registra no checkpoint as chaves confirmadas de um alvo e a posição atual
+     */
+    recordCheckpoint(targetKey, keys, lastKey = null) {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        appendCheckpointKeys(this.checkpoint.runId, targetKey, this.migratedRows[targetKey], keys);
+        this.checkpoint.currentTable = lastKey ? { table: targetKey, lastKey } : null;
+        saveCheckpoint(this.checkpoint);
+    }
+
+    /**
+     * Marca um alvo (tabela.coluna) como concluído no checkpoint
+     */
+    completeCheckpointTable(targetKey) {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        this.checkpoint.tablesDone.push(targetKey);
+        this.checkpoint.currentTable = null;
+        saveCheckpoint(this.checkpoint);
+    }
+
+    /**
+     * Marca a combinação do registro do usuário como concluída no checkpoint
+     */
+    completeUserMerge() {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        this.checkpoint.userMerged = true;
+        saveCheckpoint(this.checkpoint);
+    }
+
+    /**
+     * Encerra o checkpoint com o status final da execução
+     */
+    finishCheckpoint(status, error = null) {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        this.checkpoint.status = status;
+        this.checkpoint.error = error;
+        saveCheckpoint(this.checkpoint);
+    }
+
     /**
      * Valida pré-requisitos para migração
      */
     async validatePrerequisites() {
         this.log('info', 'Validando pré-requisitos para migração...');
 
+        if (!this.sourceUserId || !this.targetUserId) {
+            throw createError(ERROR_CODES.VALIDATION, `Usuários origem e destino não definidos (perfil "${this.config.profile}": users.source/users.target, ou --source/--target)`);
+        }
+        if (this.migrationTables.length === 0) {
+            throw createError(ERROR_CODES.VALIDATION, `Nenhuma tabela configurada para migração no perfil "${this.config.profile}"`);
+        }
+
+        const { name: userTable, primaryKey } = this.config.userTable;
+
         // Verificar se o usuário origem existe
         const [sourceUser] = await this.pool.execute(
-            'SELECT * FROM `user` WHERE id = ? LIMIT 1',
+            `SELECT * FROM \`${userTable}\` WHERE \`${primaryKey}\` = ? LIMIT 1`,
             [this.sourceUserId]
         );
 
         if (sourceUser.length === 0) {
-            throw new Error(`Usuário origem (ID ${this.sourceUserId}) não encontrado`);
+            throw createError(ERROR_CODES.VALIDATION, `Usuário origem (ID ${this.sourceUserId}) não encontrado`);
         }
 
         // Verificar se o usuário destino existe
         const [targetUser] = await this.pool.execute(
-            'SELECT * FROM `user` WHERE id = ? LIMIT 1',
+            `SELECT * FROM \`${userTable}\` WHERE \`${primaryKey}\` = ? LIMIT 1`,
             [this.targetUserId]
         );
 
         if (targetUser.length === 0) {
-            throw new Error(`Usuário destino (ID ${this.targetUserId}) não encontrado`);
+            throw createError(ERROR_CODES.VALIDATION, `Usuário destino (ID ${this.targetUserId}) não encontrado`);
+        }
+
+        if (this.config.userTable.merge) {
+            this.userMergeColumns = await this.getUserMergeColumns();
         }
 
         this.log('success', 'Pré-requisitos validados com sucesso', {
-            sourceUser: sourceUser[0].name || sourceUser[0].email,
-            targetUser: targetUser[0].name || targetUser[0].email
+            sourceUser: getUserLabel(sourceUser[0]),
+            targetUser: getUserLabel(targetUser[0])
         });
 
         return { sourceUser: sourceUser[0], targetUser: targetUser[0] };
     }
 
     /**
-     * Migra dados de uma tabela específica
+     * Colunas do registro do usuário que userTable.merge pode alterar. Colunas com índice único
+     * ficam de fora: o registro origem ainda existe durante a migração, e copiar o seu valor
+     * (email, username) causaria ER_DUP_ENTRY. Uma regra explícita para elas é rejeitada.
+     */
+    async getUserMergeColumns() {
+        const { name: userTable, primaryKey, merge } = this.config.userTable;
+        const columns = await getInsertableColumns(this.pool, userTable);
+        const autoUpdateColumns = await getAutoUpdateColumns(this.pool, userTable);
+
+        const uniqueColumns = [];
+        for (const col of columns.filter(col => col !== primaryKey)) {
+            if ((await getUniqueKeysForColumn(this.pool, userTable, col)).length > 0) {
+                uniqueColumns.push(col);
+            }
+        }
+
+        const { rejected, skipped } = findUniqueMergeColumns(merge, uniqueColumns);
+        if (rejected.length > 0) {
+            throw createError(ERROR_CODES.VALIDATION,
+                `userTable.merge: ${rejected.join(', ')} ${rejected.length > 1 ? 'têm' : 'tem'} índice único em ${userTable} e não ` +
+                `pode receber o valor do usuário origem, que ainda existe (use keep-target ou remova a regra)`);
+        }
+        if (skipped.length > 0) {
+            this.log('warning', `userTable.merge: colunas com índice único mantidas no destino (a regra padrão não se aplica a elas)`, skipped);
+        }
+
+        return columns.filter(col => !autoUpdateColumns.includes(col) && !uniqueColumns.includes(col));
+    }
+
+    /**
+     * Aplica a estratégia configurada às linhas em conflito de chave única.
+     * Retorna a decisão tomada para cada linha e as chaves que devem ficar no usuário origem.
+     */
+    async resolveUniqueKeyConflicts(connection, tableConfig, keyColumns, conflicts) {
+        const { table: tableName, key: targetKey } = tableConfig;
+        const strategy = getConflictStrategy(tableConfig);
+
+        if (strategy === 'abort') {
+            throw createError(ERROR_CODES.CONFLICT,
+                `Tabela ${targetKey}: ${conflicts.length} registros em conflito de chave única com o usuário destino ` +
+                `(índice ${conflicts[0].index}, ex.: ${JSON.stringify(conflicts[0].sourceKey)})`
+            );
+        }
+
+        const resolutions = conflicts.map(conflict => {
+            let action = strategy;
+            if (strategy === 'keep-newest') {
+                action = conflict.sourceNewest > conflict.targetNewest ? 'replace-target' : 'delete-source';
+            }
+            return {
+                index: conflict.index,
+                sourceKey: conflict.sourceKey,
+                targetKey: conflict.targetKey,
+                action
+            };
+        });
+
+        if (this.dryRun) {
+            return { resolutions, keptKeys: [] };
+        }
+
+        const deleteSource = resolutions.filter(r => r.action === 'delete-source').map(r => r.sourceKey);
+        const deleteTarget = resolutions.filter(r => r.action === 'replace-target').map(r => r.targetKey);
+
+        for (const keys of [deleteSource, deleteTarget]) {
+            if (keys.length === 0) {
+                continue;
+            }
+            const predicate = buildKeyPredicate(keyColumns, keys);
+            await this.recordDeletedRows(connection, tableConfig, keyColumns, predicate, keys === deleteSource ? 'delete-source' : 'replace-target');
+            await connection.execute(
+                `DELETE FROM \`${tableName}\` WHERE ${predicate.sql}`,
+                predicate.params
+            );
+        }
+
+        return {
+            resolutions,
+            keptKeys: resolutions.filter(r => r.action === 'skip').map(r => r.sourceKey)
+        };
+    }
+
+    /**
+     * Registra o conteúdo completo das linhas que a resolução de conflitos vai apagar,
+     * para que o desfazer possa reinseri-las. Datas são lidas como texto, como no backup.
      */
-    async migrateTable(tableName, userIdColumn) {
+    async recordDeletedRows(connection, tableConfig, keyColumns, predicate, action) {
+        const { table: tableName, key: targetKey } = tableConfig;
+        const columns = await getInsertableColumns(connection, tableName);
+        const [rows] = await connection.query({
+            sql: `SELECT ${columns.map(col => `\`${col}\``).join(', ')} FROM \`${tableName}\` WHERE ${predicate.sql} FOR UPDATE`,
+            dateStrings: true
+        }, predicate.params);
+
+        if (!this.deletedRows[targetKey]) {
+            this.deletedRows[targetKey] = { table: tableName, keyColumns, columns, rows: [] };
+        }
+        this.deletedRows[targetKey].rows.push(...rows.map(row => ({ action, row })));
+    }
+
+    /**
+     * Colunas ON UPDATE CURRENT_TIMESTAMP mantidas com o valor original nos UPDATEs
+     * da migração, quando a tabela tem preserveTimestamps
+     */
+    async getPreservedColumns(connection, tableConfig) {
+        if (!tableConfig.preserveTimestamps) {
+            return [];
+        }
+        if (!this.preservedColumns[tableConfig.table]) {
+            this.preservedColumns[tableConfig.table] = await getAutoUpdateColumns(connection, tableConfig.table);
+        }
+        return this.preservedColumns[tableConfig.table].filter(col => col !== tableConfig.column);
+    }
+
+    /**
+     * Migra dados de uma tabela específica usando a conexão transacional
+     */
+    async migrateTable(connection, tableConfig) {
+        const { table: tableName, column: userIdColumn, key: targetKey } = tableConfig;
+        const sourceOwner = buildOwnerPredicate(tableConfig, this.sourceUserId);
+        const targetOwner = buildOwnerPredicate(tableConfig, this.targetUserId);
         try {
-            this.log('info', `Iniciando migração da tabela: ${tableName}`);
+            this.log('info', `Iniciando migração da tabela: ${targetKey}`);
 
             // Contar registros a migrar
-            const [countResult] = await this.pool.execute(
-                `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE \`${userIdColumn}\` = ?`,
-                [this.sourceUserId]
+            const [countResult] = await connection.execute(
+                `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE ${sourceOwner.sql}`,
+                sourceOwner.params
             );
 
             const recordCount = countResult[0].count;
 
             if (recordCount === 0) {
-                this.log('info', `Tabela ${tableName}: Nenhum registro encontrado`);
+                this.log('info', `Tabela ${targetKey}: Nenhum registro encontrado`);
                 return { migrated: 0, skipped: 0 };
             }
 
-            this.log('info', `Tabela ${tableName}: ${recordCount} registros encontrados`);
+            this.log('info', `Tabela ${targetKey}: ${recordCount} registros encontrados`);
 
-            if (this.dryRun) {
-                this.log('warning', `DRY RUN: Simulando migração de ${recordCount} registros`);
-                return { migrated: 0, skipped: recordCount };
+            const preservedColumns = await this.getPreservedColumns(connection, tableConfig);
+            if (preservedColumns.length > 0) {
+                this.log('info', `Tabela ${targetKey}: mantendo o valor original de ${preservedColumns.join(', ')}`);
+            }
+
+            if (tableConfig.mode === 'merge') {
+                return await this.mergeTableRow(connection, tableConfig);
             }
 
             // Verificar se há conflitos (registros que já existem para o usuário destino)
-            const [conflictCheck] = await this.pool.execute(
-                `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE \`${userIdColumn}\` = ?`,
-                [this.targetUserId]
+            const [conflictCheck] = await connection.execute(
+                `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE ${targetOwner.sql}`,
+                targetOwner.params
             );
 
             const existingRecords = conflictCheck[0].count;
+            const keyColumns = await getPrimaryKeyColumns(connection, tableName);
+            let resolutions = [];
+            let keptKeys = [];
+            let exclusion = null;
+
             if (existingRecords > 0) {
-                this.log('warning', `Tabela ${tableName}: ${existingRecords} registros já existem para o usuário destino`);
+                this.log('warning', `Tabela ${targetKey}: ${existingRecords} registros já existem para o usuário destino`);
+
+                const conflicts = await findUniqueKeyConflicts(connection, tableConfig, keyColumns, this.sourceUserId, this.targetUserId);
+
+                if (conflicts.length > 0) {
+                    if (keyColumns.length === 0) {
+                        throw new Error(`Tabela ${targetKey}: conflitos de chave única em tabela sem chave primária`);
+                    }
+                    ({ resolutions, keptKeys } = await this.resolveUniqueKeyConflicts(connection, tableConfig, keyColumns, conflicts));
+                    this.log('warning', `Tabela ${targetKey}: ${conflicts.length} conflitos de chave única resolvidos com "${getConflictStrategy(tableConfig)}"${this.dryRun ? ' (simulado)' : ''}`, resolutions);
+                }
+
+                if (keptKeys.length > 0) {
+                    exclusion = buildKeyPredicate(keyColumns, keptKeys, null, true);
+                }
             }
 
-            // Executar migração
-            const [updateResult] = await this.pool.execute(
-                `UPDATE ${tableName} SET ${userIdColumn} = ? WHERE ${userIdColumn} = ?`,
-                [this.targetUserId, this.sourceUserId]
+            if (this.dryRun) {
+                this.log('warning', `DRY RUN: Simulando migração de ${recordCount} registros`);
+                return { migrated: 0, skipped: recordCount, conflicts: resolutions };
+            }
+
+            if (this.updateMode === 'chunked') {
+                if (keyColumns.length === 0) {
+                    throw new Error(`Tabela ${targetKey}: o modo em lotes requer chave primária`);
+                }
+                const result = await this.migrateTableInChunks(connection, tableConfig, keyColumns, keptKeys, recordCount);
+                return { ...result, existingRecords, conflicts: resolutions };
+            }
+
+            // Registrar as chaves das linhas reatribuídas, para permitir desfazer a migração
+            let migratedRows = null;
+            if (keyColumns.length > 0) {
+                const [keyRows] = await connection.execute(
+                    `SELECT ${keyColumns.map(col => `\`${col}\``).join(', ')} FROM \`${tableName}\`
+                     WHERE ${sourceOwner.sql}${exclusion ? ` AND ${exclusion.sql}` : ''} FOR UPDATE`,
+                    [...sourceOwner.params, ...(exclusion ? exclusion.params : [])]
+                );
+                migratedRows = this.describeMigratedRows(tableConfig, keyColumns, keyRows.map(row => pickKey(keyColumns, row)));
+            } else {
+                this.log('warning', `Tabela ${targetKey}: sem chave primária, as linhas migradas não poderão ser desfeitas pelo log`);
+            }
+
+            // Executar migração, mantendo no usuário origem as linhas puladas por conflito
+            const [updateResult] = await connection.execute(
+                `UPDATE \`${tableName}\` SET ${buildAssignments([userIdColumn], preservedColumns)} WHERE ${sourceOwner.sql}` +
+                (exclusion ? ` AND ${exclusion.sql}` : ''),
+                [this.targetUserId, ...sourceOwner.params, ...(exclusion ? exclusion.params : [])]
             );
 
-            this.log('success', `Tabela ${tableName}: ${updateResult.affectedRows} registros migrados`);
+            this.log('success', `Tabela ${targetKey}: ${updateResult.affectedRows} registros migrados`);
 
             return {
                 migrated: updateResult.affectedRows,
-                skipped: 0,
-                existingRecords
+                skipped: keptKeys.length,
+                existingRecords,
+                conflicts: resolutions,
+                migratedRows
             };
 
         } catch (error) {
-            this.log('error', `Erro na migração da tabela ${tableName}`, error.message);
+            this.log('error', `Erro na migração da tabela ${targetKey}`, error.message);
             throw error;
         }
     }
 
     /**
-     * Executa migração completa
+     * Combina a linha do usuário origem com a do destino (modo merge), campo a campo,
+     * e remove a linha origem. Sem linha no destino, a linha origem é apenas reatribuída.
+     */
+    async mergeTableRow(connection, tableConfig) {
+        const { table: tableName, column: userIdColumn, key: targetKey } = tableConfig;
+        const sourceOwner = buildOwnerPredicate(tableConfig, this.sourceUserId);
+        const targetOwner = buildOwnerPredicate(tableConfig, this.targetUserId);
+
+        const keyColumns = await getPrimaryKeyColumns(connection, tableName);
+        if (keyColumns.length === 0) {
+            throw new Error(`Tabela ${targetKey}: o modo merge requer chave primária`);
+        }
+        const preservedColumns = await this.getPreservedColumns(connection, tableConfig);
+
+        // Colunas geradas não aceitam valor no UPDATE e as ON UPDATE CURRENT_TIMESTAMP são
+        // mantidas pelo servidor (ou preservadas); nenhuma delas entra na combinação.
+        // Datas são lidas como texto, para que o log registre os valores como estão no banco.
+        const columns = await getInsertableColumns(connection, tableName);
+        const autoUpdateColumns = await getAutoUpdateColumns(connection, tableName);
+        const mergeableColumns = columns.filter(col => !autoUpdateColumns.includes(col));
+        const columnList = columns.map(col => `\`${col}\``).join(', ');
+        const [sourceRows] = await connection.query({
+            sql: `SELECT ${columnList} FROM \`${tableName}\` WHERE ${sourceOwner.sql} FOR UPDATE`,
+            dateStrings: true
+        }, sourceOwner.params);
+        const [targetRows] = await connection.query({
+            sql: `SELECT ${columnList} FROM \`${tableName}\` WHERE ${targetOwner.sql} FOR UPDATE`,
+            dateStrings: true
+        }, targetOwner.params);
+
+        if (sourceRows.length > 1 || targetRows.length > 1) {
+            throw createError(ERROR_CODES.CONFLICT,
+                `Tabela ${targetKey}: o modo merge espera no máximo uma linha por usuário ` +
+                `(origem: ${sourceRows.length}, destino: ${targetRows.length})`
+            );
+        }
+
+        const [sourceRow] = sourceRows;
+        const sourceKey = pickKey(keyColumns, sourceRow);
+        const sourcePredicate = buildKeyPredicate(keyColumns, [sourceKey]);
+        let result;
+
+        if (targetRows.length === 0) {
+            this.log('info', `Tabela ${targetKey}: usuário destino sem linha, a linha origem será reatribuída`);
+
+            if (this.dryRun) {
+                return { migrated: 0, skipped: 1 };
+            }
+
+            const [updateResult] = await connection.execute(
+                `UPDATE \`${tableName}\` SET ${buildAssignments([userIdColumn], preservedColumns)} WHERE ${sourcePredicate.sql}`,
+                [this.targetUserId, ...sourcePredicate.params]
+            );
+            result = {
+                migrated: updateResult.affectedRows,
+                skipped: 0,
+                migratedRows: this.describeMigratedRows(tableConfig, keyColumns, [sourceKey])
+            };
+        } else {
+            const [targetRow] = targetRows;
+            const targetRowKey = pickKey(keyColumns, targetRow);
+
+            // Chave primária, coluna de usuário e discriminador não são combinados
+            const fixedColumns = [...keyColumns, userIdColumn];
+            if (tableConfig.discriminator) {
+                fixedColumns.push(tableConfig.discriminator.column);
+            }
+
+            const diff = computeMergeDiff(targetRow, sourceRow, tableConfig.merge || {}, fixedColumns,
+                tableConfig.newestColumn || 'updated_at', mergeableColumns);
+
+            const merged = { sourceKey, targetKey: targetRowKey, diff, sourceRow };
+            this.log('info', `Tabela ${targetKey}: ${Object.keys(diff).length} campos alterados na linha do destino${this.dryRun ? ' (simulado)' : ''}`, diff);
+
+            if (this.dryRun) {
+                return { migrated: 0, skipped: 1, merged };
+            }
+
+            // Remover a origem antes, para que valores únicos copiados dela não colidam
+            await connection.execute(
+                `DELETE FROM \`${tableName}\` WHERE ${sourcePredicate.sql}`,
+                sourcePredicate.params
+            );
+
+            const fields = Object.keys(diff);
+            if (fields.length > 0) {
+                const targetPredicate = buildKeyPredicate(keyColumns, [targetRowKey]);
+                await connection.execute(
+                    `UPDATE \`${tableName}\` SET ${buildAssignments(fields, preservedColumns)} WHERE ${targetPredicate.sql}`,
+                    [...fields.map(field => diff[field].after), ...targetPredicate.params]
+                );
+            }
+
+            this.log('success', `Tabela ${targetKey}: linha origem combinada com a do destino e removida`);
+            result = { migrated: 1, skipped: 0, merged };
+        }
+
+        // No modo em lotes cada tabela confirma a própria transação
+        if (this.updateMode === 'chunked') {
+            await connection.commit();
+        }
+
+        return result;
+    }
+
+    /**
+     * Atualiza o registro do usuário destino com os campos do usuário origem, segundo
+     * a política userTable.merge, para que nada se perca quando a origem for removida
+     */
+    async mergeUserRecord(connection) {
+        const { name: userTable, primaryKey, merge } = this.config.userTable;
+
+        const [rows] = await connection.query({
+            sql: `SELECT * FROM \`${userTable}\` WHERE \`${primaryKey}\` IN (?, ?) FOR UPDATE`,
+            dateStrings: true
+        }, [this.sourceUserId, this.targetUserId]);
+        const sourceRow = rows.find(row => String(row[primaryKey]) === String(this.sourceUserId));
+        const targetRow = rows.find(row => String(row[primaryKey]) === String(this.targetUserId));
+
+        const diff = computeMergeDiff(targetRow, sourceRow, merge, [primaryKey], merge.newestColumn || 'updated_at', this.userMergeColumns);
+        const fields = Object.keys(diff);
+
+        if (fields.length === 0) {
+            this.log('info', `Registro do usuário: nenhum campo do usuário ${this.sourceUserId} a combinar`);
+            return { diff };
+        }
+
+        if (this.dryRun) {
+            this.log('warning', `DRY RUN: ${fields.length} campos do usuário ${this.targetUserId} seriam atualizados a partir do usuário ${this.sourceUserId}`, diff);
+            return { diff };
+        }
+
+        await connection.execute(
+            `UPDATE \`${userTable}\` SET ${fields.map(field => `\`${field}\` = ?`).join(', ')} WHERE \`${primaryKey}\` = ?`,
+            [...fields.map(field => diff[field].after), this.targetUserId]
+        );
+
+        this.log('success', `Registro do usuário: ${fields.length} campos do usuário ${this.targetUserId} atualizados a partir do usuário ${this.sourceUserId}`, diff);
+        return { diff };
+    }
+
+    /**
+     * Descreve as linhas reatribuídas de um alvo, no formato gravado no log e no checkpoint
+     */
+    describeMigratedRows(tableConfig, keyColumns, keys) {
+        return {
+            table: tableConfig.table,
+            column: tableConfig.column,
+            discriminator: tableConfig.discriminator || null,
+            preservedColumns: tableConfig.preserveTimestamps
+                ? (this.preservedColumns[tableConfig.table] || []).filter(col => col !== tableConfig.column)
+                : [],
+            keyColumns,
+            keys
+        };
+    }
+
+    /**
+     * Aguarda enquanto o servidor estiver acima do limite de Threads_running
+     */
+    async waitForServerLoad(connection) {
+        if (!this.maxThreadsRunning) {
+            return;
+        }
+
+        let delay = Math.max(this.chunkSleepMs, 500);
+        while (true) {
+            const [status] = await connection.query("SHOW GLOBAL STATUS LIKE 'Threads_running'");
+            const threadsRunning = parseInt(status[0].Value);
+
+            if (threadsRunning <= this.maxThreadsRunning) {
+                return;
+            }
+
+            this.log('warning', `Threads_running = ${threadsRunning} (limite ${this.maxThreadsRunning}), aguardando ${delay}ms`);
+            await sleep(delay);
+            delay = Math.min(delay * 2, 30000);
+        }
+    }
+
+    /**
+     * Migra uma tabela em lotes percorrendo a chave primária, confirmando cada lote
+     * em uma transação curta para limitar bloqueios e o crescimento do undo log
+     */
+    async migrateTableInChunks(connection, tableConfig, keyColumns, keptKeys, recordCount) {
+        const { table: tableName, column: userIdColumn, key: targetKey } = tableConfig;
+        const sourceOwner = buildOwnerPredicate(tableConfig, this.sourceUserId);
+        const chunkSize = parseInt(tableConfig.chunkSize) || this.chunkSize;
+        const columnList = keyColumns.map(col => `\`${col}\``).join(', ');
+        const kept = new Set(keptKeys.map(key => JSON.stringify(pickKey(keyColumns, key))));
+        const preservedColumns = await this.getPreservedColumns(connection, tableConfig);
+        const expected = recordCount - kept.size;
+
+        // As linhas de cada lote confirmado ficam registradas mesmo se um lote posterior falhar
+        const migratedRows = this.migratedRows[targetKey] || this.describeMigratedRows(tableConfig, keyColumns, []);
+        this.migratedRows[targetKey] = migratedRows;
+
+        // Ao retomar, continuar a partir da última chave confirmada
+        const resumePoint = this.checkpoint && this.checkpoint.currentTable;
+        let lastKey = resumePoint && resumePoint.table === targetKey ? resumePoint.lastKey : null;
+
+        // Confirmar a resolução de conflitos antes do primeiro lote
+        await connection.commit();
+
+        this.log('info', `Tabela ${targetKey}: migrando em lotes de ${chunkSize} registros`);
+
+        if (lastKey) {
+            this.log('info', `Tabela ${targetKey}: retomando após a chave ${JSON.stringify(lastKey)}`);
+        }
+
+        const startedAt = Date.now();
+        let migrated = 0;
+        let chunks = 0;
+
+        while (true) {
+            await this.waitForServerLoad(connection);
+            await connection.beginTransaction();
+
+            const after = lastKey ? ` AND (${columnList}) > (${keyColumns.map(() => '?').join(', ')})` : '';
+            const [rows] = await connection.execute(
+                `SELECT ${columnList} FROM \`${tableName}\`
+                 WHERE ${sourceOwner.sql}${after}
+                 ORDER BY ${columnList} LIMIT ${chunkSize} FOR UPDATE`,
+                [...sourceOwner.params, ...(lastKey ? keyColumns.map(col => lastKey[col]) : [])]
+            );
+
+            if (rows.length === 0) {
+                await connection.commit();
+                break;
+            }
+
+            lastKey = pickKey(keyColumns, rows[rows.length - 1]);
+            const keys = rows
+                .map(row => pickKey(keyColumns, row))
+                .filter(key => !kept.has(JSON.stringify(key)));
+
+            if (keys.length > 0) {
+                const predicate = buildKeyPredicate(keyColumns, keys);
+                const [updateResult] = await connection.execute(
+                    `UPDATE \`${tableName}\` SET ${buildAssignments([userIdColumn], preservedColumns)} WHERE ${sourceOwner.sql} AND ${predicate.sql}`,
+                    [this.targetUserId, ...sourceOwner.params, ...predicate.params]
+                );
+                migrated += updateResult.affectedRows;
+            }
+
+            await connection.commit();
+            migratedRows.keys.push(...keys);
+            this.recordCheckpoint(targetKey, keys, lastKey);
+            chunks++;
+
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const rate = elapsed > 0 ? migrated / elapsed : 0;
+            const eta = rate > 0 ? formatDuration((expected - migrated) / rate) : '?';
+            const percent = expected > 0 ? ((migrated / expected) * 100).toFixed(1) : '100.0';
+            console.log(chalk.gray(`  ${targetKey}: ${migrated}/${expected} (${percent}%) · ${Math.round(rate)} registros/s · ETA ${eta}`));
+
+            if (this.chunkSleepMs > 0) {
+                await sleep(this.chunkSleepMs);
+            }
+        }
+
+        const duration = formatDuration((Date.now() - startedAt) / 1000);
+        this.log('success', `Tabela ${targetKey}: ${migrated} registros migrados em ${chunks} lotes (${duration})`);
+
+        return {
+            migrated,
+            skipped: kept.size,
+            chunks,
+            migratedRows
+        };
+    }
+
+    /**
+     * Executa migração completa. No modo atômico usa uma única transação, com um
+     * SAVEPOINT por tabela; no modo em lotes cada lote é confirmado separadamente.
      */
     async executeMigration() {
         let connection;
+        let transactionOpen = false;
+        // Linhas já confirmadas (de uma execução retomada) sobrevivem a um rollback
+        const confirmedRows = { ...this.migratedRows };
+        const confirmedMerges = { ...this.mergedRows };
+        const confirmedDeletes = { ...this.deletedRows };
         try {
             this.log('info', `Iniciando migração ${this.dryRun ? '(DRY RUN)' : ''}`);
             this.log('info', `Usuário origem: ${this.sourceUserId} → Usuário destino: ${this.targetUserId}`);
-            this.log('info', `Tabelas especificadas: ${this.migrationTables.map(t => t.table).join(', ')}`);
+            this.log('info', `Tabelas especificadas: ${this.migrationTargets.map(t => t.key).join(', ')}`);
+            this.log('info', `Modo de falha: ${this.bestEffort ? 'best-effort (reverte apenas a tabela)' : 'atômico (reverte tudo)'}`);
+            this.log('info', `Modo de atualização: ${this.updateMode === 'chunked' ? `em lotes (${this.chunkSize} registros, pausa de ${this.chunkSleepMs}ms)` : 'transação única'}`);
 
             // Validar pré-requisitos
             const users = await this.validatePrerequisites();
 
             // Validar tabelas especificadas
-            const analyzer = new DatabaseAnalyzer();
+            const analyzer = new DatabaseAnalyzer({
+                pool: this.pool,
+                sourceUserId: this.sourceUserId,
+                targetUserId: this.targetUserId,
+                migrationTables: this.migrationTables
+            });
             const tableValidation = await analyzer.validateMigrationTables();
             const recordCounts = await analyzer.countRecordsByTable();
+            const columnIndexes = await analyzer.analyzeIndexes();
 
-            // Iniciar transação
-            connection = await this.pool.getConnection();
             if (!this.dryRun) {
+                if (this.temporaryIndex) {
+                    await this.createTemporaryIndexes(columnIndexes);
+                }
+                if (this.snapshot) {
+                    await this.createSnapshot();
+                }
+                if (this.fingerprint) {
+                    await this.recordFingerprints();
+                }
+                this.prepareCheckpoint();
+            }
+
+            const chunked = this.updateMode === 'chunked';
+
+            // Iniciar transação (no modo em lotes, cada tabela abre as suas)
+            connection = await this.pool.getConnection();
+            if (!this.dryRun && !chunked) {
                 await connection.beginTransaction();
+                transactionOpen = true;
                 this.log('info', 'Transação iniciada');
             }
 
             const migrationResults = {};
+            const tableStatus = {
+                committed: [],
+                rolledBack: [],
+                partial: [],
+                skipped: []
+            };
             let totalMigrated = 0;
 
             // Migrar cada tabela especificada
-            for (const tableConfig of this.migrationTables) {
-                const tableName = tableConfig.table;
-                const userIdColumn = tableConfig.column;
-
-                if (recordCounts[tableName]?.count > 0) {
-                    try {
-                        const result = await this.migrateTable(tableName, userIdColumn);
-                        migrationResults[tableName] = result;
-                        totalMigrated += result.migrated;
-                    } catch (error) {
-                        this.log('error', `Falha na migração da tabela ${tableName}`, error.message);
-                        if (!this.dryRun) {
-                            await connection.rollback();
-                            this.log('error', 'Transação revertida devido ao erro');
+            for (const [index, tableConfig] of this.migrationTargets.entries()) {
+                const targetKey = tableConfig.key;
+
+                if (this.checkpoint && this.checkpoint.tablesDone.includes(targetKey)) {
+                    const done = this.migratedRows[targetKey] ? this.migratedRows[targetKey].keys.length : 0;
+                    this.log('info', `Tabela ${targetKey}: Pulando (concluída na execução anterior)`);
+                    migrationResults[targetKey] = { migrated: done, skipped: 0, status: 'committed', resumed: true };
+                    tableStatus.committed.push(targetKey);
+                    totalMigrated += done;
+                    continue;
+                }
+
+                if (!(recordCounts[targetKey]?.count > 0)) {
+                    this.log('info', `Tabela ${targetKey}: Pulando (sem registros)`);
+                    migrationResults[targetKey] = { migrated: 0, skipped: 0, status: 'skipped' };
+                    tableStatus.skipped.push(targetKey);
+                    continue;
+                }
+
+                const savepoint = `sp_table_${index}`;
+                if (!this.dryRun && chunked) {
+                    await connection.beginTransaction();
+                } else if (!this.dryRun) {
+                    await connection.query(`SAVEPOINT ${savepoint}`);
+                }
+
+                try {
+                    const { migratedRows, ...result } = await this.migrateTable(connection, tableConfig);
+                    if (!this.dryRun && !chunked) {
+                        await connection.query(`RELEASE SAVEPOINT ${savepoint}`);
+                    }
+                    if (migratedRows) {
+                        this.migratedRows[targetKey] = migratedRows;
+                    }
+                    if (result.merged && !this.dryRun) {
+                        this.mergedRows[targetKey] = result.merged;
+                    }
+                    if (chunked) {
+                        this.completeCheckpointTable(targetKey);
+                    }
+                    migrationResults[targetKey] = { ...result, status: 'committed' };
+                    tableStatus.committed.push(targetKey);
+                    totalMigrated += result.migrated;
+                } catch (error) {
+                    this.log('error', `Falha na migração da tabela ${targetKey}`, error.message);
+
+                    if (chunked && !this.dryRun) {
+                        // Reverte apenas o lote em andamento; os lotes anteriores já foram confirmados
+                        await connection.rollback();
+                        const done = this.migratedRows[targetKey] ? this.migratedRows[targetKey].keys.length : 0;
+                        this.log('warning', `Tabela ${targetKey}: ${done} registros de lotes já confirmados permanecem migrados`);
+                        migrationResults[targetKey] = { migrated: done, skipped: 0, status: 'partial', error: error.message };
+                        tableStatus.partial.push(targetKey);
+                        totalMigrated += done;
+
+                        if (!this.bestEffort) {
+                            throw error;
                         }
+                        continue;
+                    }
+
+                    if (this.dryRun || !this.bestEffort) {
                         throw error;
                     }
-                } else {
-                    this.log('info', `Tabela ${tableName}: Pulando (sem registros)`);
-                    migrationResults[tableName] = { migrated: 0, skipped: 0 };
+
+                    await connection.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+                    delete this.deletedRows[targetKey];
+                    this.log('warning', `Tabela ${targetKey}: Alterações revertidas até o savepoint, continuando`);
+                    migrationResults[targetKey] = { migrated: 0, skipped: 0, status: 'rolledBack', error: error.message };
+                    tableStatus.rolledBack.push(targetKey);
+                }
+            }
+
+            // Combinar o registro do usuário (na mesma transação, ou em uma própria no modo em lotes)
+            let userMerge = null;
+            if (this.config.userTable.merge && !(this.checkpoint && this.checkpoint.userMerged)) {
+                if (!this.dryRun && chunked) {
+                    await connection.beginTransaction();
+                }
+                try {
+                    userMerge = await this.mergeUserRecord(connection);
+                } catch (error) {
+                    if (!this.dryRun && chunked) {
+                        await connection.rollback();
+                    }
+                    throw error;
+                }
+                if (!this.dryRun && chunked) {
+                    await connection.commit();
+                    this.completeUserMerge();
+                }
+                if (!this.dryRun) {
+                    this.userMerge = userMerge;
                 }
             }
 
             // Confirmar transação
-            if (!this.dryRun && totalMigrated > 0) {
+            if (!this.dryRun && !chunked) {
                 await connection.commit();
+                transactionOpen = false;
                 this.log('success', 'Transação confirmada com sucesso');
+
+                for (const targetKey of tableStatus.committed) {
+                    if (this.migratedRows[targetKey]) {
+                        this.recordCheckpoint(targetKey, this.migratedRows[targetKey].keys);
+                    }
+                    this.completeCheckpointTable(targetKey);
+                }
+                if (userMerge) {
+                    this.completeUserMerge();
+                }
+            }
+
+            if (tableStatus.rolledBack.length > 0) {
+                this.log('warning', `Migração parcial: tabelas revertidas: ${tableStatus.rolledBack.join(', ')}`);
+            }
+            if (tableStatus.partial.length > 0) {
+                this.log('warning', `Migração parcial: tabelas interrompidas no meio: ${tableStatus.partial.join(', ')}`);
             }
 
+            const partial = tableStatus.rolledBack.length > 0 || tableStatus.partial.length > 0;
+            this.finishCheckpoint(partial ? 'incomplete' : 'completed');
+
             this.log('success', `Migração concluída: ${totalMigrated} registros migrados`);
 
             return {
@@ -217,20 +1129,33 @@ class UserMigrator {
                 targetUserId: this.targetUserId,
                 totalMigrated,
                 migrationResults,
+                tableStatus,
+                partial,
+                runId: this.checkpoint ? this.checkpoint.runId : null,
+                userMerge,
+                snapshotFile: this.snapshotFile,
                 dryRun: this.dryRun,
                 migrationTables: this.migrationTables
             };
 
         } catch (error) {
             this.log('error', 'Erro durante a migração', error.message);
-            if (connection && !this.dryRun) {
+            if (connection && transactionOpen) {
                 try {
                     await connection.rollback();
-                    this.log('info', 'Transação revertida');
+                    this.migratedRows = confirmedRows;
+                    this.mergedRows = confirmedMerges;
+                    this.deletedRows = confirmedDeletes;
+                    this.userMerge = null;
+                    this.log('info', 'Transação revertida: nenhuma tabela foi alterada');
                 } catch (rollbackError) {
                     this.log('error', 'Erro ao reverter transação', rollbackError.message);
                 }
             }
+            this.finishCheckpoint('failed', error.message);
+            if (this.checkpoint) {
+                this.log('info', `Para retomar: node migrate.js --resume ${this.checkpoint.runId}`);
+            }
             throw error;
         } finally {
             if (connection) {
@@ -248,28 +1173,29 @@ class UserMigrator {
 
             const verificationResults = {};
 
-            for (const tableConfig of this.migrationTables) {
-                const tableName = tableConfig.table;
-                const userIdColumn = tableConfig.column;
+            for (const tableConfig of this.migrationTargets) {
+                const { table: tableName, column: userIdColumn, key: targetKey } = tableConfig;
+                const sourceOwner = buildOwnerPredicate(tableConfig, this.sourceUserId);
+                const targetOwner = buildOwnerPredicate(tableConfig, this.targetUserId);
 
                 const [sourceCount] = await this.pool.execute(
-                    `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE \`${userIdColumn}\` = ?`,
-                    [this.sourceUserId]
+                    `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE ${sourceOwner.sql}`,
+                    sourceOwner.params
                 );
 
                 const [targetCount] = await this.pool.execute(
-                    `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE \`${userIdColumn}\` = ?`,
-                    [this.targetUserId]
+                    `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE ${targetOwner.sql}`,
+                    targetOwner.params
                 );
 
-                verificationResults[tableName] = {
+                verificationResults[targetKey] = {
                     sourceRemaining: sourceCount[0].count,
                     targetTotal: targetCount[0].count,
                     column: userIdColumn
                 };
 
                 if (sourceCount[0].count > 0) {
-                    this.log('warning', `Tabela ${tableName}: ${sourceCount[0].count} registros ainda vinculados ao usuário origem`);
+                    this.log('warning', `Tabela ${targetKey}: ${sourceCount[0].count} registros ainda vinculados ao usuário origem`);
                 }
             }
 
@@ -299,32 +1225,78 @@ class UserMigrator {
 
             const migrationResult = await this.executeMigration();
             const verificationResult = await this.verifyMigration();
+            const fingerprintResult = this.fingerprints
+                ? await this.verifyFingerprints(migrationResult.migrationResults)
+                : null;
+            await this.dropTemporaryIndexes();
 
             const logFile = this.saveMigrationLog();
 
-            console.log(chalk.green.bold('\n✅ MIGRAÇÃO CONCLUÍDA COM SUCESSO!'));
+            if (migrationResult.partial) {
+                console.log(chalk.yellow.bold('\n⚠️  MIGRAÇÃO CONCLUÍDA PARCIALMENTE'));
+                const { rolledBack, partial } = migrationResult.tableStatus;
+                if (rolledBack.length > 0) {
+                    console.log(chalk.white(`↩️  Tabelas revertidas: ${rolledBack.join(', ')}`));
+                }
+                if (partial.length > 0) {
+                    console.log(chalk.white(`⏸️  Tabelas interrompidas no meio: ${partial.join(', ')}`));
+                }
+            } else {
+                console.log(chalk.green.bold('\n✅ MIGRAÇÃO CONCLUÍDA COM SUCESSO!'));
+            }
             console.log(chalk.white(`📊 Registros migrados: ${migrationResult.totalMigrated}`));
+            if (fingerprintResult) {
+                console.log(fingerprintResult.valid
+                    ? chalk.white('🔏 Impressões digitais: apenas a coluna de usuário mudou')
+                    : chalk.red('🔏 Impressões digitais divergentes (detalhes no log)'));
+            }
+            if (this.snapshotFile) {
+                console.log(chalk.white(`📸 Snapshot dos usuários: ${this.snapshotFile}`));
+            }
             console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
 
             return {
                 migration: migrationResult,
                 verification: verificationResult,
+                fingerprint: fingerprintResult,
                 logFile
             };
 
         } catch (error) {
             this.log('error', 'Falha na migração', error.message);
+            await this.dropTemporaryIndexes();
             this.saveMigrationLog();
             throw error;
         } finally {
-            await this.pool.end();
+            if (this.ownsPool) {
+                await this.pool.end();
+            }
         }
     }
 }
 
+// Exportado antes da execução direta, pois batch-migrate.js importa este módulo
+module.exports = UserMigrator;
+
 // Executar migração se chamado diretamente
 if (require.main === module) {
-    const migrator = new UserMigrator();
+    const mapIndex = process.argv.indexOf('--map');
+    const resumeIndex = process.argv.indexOf('--resume');
+    let migrator;
+
+    if (mapIndex !== -1) {
+        // Migração em lote a partir de um arquivo de mapeamento
+        const BatchMigrator = require('./batch-migrate');
+        migrator = new BatchMigrator(process.argv[mapIndex + 1], {
+            resolveChains: process.argv.includes('--resolve-chains'),
+            stopOnError: process.argv.includes('--stop-on-error')
+        });
+    } else if (resumeIndex !== -1) {
+        migrator = new UserMigrator({ resumeRunId: process.argv[resumeIndex + 1] });
+    } else {
+        migrator = new UserMigrator();
+    }
+
     migrator.run()
         .then(() => {
             console.log(chalk.green.bold('\n🎉 Processo finalizado!'));
@@ -335,5 +1307,3 @@ if (require.main === module) {
             process.exit(1);
         });
 }
-
-module.exports = UserMigrator;
\ No newline at end of file
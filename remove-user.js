@@ -1,19 +1,45 @@
 const { createPool } = require('./config/database');
-const { getMigrationTables } = require('./config/tables');
+const { getMigrationTables, expandMigrationTargets } = require('./config/tables');
+const { buildOwnerPredicate, getReferencingForeignKeys, getColumnDefinitions } = require('./config/schema');
+const { collectUserRows, buildRestoreScript } = require('./config/backup');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { getConfig, getUserLabel, validateRemovalOptions } = require('./config/profiles');
 const chalk = require('chalk');
+const crypto = require('crypto');
 const fs = require('fs');
 require('dotenv').config();
 
+/**
+ * Tamanho do HMAC-SHA256 em hexadecimal gravado pela regra hash do modo anonymize
+ */
+const ANONYMIZE_HASH_LENGTH = 64;
+
+/**
+ * Tamanho, em bytes, da chave aleatória do HMAC da regra hash
+ */
+const ANONYMIZE_KEY_BYTES = 32;
+
 /**
  * Classe para remoção segura de usuário após migração
  */
 class UserRemover {
-    constructor() {
+    constructor(options = {}) {
         this.pool = createPool();
-        this.sourceUserId = parseInt(process.env.SOURCE_USER_ID) || 41;
-        this.dryRun = process.env.DRY_RUN === 'true';
+        this.config = getConfig();
+        this.sourceUserId = options.sourceUserId || this.config.users.source;
+        this.userTable = this.config.userTable.name;
+        this.userPrimaryKey = this.config.userTable.primaryKey;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        this.removal = { ...this.config.removal, mode: options.removalMode || this.config.removal.mode };
+        this.removalMode = this.removal.mode;
+        this.allowCascade = options.allowCascade || false;
+        this.confirmCascade = options.confirmCascade || null;
+        this.removalChanges = null;
+        this.userData = null;
+        this.backupSkipped = null;
         this.removalLog = [];
-        this.migrationTables = getMigrationTables();
+        this.migrationTables = options.migrationTables || getMigrationTables();
+        this.migrationTargets = expandMigrationTargets(this.migrationTables);
     }
 
     /**
@@ -49,6 +75,9 @@ class UserRemover {
         fs.writeFileSync(logFile, JSON.stringify({
             sourceUserId: this.sourceUserId,
             dryRun: this.dryRun,
+            removalMode: this.removalMode,
+            removedColumns: this.describeRemovalChanges(),
+            backupSkipped: this.backupSkipped,
             migrationTables: this.migrationTables,
             timestamp: new Date().toISOString(),
             log: this.removalLog
@@ -58,7 +87,67 @@ class UserRemover {
     }
 
     /**
-     * Verifica se é seguro remover o usuário
+     * Lista as referências ao usuário a verificar: as colunas configuradas e todas as
+     * chaves estrangeiras para a tabela de usuários, com a regra ON DELETE de cada uma
+     */
+    async listUserReferences() {
+        const references = new Map();
+
+        for (const tableConfig of this.migrationTargets) {
+            references.set(tableConfig.key, {
+                key: tableConfig.key,
+                table: tableConfig.table,
+                columns: [tableConfig.column],
+                target: tableConfig,
+                configured: true,
+                constraint: null,
+                onDelete: null
+            });
+        }
+
+        const foreignKeys = await getReferencingForeignKeys(this.pool, this.userTable);
+        if (foreignKeys.length === 0) {
+            return [...references.values()];
+        }
+
+        // Valores referenciados pelas chaves (normalmente só a PK do usuário)
+        const referencedColumns = [...new Set(foreignKeys.flatMap(fk => fk.referencedColumns))];
+        const [userRows] = await this.pool.query(
+            `SELECT ${referencedColumns.map(col => `\`${col}\``).join(', ')} FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ?`,
+            [this.sourceUserId]
+        );
+        if (userRows.length === 0) {
+            throw createError(ERROR_CODES.VALIDATION, `Usuário ${this.sourceUserId} não encontrado na tabela ${this.userTable}`);
+        }
+        const user = userRows[0];
+
+        for (const fk of foreignKeys) {
+            const key = `${fk.table}.${fk.columns.join(',')}`;
+            // Coluna configurada sem discriminador: a mesma referência, agora com a regra da FK
+            const configured = references.get(key);
+            if (configured && !configured.target.discriminator) {
+                configured.constraint = fk.constraint;
+                configured.onDelete = fk.onDelete;
+                continue;
+            }
+            references.set(configured ? `${key} (${fk.constraint})` : key, {
+                key,
+                table: fk.table,
+                columns: fk.columns,
+                values: fk.referencedColumns.map(col => user[col]),
+                configured: false,
+                constraint: fk.constraint,
+                onDelete: fk.onDelete
+            });
+        }
+
+        return [...references.values()];
+    }
+
+    /**
+     * Verifica se é seguro remover o usuário. Bloqueiam a remoção as referências que
+     * restam nas colunas configuradas e, no modo delete, as chaves estrangeiras RESTRICT
+     * (o DELETE falharia); as linhas em tabelas CASCADE exigem confirmação explícita
      */
     async verifySafeToRemove() {
         try {
@@ -66,52 +155,87 @@ class UserRemover {
             
             const safetyCheck = {};
             let totalReferences = 0;
+            let blockingReferences = 0;
+            const cascade = [];
+            const deletes = this.removalMode === 'delete';
+
+            const references = await this.listUserReferences();
             
-            // Verificar cada tabela especificada para referências restantes
-            for (const tableConfig of this.migrationTables) {
-                const tableName = tableConfig.table;
-                const userIdColumn = tableConfig.column;
+            // Verificar cada referência (coluna configurada ou chave estrangeira)
+            for (const reference of references) {
+                const { key: targetKey, columns } = reference;
+                const rule = reference.onDelete ? ` [ON DELETE ${reference.onDelete}]` : '';
                 
                 try {
+                    const predicate = reference.configured
+                        ? buildOwnerPredicate(reference.target, this.sourceUserId)
+                        : {
+                            sql: columns.map(col => `\`${col}\` = ?`).join(' AND '),
+                            params: reference.values
+                        };
                     const [countResult] = await this.pool.execute(
-                        `SELECT COUNT(*) as count FROM \`${tableName}\` WHERE \`${userIdColumn}\` = ?`,
-                        [this.sourceUserId]
+                        `SELECT COUNT(*) as count FROM \`${reference.table}\` WHERE ${predicate.sql}`,
+                        predicate.params
                     );
                     
                     const count = countResult[0].count;
-                    safetyCheck[tableName] = {
-                        column: userIdColumn,
+                    safetyCheck[targetKey] = {
+                        column: columns.join(','),
+                        source: reference.configured ? 'configured' : 'foreign_key',
+                        constraint: reference.constraint,
+                        onDelete: reference.onDelete,
                         remainingReferences: count
                     };
                     
                     totalReferences += count;
-                    
-                    if (count > 0) {
-                        this.log('warning', `Tabela ${tableName}: ${count} referências restantes na coluna ${userIdColumn}`);
+
+                    if (count === 0) {
+                        this.log('info', `Tabela ${targetKey}${rule}: Nenhuma referência restante`);
+                    } else if (reference.configured) {
+                        blockingReferences += count;
+                        this.log('warning', `Tabela ${targetKey}${rule}: ${count} referências restantes (não migradas)`);
+                    } else if (!deletes) {
+                        this.log('info', `Tabela ${targetKey}${rule}: ${count} referências (mantidas no modo ${this.removalMode})`);
+                    } else if (reference.onDelete === 'CASCADE') {
+                        cascade.push({ key: targetKey, constraint: reference.constraint, rows: count });
+                        this.log('warning', `Tabela ${targetKey}${rule}: ${count} linhas seriam apagadas em cascata`);
+                    } else if (reference.onDelete === 'SET NULL') {
+                        this.log('warning', `Tabela ${targetKey}${rule}: ${count} linhas perderiam a referência (SET NULL)`);
                     } else {
-                        this.log('info', `Tabela ${tableName}: Nenhuma referência restante`);
+                        blockingReferences += count;
+                        this.log('warning', `Tabela ${targetKey}${rule}: ${count} linhas impedem o DELETE`);
                     }
                 } catch (error) {
-                    this.log('error', `Erro ao verificar tabela ${tableName}`, error.message);
-                    safetyCheck[tableName] = {
-                        column: userIdColumn,
+                    this.log('error', `Erro ao verificar tabela ${targetKey}`, error.message);
+                    blockingReferences++;
+                    safetyCheck[targetKey] = {
+                        column: columns.join(','),
+                        source: reference.configured ? 'configured' : 'foreign_key',
+                        constraint: reference.constraint,
+                        onDelete: reference.onDelete,
                         remainingReferences: -1,
                         error: error.message
                     };
                 }
             }
             
-            const isSafe = totalReferences === 0;
+            const isSafe = blockingReferences === 0;
+            const cascadeRows = cascade.reduce((sum, ref) => sum + ref.rows, 0);
             
-            if (isSafe) {
-                this.log('success', 'Verificação concluída: É seguro remover o usuário');
+            if (!isSafe) {
+                this.log('error', `Verificação falhou: ${blockingReferences} referências impedem a remoção`);
+            } else if (cascadeRows > 0) {
+                this.log('warning', `Verificação concluída: ${cascadeRows} linhas serão apagadas em cascata junto com o usuário`, cascade);
             } else {
-                this.log('error', `Verificação falhou: ${totalReferences} referências restantes encontradas`);
+                this.log('success', 'Verificação concluída: É seguro remover o usuário');
             }
             
             return {
                 isSafe,
                 totalReferences,
+                blockingReferences,
+                cascade,
+                cascadeRows,
                 safetyCheck
             };
             
@@ -122,7 +246,10 @@ class UserRemover {
     }
 
     /**
-     * Cria backup do usuário antes da remoção
+     * Cria backup do usuário antes da remoção: o registro do usuário e todas as linhas
+     * que o referenciam por chave estrangeira, em JSON e em um script SQL de INSERTs.
+     * No modo anonymize nenhum arquivo é gravado: nada é apagado, e o backup guardaria
+     * em texto os dados pessoais que a anonimização sobrescreve.
      */
     async createUserBackup() {
         try {
@@ -130,7 +257,7 @@ class UserRemover {
             
             // Buscar dados do usuário na tabela principal
             const [userData] = await this.pool.execute(
-                'SELECT * FROM user WHERE id = ?',
+                `SELECT * FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ?`,
                 [this.sourceUserId]
             );
             
@@ -139,20 +266,45 @@ class UserRemover {
             }
             
             const user = userData[0];
+            this.userData = user;
+
+            if (this.removalMode === 'anonymize') {
+                this.backupSkipped = 'modo anonymize: o backup conteria os dados pessoais sobrescritos';
+                this.log('warning', `Backup não criado no modo anonymize (colunas ${Object.keys(this.removal.anonymize.columns).join(', ')} não são gravadas em arquivo)`);
+                return null;
+            }
+
+            const tables = await collectUserRows(this.pool, this.userTable, this.userPrimaryKey, this.sourceUserId);
+            for (const entry of tables) {
+                this.log('info', `Backup: ${entry.table}: ${entry.rows.length} linhas`);
+            }
+
+            const baseName = `user-backup-${this.sourceUserId}-${Date.now()}`;
+            const backupFile = `${baseName}.json`;
+            const sqlFile = `${baseName}.sql`;
             const backupData = {
                 timestamp: new Date().toISOString(),
+                profile: this.config.profile,
+                database: this.config.connection.database,
                 userId: this.sourceUserId,
+                userTable: this.userTable,
                 userData: user,
                 backupReason: 'Pre-deletion backup',
-                migrationTables: this.migrationTables
+                removalMode: this.removalMode,
+                migrationTables: this.migrationTables,
+                sqlFile,
+                tables
             };
-            
-            const backupFile = `user-backup-${this.sourceUserId}-${Date.now()}.json`;
+
             fs.writeFileSync(backupFile, JSON.stringify(backupData, null, 2));
-            
+            fs.writeFileSync(sqlFile, buildRestoreScript(backupData));
+
             this.log('success', `Backup do usuário criado: ${backupFile}`, {
-                userName: user.name || user.email,
-                backupFile
+                userName: getUserLabel(user),
+                backupFile,
+                sqlFile,
+                tables: tables.length,
+                rows: tables.reduce((sum, entry) => sum + entry.rows.length, 0)
             });
             
             return backupFile;
@@ -164,33 +316,141 @@ class UserRemover {
     }
 
     /**
-     * Remove o usuário da tabela principal
+     * Texto gravado pela regra placeholder do modo anonymize
+     */
+    getAnonymizePlaceholder() {
+        return (this.removal.anonymize.placeholder || 'removido-{id}').replace(/\{id\}/g, this.sourceUserId);
+    }
+
+    /**
+     * Confere, antes de alterar o registro, se cada coluna do modo anonymize comporta
+     * o valor gravado: texto com espaço para o hash ou o placeholder, ou coluna que aceita NULL
+     */
+    async validateAnonymizeColumns() {
+        const definitions = await getColumnDefinitions(this.pool, this.userTable);
+        const placeholder = this.getAnonymizePlaceholder();
+        const problems = [];
+
+        for (const [column, rule] of Object.entries(this.removal.anonymize.columns)) {
+            const definition = definitions[column];
+            if (!definition) {
+                problems.push(`${column}: coluna não existe na tabela ${this.userTable}`);
+                continue;
+            }
+
+            const length = { hash: ANONYMIZE_HASH_LENGTH, placeholder: placeholder.length }[rule];
+            if (length !== undefined && (definition.maxLength === null || definition.maxLength < length)) {
+                const size = definition.maxLength === null ? definition.dataType : `${definition.dataType}(${definition.maxLength})`;
+                problems.push(`${column}: a regra ${rule} grava ${length} caracteres, mas a coluna é ${size}`);
+            } else if (rule === 'null' && !definition.nullable) {
+                problems.push(`${column}: a regra null exige uma coluna que aceite NULL`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw createError(ERROR_CODES.VALIDATION, `Colunas do modo anonymize incompatíveis (perfil "${this.config.profile}"):\n  - ${problems.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Calcula as colunas que o modo soft-delete ou anonymize grava no registro do usuário.
+     * A regra hash usa um HMAC com chave aleatória que só existe nesta chamada: um SHA-256
+     * simples de um email ou telefone poderia ser revertido por dicionário.
+     */
+    buildRemovalChanges(user) {
+        const changes = {};
+        const { softDelete, anonymize } = this.removal;
+
+        if (this.removalMode === 'anonymize') {
+            const placeholder = this.getAnonymizePlaceholder();
+            const key = crypto.randomBytes(ANONYMIZE_KEY_BYTES);
+            for (const [column, rule] of Object.entries(anonymize.columns)) {
+                if (rule === 'hash') {
+                    const value = user[column];
+                    changes[column] = value === null || value === undefined
+                        ? null
+                        : crypto.createHmac('sha256', key).update(String(value)).digest('hex');
+                } else if (rule === 'placeholder') {
+                    changes[column] = placeholder;
+                } else {
+                    changes[column] = null;
+                }
+            }
+        }
+
+        // No modo anonymize, a marcação de soft delete é aplicada junto quando configurada
+        if (softDelete && this.removalMode !== 'delete') {
+            changes[softDelete.column] = softDelete.value !== undefined ? softDelete.value : new Date();
+        }
+
+        return changes;
+    }
+
+    /**
+     * Descreve, para o log, as colunas alteradas e a regra de cada uma (sem os valores originais)
+     */
+    describeRemovalChanges() {
+        if (!this.removalChanges) {
+            return null;
+        }
+
+        const { softDelete, anonymize } = this.removal;
+        const described = {};
+        for (const column of Object.keys(this.removalChanges)) {
+            described[column] = softDelete && column === softDelete.column ? 'soft-delete' : anonymize.columns[column];
+        }
+        return described;
+    }
+
+    /**
+     * Remove o usuário da tabela principal, marca como removido ou anonimiza,
+     * conforme o modo de remoção, na conexão transacional da remoção
      */
-    async removeUserRecord() {
+    async removeUserRecord(connection) {
         try {
-            this.log('info', `Removendo usuário ${this.sourceUserId} da tabela user...`);
-            
+            const actions = {
+                delete: 'Removendo',
+                'soft-delete': 'Marcando como removido',
+                anonymize: 'Anonimizando'
+            };
+            this.log('info', `${actions[this.removalMode]} usuário ${this.sourceUserId} na tabela ${this.userTable} (modo ${this.removalMode})...`);
+
+            if (this.removalMode !== 'delete') {
+                this.removalChanges = this.buildRemovalChanges(this.userData);
+            }
+
             if (this.dryRun) {
-                this.log('warning', 'DRY RUN: Simulando remoção do usuário');
-                return { removed: false, simulated: true };
+                this.log('warning', `DRY RUN: Simulando remoção do usuário (modo ${this.removalMode})`, this.describeRemovalChanges());
+                return { removed: false, simulated: true, mode: this.removalMode };
             }
-            
-            const [deleteResult] = await this.pool.execute(
-                'DELETE FROM user WHERE id = ?',
-                [this.sourceUserId]
-            );
-            
-            if (deleteResult.affectedRows === 0) {
+
+            let result;
+            if (this.removalMode === 'delete') {
+                [result] = await connection.execute(
+                    `DELETE FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ?`,
+                    [this.sourceUserId]
+                );
+            } else {
+                const columns = Object.keys(this.removalChanges);
+                [result] = await connection.execute(
+                    `UPDATE \`${this.userTable}\` SET ${columns.map(column => `\`${column}\` = ?`).join(', ')} WHERE \`${this.userPrimaryKey}\` = ?`,
+                    [...columns.map(column => this.removalChanges[column]), this.sourceUserId]
+                );
+            }
+
+            if (result.affectedRows === 0) {
                 throw new Error(`Nenhum usuário encontrado com ID ${this.sourceUserId}`);
             }
-            
-            this.log('success', `Usuário ${this.sourceUserId} removido com sucesso`);
-            
-            return { 
-                removed: true, 
-                affectedRows: deleteResult.affectedRows 
+
+            this.log('success', `Usuário ${this.sourceUserId} removido com sucesso (modo ${this.removalMode})`, this.describeRemovalChanges());
+
+            return {
+                removed: true,
+                mode: this.removalMode,
+                affectedRows: result.affectedRows,
+                columns: this.describeRemovalChanges()
             };
-            
+
         } catch (error) {
             this.log('error', 'Erro ao remover usuário', error.message);
             throw error;
@@ -198,27 +458,61 @@ class UserRemover {
     }
 
     /**
-     * Verifica se a remoção foi bem-sucedida
+     * Verifica se a remoção foi bem-sucedida: registro ausente (delete), marcado
+     * (soft-delete) ou com as colunas sobrescritas (anonymize). Lê na conexão da remoção,
+     * antes do commit, para enxergar as alterações ainda não confirmadas
      */
-    async verifyRemoval() {
+    async verifyRemoval(connection) {
         try {
             this.log('info', 'Verificando se a remoção foi bem-sucedida...');
-            
-            const [userCheck] = await this.pool.execute(
-                'SELECT COUNT(*) as count FROM user WHERE id = ?',
+
+            if (this.removalMode === 'delete') {
+                const [userCheck] = await connection.execute(
+                    `SELECT COUNT(*) as count FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ?`,
+                    [this.sourceUserId]
+                );
+
+                const userExists = userCheck[0].count > 0;
+
+                if (userExists) {
+                    this.log('error', `Usuário ${this.sourceUserId} ainda existe na tabela ${this.userTable}`);
+                    return { success: false, userStillExists: true };
+                } else {
+                    this.log('success', `Confirmado: Usuário ${this.sourceUserId} foi removido com sucesso`);
+                    return { success: true, userStillExists: false };
+                }
+            }
+
+            const columns = Object.keys(this.removalChanges);
+            const [rows] = await connection.execute(
+                `SELECT ${columns.map(column => `\`${column}\``).join(', ')} FROM \`${this.userTable}\` WHERE \`${this.userPrimaryKey}\` = ?`,
                 [this.sourceUserId]
             );
-            
-            const userExists = userCheck[0].count > 0;
-            
-            if (userExists) {
-                this.log('error', `Usuário ${this.sourceUserId} ainda existe na tabela user`);
-                return { success: false, userStillExists: true };
-            } else {
-                this.log('success', `Confirmado: Usuário ${this.sourceUserId} foi removido com sucesso`);
-                return { success: true, userStillExists: false };
+
+            if (rows.length === 0) {
+                this.log('error', `Usuário ${this.sourceUserId} não encontrado na tabela ${this.userTable}`);
+                return { success: false, userStillExists: false };
             }
-            
+
+            // A marcação de soft delete sem valor fixo só precisa estar preenchida
+            const { softDelete } = this.removal;
+            const pending = columns.filter(column => {
+                const current = rows[0][column];
+                if (softDelete && column === softDelete.column && softDelete.value === undefined) {
+                    return current === null;
+                }
+                const expected = this.removalChanges[column];
+                return expected === null ? current !== null : current === null || String(current) !== String(expected);
+            });
+
+            if (pending.length > 0) {
+                this.log('error', `Usuário ${this.sourceUserId}: colunas não atualizadas pelo modo ${this.removalMode}`, pending);
+                return { success: false, userStillExists: true, pendingColumns: pending };
+            }
+
+            this.log('success', `Confirmado: Usuário ${this.sourceUserId} ${this.removalMode === 'anonymize' ? 'anonimizado' : 'marcado como removido'} com sucesso`);
+            return { success: true, userStillExists: true };
+
         } catch (error) {
             this.log('error', 'Erro na verificação de remoção', error.message);
             throw error;
@@ -232,12 +526,36 @@ class UserRemover {
         let connection;
         try {
             console.log(chalk.red.bold('🗑️  INICIANDO REMOÇÃO SEGURA DE USUÁRIO\n'));
-            
+
+            if (!this.sourceUserId) {
+                throw createError(ERROR_CODES.VALIDATION, `Usuário a remover não definido (perfil "${this.config.profile}": users.source, ou --source)`);
+            }
+            if (this.migrationTables.length === 0) {
+                throw createError(ERROR_CODES.VALIDATION, `Nenhuma tabela configurada no perfil "${this.config.profile}"; não é possível verificar referências restantes`);
+            }
+            const removalProblems = validateRemovalOptions(this.removal);
+            if (removalProblems.length > 0) {
+                throw createError(ERROR_CODES.VALIDATION, `Modo de remoção inválido (perfil "${this.config.profile}"):\n  - ${removalProblems.join('\n  - ')}`);
+            }
+            this.log('info', `Modo de remoção: ${this.removalMode}`);
+            if (this.removalMode === 'anonymize') {
+                await this.validateAnonymizeColumns();
+            }
+
             // Verificar se é seguro remover
             const safetyResult = await this.verifySafeToRemove();
             
             if (!safetyResult.isSafe) {
-                throw new Error(`Não é seguro remover o usuário. ${safetyResult.totalReferences} referências restantes encontradas.`);
+                throw createError(ERROR_CODES.CONFLICT, `Não é seguro remover o usuário. ${safetyResult.blockingReferences} referências restantes encontradas.`);
+            }
+
+            // Linhas apagadas em cascata só com confirmação explícita (--allow-cascade ou pergunta interativa)
+            if (safetyResult.cascadeRows > 0 && !this.allowCascade) {
+                const confirmed = this.confirmCascade ? await this.confirmCascade(safetyResult.cascade) : false;
+                if (!confirmed) {
+                    throw createError(ERROR_CODES.CONFLICT, `A remoção apagaria em cascata ${safetyResult.cascadeRows} linhas (${safetyResult.cascade.map(ref => ref.key).join(', ')}); migre-as ou confirme com --allow-cascade`);
+                }
+                this.log('warning', `Remoção em cascata confirmada: ${safetyResult.cascadeRows} linhas (incluídas no backup)`);
             }
             
             // Criar backup
@@ -251,29 +569,37 @@ class UserRemover {
             }
             
             // Remover usuário
-            const removalResult = await this.removeUserRecord();
+            const removalResult = await this.removeUserRecord(connection);
             
-            // Verificar remoção
-            const verificationResult = await this.verifyRemoval();
+            // Verificar remoção (em DRY RUN nada foi alterado)
+            const verificationResult = this.dryRun
+                ? { success: true, simulated: true }
+                : await this.verifyRemoval(connection);
             
-            if (!this.dryRun && verificationResult.success) {
+            if (!verificationResult.success) {
+                // A transação é revertida no tratamento do erro
+                throw createError(ERROR_CODES.CONFLICT, `A verificação da remoção do usuário ${this.sourceUserId} falhou (modo ${this.removalMode}); nada foi alterado`);
+            }
+            if (!this.dryRun) {
                 await connection.commit();
                 this.log('success', 'Transação de remoção confirmada');
-            } else if (!this.dryRun) {
-                await connection.rollback();
-                this.log('error', 'Transação de remoção revertida devido à falha na verificação');
             }
             
             const logFile = this.saveRemovalLog();
             
             console.log(chalk.green.bold('\n✅ REMOÇÃO CONCLUÍDA COM SUCESSO!'));
-            console.log(chalk.white(`👤 Usuário removido: ${this.sourceUserId}`));
-            console.log(chalk.white(`💾 Backup salvo em: ${backupFile}`));
+            console.log(chalk.white(`👤 Usuário removido: ${this.sourceUserId} (modo ${this.removalMode})`));
+            if (backupFile) {
+                console.log(chalk.white(`💾 Backup salvo em: ${backupFile}`));
+            } else {
+                console.log(chalk.yellow(`💾 Backup não criado: ${this.backupSkipped}`));
+            }
             console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
             
             return {
                 safety: safetyResult,
                 backup: backupFile,
+                removalMode: this.removalMode,
                 removal: removalResult,
                 verification: verificationResult,
                 logFile
@@ -0,0 +1,286 @@
+const { createPool } = require('./config/database');
+const { reviveRow, buildInsertStatement } = require('./config/backup');
+const { buildKeyPredicate, pickKey } = require('./config/schema');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { getConfig } = require('./config/profiles');
+const chalk = require('chalk');
+const fs = require('fs');
+require('dotenv').config();
+
+/**
+ * Erros de INSERT tratados como conflito (a linha é pulada e relatada):
+ * linha já existente (PK ou índice único) e linha referenciada ausente
+ */
+const CONFLICT_ERRORS = {
+    ER_DUP_ENTRY: 'duplicate',
+    ER_NO_REFERENCED_ROW: 'missing-parent',
+    ER_NO_REFERENCED_ROW_2: 'missing-parent'
+};
+
+/**
+ * Classe para restaurar o backup de um usuário criado antes da remoção
+ */
+class BackupRestorer {
+    constructor(backupFile, options = {}) {
+        this.config = getConfig();
+        this.pool = createPool();
+        this.backupFile = backupFile;
+        this.strict = options.strict || false;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        this.restoreLog = [];
+    }
+
+    /**
+     * Adiciona entrada ao log de restauração
+     */
+    log(level, message, data = null) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data
+        };
+        this.restoreLog.push(logEntry);
+
+        const colorMap = {
+            info: chalk.blue,
+            success: chalk.green,
+            warning: chalk.yellow,
+            error: chalk.red
+        };
+
+        console.log(colorMap[level] || chalk.white, `[${level.toUpperCase()}] ${message}`);
+        if (data) {
+            console.log(chalk.gray('  Data:'), data);
+        }
+    }
+
+    /**
+     * Salva o log de restauração em arquivo
+     */
+    saveRestoreLog(backup, conflicts = [], relinked = []) {
+        const logFile = `restore-log-${Date.now()}.json`;
+        fs.writeFileSync(logFile, JSON.stringify({
+            backupFile: this.backupFile,
+            userId: backup ? backup.userId : null,
+            dryRun: this.dryRun,
+            strict: this.strict,
+            timestamp: new Date().toISOString(),
+            relinked,
+            conflicts,
+            log: this.restoreLog
+        }, null, 2));
+        this.log('info', `Log de restauração salvo em: ${logFile}`);
+        return logFile;
+    }
+
+    /**
+     * Lê e valida o arquivo de backup
+     */
+    loadBackup() {
+        if (!this.backupFile || !fs.existsSync(this.backupFile)) {
+            throw createError(ERROR_CODES.VALIDATION, `Arquivo de backup não encontrado: ${this.backupFile}`);
+        }
+
+        const backup = JSON.parse(fs.readFileSync(this.backupFile, 'utf8'));
+
+        if (!Array.isArray(backup.tables)) {
+            throw createError(ERROR_CODES.VALIDATION, 'O backup informado não tem as linhas das tabelas (formato antigo, apenas userData); não é possível restaurá-lo');
+        }
+
+        if (backup.profile && backup.profile !== this.config.profile) {
+            throw createError(ERROR_CODES.VALIDATION, `O backup informado é do perfil "${backup.profile}"; execute com --profile ${backup.profile}`);
+        }
+
+        this.log('info', `Backup carregado: usuário ${backup.userId} (${backup.timestamp})`, {
+            tables: backup.tables.map(entry => `${entry.table} (${entry.rows.length})`)
+        });
+
+        return backup;
+    }
+
+    /**
+     * Religa uma linha que ainda existe, mas perdeu a referência na remoção (ON DELETE SET NULL):
+     * as colunas dessas chaves que estão NULL no banco voltam ao valor do backup.
+     * Retorna o número de chaves religadas (0 se a linha não estava desligada).
+     */
+    async relinkRow(connection, entry, row) {
+        const setNull = entry.references.filter(ref =>
+            ref.onDelete === 'SET NULL' && ref.columns.every(col => row[col] !== null && row[col] !== undefined)
+        );
+        if (setNull.length === 0 || entry.primaryKey.length === 0) {
+            return 0;
+        }
+
+        const predicate = buildKeyPredicate(entry.primaryKey, [pickKey(entry.primaryKey, row)]);
+        let relinked = 0;
+        for (const ref of setNull) {
+            const [result] = await connection.query(
+                `UPDATE \`${entry.table}\` SET ${ref.columns.map(col => `\`${col}\` = ?`).join(', ')}
+                 WHERE ${predicate.sql} AND ${ref.columns.map(col => `\`${col}\` IS NULL`).join(' AND ')}`,
+                [...ref.columns.map(col => row[col]), ...predicate.params]
+            );
+            relinked += result.affectedRows > 0 ? 1 : 0;
+        }
+        return relinked;
+    }
+
+    /**
+     * Reinsere as linhas de uma tabela, uma a uma. Linhas que ainda existem com a chave
+     * anulada por ON DELETE SET NULL são religadas; as demais que falham são conflitos.
+     */
+    async restoreTable(connection, entry) {
+        let restored = 0;
+        const relinked = [];
+        const conflicts = [];
+
+        for (const backupRow of entry.rows) {
+            const row = reviveRow(backupRow);
+            const key = entry.primaryKey.length > 0 ? pickKey(entry.primaryKey, backupRow) : backupRow;
+            try {
+                await connection.query(buildInsertStatement(entry, row));
+                restored++;
+            } catch (error) {
+                const reason = CONFLICT_ERRORS[error.code];
+                if (!reason) {
+                    throw error;
+                }
+                try {
+                    if (reason === 'duplicate' && await this.relinkRow(connection, entry, row) > 0) {
+                        relinked.push({ table: entry.table, key });
+                        continue;
+                    }
+                } catch (relinkError) {
+                    if (!CONFLICT_ERRORS[relinkError.code]) {
+                        throw relinkError;
+                    }
+                    error = relinkError;
+                }
+                conflicts.push({
+                    table: entry.table,
+                    key,
+                    reason: CONFLICT_ERRORS[error.code],
+                    error: error.message
+                });
+            }
+        }
+
+        return { restored, relinked, conflicts };
+    }
+
+    /**
+     * Executa o processo completo de restauração, em ordem de dependência e em uma única transação
+     */
+    async run() {
+        let connection;
+        let backup = null;
+        let conflicts = [];
+        let relinked = [];
+        try {
+            console.log(chalk.blue.bold(`♻️  RESTAURANDO BACKUP DE USUÁRIO ${this.dryRun ? '(DRY RUN)' : ''}\n`));
+
+            backup = this.loadBackup();
+
+            connection = await this.pool.getConnection();
+            await connection.beginTransaction();
+            this.log('info', 'Transação iniciada');
+
+            // Em DRY RUN as linhas também são inseridas, para detectar conflitos, e a transação é revertida
+            const restoreResults = {};
+            let totalRestored = 0;
+            for (const entry of backup.tables) {
+                const result = await this.restoreTable(connection, entry);
+                restoreResults[entry.table] = {
+                    recorded: entry.rows.length,
+                    restored: result.restored,
+                    relinked: result.relinked.length,
+                    conflicts: result.conflicts.length
+                };
+                totalRestored += result.restored;
+                relinked.push(...result.relinked);
+                conflicts.push(...result.conflicts);
+
+                if (result.relinked.length > 0) {
+                    this.log('info', `Tabela ${entry.table}: ${result.relinked.length} linhas existentes religadas (chave anulada por ON DELETE SET NULL)`);
+                }
+
+                if (result.conflicts.length > 0) {
+                    this.log('warning', `Tabela ${entry.table}: ${result.conflicts.length} linhas em conflito não restauradas`, result.conflicts.slice(0, 20));
+                }
+                this.log(this.dryRun ? 'warning' : 'success',
+                    `${this.dryRun ? 'DRY RUN: ' : ''}Tabela ${entry.table}: ${result.restored} de ${entry.rows.length} linhas ${this.dryRun ? 'seriam restauradas' : 'restauradas'}`);
+            }
+
+            if (conflicts.length > 0 && this.strict) {
+                throw createError(ERROR_CODES.CONFLICT, `${conflicts.length} linhas do backup conflitam com o banco; restauração cancelada (modo estrito)`);
+            }
+
+            if (this.dryRun) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+                this.log('success', 'Transação confirmada com sucesso');
+            }
+
+            const logFile = this.saveRestoreLog(backup, conflicts, relinked);
+
+            console.log(chalk.green.bold('\n✅ BACKUP RESTAURADO'));
+            console.log(chalk.white(`📊 Linhas restauradas: ${totalRestored}`));
+            if (relinked.length > 0) {
+                console.log(chalk.white(`🔗 Linhas religadas ao usuário: ${relinked.length}`));
+            }
+            if (conflicts.length > 0) {
+                console.log(chalk.yellow(`⚠️  Linhas em conflito (não restauradas): ${conflicts.length}`));
+            }
+            console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
+
+            return {
+                totalRestored,
+                relinked: relinked.length,
+                conflicts: conflicts.length,
+                restoreResults,
+                logFile
+            };
+
+        } catch (error) {
+            this.log('error', 'Falha ao restaurar backup', error.message);
+            if (connection) {
+                try {
+                    await connection.rollback();
+                    this.log('info', 'Transação revertida');
+                } catch (rollbackError) {
+                    this.log('error', 'Erro ao reverter transação', rollbackError.message);
+                }
+            }
+            this.saveRestoreLog(backup, conflicts, relinked);
+            throw error;
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+            await this.pool.end();
+        }
+    }
+}
+
+// Executar restauração se chamado diretamente
+if (require.main === module) {
+    const backupFile = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    if (!backupFile) {
+        console.error(chalk.red('Uso: node restore-backup.js <user-backup.json> [--strict]'));
+        process.exit(1);
+    }
+
+    const restorer = new BackupRestorer(backupFile, { strict: process.argv.includes('--strict') });
+    restorer.run()
+        .then(() => {
+            console.log(chalk.green.bold('\n🎉 Processo finalizado!'));
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error(chalk.red.bold('\n💥 Falha no processo:'), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = BackupRestorer;
@@ -1,6 +1,8 @@
 const { testConnection } = require('./config/database');
+const { getConfig } = require('./config/profiles');
 const DatabaseAnalyzer = require('./analyze-database');
 const chalk = require('chalk');
+const assert = require('assert');
 require('dotenv').config();
 
 /**
@@ -81,21 +83,27 @@ class MigrationTester {
      */
     async testConfiguration() {
         return await this.runTest('Validação de Configuração', async () => {
-            const requiredEnvVars = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'];
-            const missing = requiredEnvVars.filter(varName => !process.env[varName]);
+            const config = getConfig();
+            const requiredSettings = ['host', 'user', 'password', 'database'];
+            const missing = requiredSettings.filter(key => !config.connection[key]);
             
             if (missing.length > 0) {
-                throw new Error(`Variáveis de ambiente faltando: ${missing.join(', ')}`);
+                throw new Error(`Configurações de conexão faltando no perfil ${config.profile}: ${missing.join(', ')}`);
             }
             
-            const sourceUserId = parseInt(process.env.SOURCE_USER_ID) || 41;
-            const targetUserId = parseInt(process.env.TARGET_USER_ID) || 358;
+            const sourceUserId = config.users.source;
+            const targetUserId = config.users.target;
+            
+            if (!sourceUserId || !targetUserId) {
+                throw new Error(`Usuários origem e destino não definidos no perfil ${config.profile}`);
+            }
             
             if (sourceUserId === targetUserId) {
                 throw new Error('IDs de usuário origem e destino não podem ser iguais');
             }
             
             return {
+                profile: config.profile,
                 sourceUserId,
                 targetUserId,
                 dryRun: process.env.DRY_RUN === 'true'
@@ -144,6 +152,1109 @@ class MigrationTester {
         });
     }
 
+    /**
+     * Teste dos savepoints por tabela na migração atômica, com conexões simuladas
+     */
+    async testMigrationSavepoints() {
+        return await this.runTest('Savepoints da Migração', async () => {
+            const UserMigrator = require('./migrate');
+
+            const statements = [];
+            const connection = {
+                query: async (sql) => { statements.push(sql); return [{}]; },
+                beginTransaction: async () => { statements.push('BEGIN'); },
+                commit: async () => { statements.push('COMMIT'); },
+                rollback: async () => { statements.push('ROLLBACK'); },
+                release: () => {}
+            };
+            const migrationTables = [{ table: 'content', column: 'user_id' }, { table: 'comment', column: 'author_id' }];
+            const counts = { 'content.user_id': { count: 2 }, 'comment.author_id': { count: 1 } };
+
+            // Sem banco: a análise, os pré-requisitos e o checkpoint são substituídos
+            const run = async (bestEffort) => {
+                statements.length = 0;
+                const migrator = new UserMigrator({ pool: { getConnection: async () => connection }, sourceUserId: 41, targetUserId: 358, migrationTables });
+                Object.assign(migrator, { bestEffort, dryRun: false, updateMode: 'atomic', snapshot: false, fingerprint: false, temporaryIndex: false });
+                migrator.config = { ...migrator.config, userTable: { ...migrator.config.userTable, merge: null } };
+                migrator.log = () => {};
+                migrator.validatePrerequisites = async () => ({});
+                migrator.prepareCheckpoint = () => {};
+                migrator.migrateTable = async (conn, tableConfig) => {
+                    if (tableConfig.table === 'comment') {
+                        throw new Error('Duplicate entry');
+                    }
+                    return { migrated: 2, skipped: 0, migratedRows: { keys: [{ id: 1 }, { id: 2 }] } };
+                };
+
+                const stubs = {
+                    validateMigrationTables: async () => ({}),
+                    countRecordsByTable: async () => counts,
+                    analyzeIndexes: async () => ({})
+                };
+                const original = Object.fromEntries(Object.keys(stubs).map(name => [name, DatabaseAnalyzer.prototype[name]]));
+                Object.assign(DatabaseAnalyzer.prototype, stubs);
+                try {
+                    return { migrator, result: await migrator.executeMigration() };
+                } catch (error) {
+                    return { migrator, error };
+                } finally {
+                    Object.assign(DatabaseAnalyzer.prototype, original);
+                }
+            };
+
+            // best-effort: só a tabela que falhou volta ao savepoint; as demais são confirmadas
+            const bestEffort = await run(true);
+            assert.deepStrictEqual(statements, [
+                'BEGIN',
+                'SAVEPOINT sp_table_0',
+                'RELEASE SAVEPOINT sp_table_0',
+                'SAVEPOINT sp_table_1',
+                'ROLLBACK TO SAVEPOINT sp_table_1',
+                'COMMIT'
+            ]);
+            assert.deepStrictEqual(bestEffort.result.tableStatus.rolledBack, ['comment.author_id']);
+            assert.strictEqual(bestEffort.result.partial, true);
+
+            // Atômico: a falha reverte a transação inteira, inclusive a tabela já migrada
+            const atomic = await run(false);
+            assert.strictEqual(atomic.error.message, 'Duplicate entry');
+            assert.strictEqual(statements[statements.length - 1], 'ROLLBACK');
+            assert.ok(!statements.includes('COMMIT'));
+            assert.deepStrictEqual(atomic.migrator.migratedRows, {});
+
+            return { bestEffort: bestEffort.result.tableStatus, atomic: statements };
+        });
+    }
+
+    /**
+     * Teste da descoberta das colunas de usuário, com um pool que responde às consultas do INFORMATION_SCHEMA
+     */
+    async testUserColumnDiscovery() {
+        return await this.runTest('Descoberta de Colunas de Usuário', async () => {
+            const foreignKeys = [
+                { TABLE_NAME: 'content', COLUMN_NAME: 'user_id', CONSTRAINT_NAME: 'fk_content_user', UPDATE_RULE: 'RESTRICT', DELETE_RULE: 'CASCADE' }
+            ];
+            const columns = [
+                { TABLE_NAME: 'content', COLUMN_NAME: 'user_id', DATA_TYPE: 'int' },
+                { TABLE_NAME: 'content', COLUMN_NAME: 'Author_ID', DATA_TYPE: 'int' },
+                { TABLE_NAME: 'order', COLUMN_NAME: 'approver_user_id', DATA_TYPE: 'bigint' },
+                { TABLE_NAME: 'order', COLUMN_NAME: 'created_by', DATA_TYPE: 'int' },
+                { TABLE_NAME: 'order', COLUMN_NAME: 'total', DATA_TYPE: 'int' }
+            ];
+            const pool = {
+                execute: async (sql) => [sql.includes('KEY_COLUMN_USAGE') ? foreignKeys : columns]
+            };
+            const analyzer = new DatabaseAnalyzer({ pool, migrationTables: [{ table: 'content', column: 'user_id' }] });
+
+            const tableMap = await analyzer.findTablesWithUserId();
+            // A chave estrangeira prevalece sobre o candidato pelo nome da mesma coluna
+            assert.deepStrictEqual(tableMap.content.columns.map(col => [col.column, col.source, col.confidence]), [
+                ['user_id', 'foreign_key', 1],
+                ['Author_ID', 'name', 0.6]
+            ]);
+            assert.deepStrictEqual(tableMap.order.columns.map(col => [col.column, col.confidence]), [
+                ['approver_user_id', 0.6],
+                ['created_by', 0.5]
+            ]);
+
+            const proposal = await analyzer.proposeMigrationTables(0.6);
+            assert.deepStrictEqual(proposal.map(entry => [`${entry.table}.${entry.column}`, entry.configured]), [
+                ['content.user_id', true],
+                ['content.Author_ID', false],
+                ['order.approver_user_id', false]
+            ], 'proposta acima da confiança mínima, marcando as colunas já configuradas');
+
+            return { proposed: proposal.length };
+        });
+    }
+
+    /**
+     * Teste dos predicados por chave primária usados na resolução de conflitos
+     */
+    async testKeyPredicates() {
+        return await this.runTest('Predicados por Chave', async () => {
+            const { buildKeyPredicate, pickKey } = require('./config/schema');
+            const { getConflictStrategy } = require('./config/tables');
+
+            const single = buildKeyPredicate(['id'], [{ id: 1 }, { id: 2 }]);
+            assert.strictEqual(single.sql, '(`id`) IN ((?), (?))');
+            assert.deepStrictEqual(single.params, [1, 2]);
+
+            // Chave composta com alias e negação (linhas mantidas no origem)
+            const composite = buildKeyPredicate(['order_id', 'line'], [{ line: 1, order_id: 9 }], 's', true);
+            assert.strictEqual(composite.sql, '(s.`order_id`, s.`line`) NOT IN ((?, ?))');
+            assert.deepStrictEqual(composite.params, [9, 1], 'parâmetros na ordem das colunas da chave');
+
+            assert.deepStrictEqual(pickKey(['id'], { id: 5, user_id: 41, title: 'x' }), { id: 5 });
+            assert.strictEqual(getConflictStrategy({ table: 'content' }), 'abort', 'estratégia padrão');
+            assert.strictEqual(getConflictStrategy({ table: 'content', onConflict: 'skip' }), 'skip');
+
+            return { predicate: composite.sql };
+        });
+    }
+
+    /**
+     * Teste da leitura do log de migração pelo comando undo
+     */
+    async testUndoLogLoading() {
+        return await this.runTest('Leitura do Log para Desfazer', async () => {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const MigrationUndoer = require('./undo-migration');
+            const { ERROR_CODES } = require('./config/errors');
+
+            const logFile = path.join(os.tmpdir(), `test-migration-log-${Date.now()}.json`);
+            const undoer = new MigrationUndoer(logFile);
+            undoer.log = () => {};
+            const migratedRows = {
+                'content.user_id': { table: 'content', column: 'user_id', keyColumns: ['id'], keys: [{ id: 1 }] }
+            };
+            const load = (migration) => {
+                fs.writeFileSync(logFile, JSON.stringify(migration));
+                return undoer.loadMigrationLog();
+            };
+            const rejects = (migration, pattern) => assert.throws(() => load(migration),
+                error => error.code === ERROR_CODES.VALIDATION && pattern.test(error.message));
+
+            try {
+                assert.throws(() => undoer.loadMigrationLog(), { code: ERROR_CODES.VALIDATION }, 'log inexistente');
+                rejects({ dryRun: true, migratedRows }, /DRY RUN/);
+                rejects({ sourceUserId: 41, targetUserId: 358 }, /não registra linhas migradas/);
+                rejects({ profile: `outro-${undoer.config.profile}`, migratedRows }, /--profile outro-/);
+
+                const migration = load({ profile: undoer.config.profile, sourceUserId: 41, targetUserId: 358, migratedRows });
+                assert.deepStrictEqual(migration.deletedRows, {}, 'log sem linhas apagadas');
+
+                // Um log só com linhas apagadas na resolução de conflitos também pode ser desfeito
+                const deletedOnly = load({ sourceUserId: 41, targetUserId: 358, deletedRows: { 'content.user_id': { rows: [] } } });
+                assert.deepStrictEqual(deletedOnly.migratedRows, {});
+
+                return { tables: Object.keys(migration.migratedRows) };
+            } finally {
+                fs.rmSync(logFile, { force: true });
+                await undoer.pool.end();
+            }
+        });
+    }
+
+    /**
+     * Teste da validação dos pares do lote: destinos duplicados, ciclos e cadeias
+     */
+    async testMappingValidation() {
+        return await this.runTest('Validação de Mapeamentos do Lote', async () => {
+            const BatchMigrator = require('./batch-migrate');
+            const { ERROR_CODES } = require('./config/errors');
+            const pair = (sourceUserId, targetUserId) => ({ sourceUserId, targetUserId });
+
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const mappingFile = path.join(os.tmpdir(), `test-mapping-${Date.now()}.csv`);
+
+            const batch = new BatchMigrator(mappingFile);
+            const chained = new BatchMigrator(null, { resolveChains: true });
+            chained.log = () => {};
+            try {
+                fs.writeFileSync(mappingFile, 'origem,destino\n# comentário\n1,2\n\n3;4\n');
+                assert.deepStrictEqual(batch.loadMappings(), [pair(1, 2), pair(3, 4)], 'CSV com cabeçalho e comentário');
+                for (const invalid of ['12abc,5', '1.9,3', '0,3']) {
+                    fs.writeFileSync(mappingFile, `1,2\n${invalid}\n`);
+                    assert.throws(() => batch.loadMappings(),
+                        error => error.code === ERROR_CODES.VALIDATION && error.message.includes('entrada 2'),
+                        `ID inválido "${invalid}" rejeitado com a linha da entrada`);
+                }
+
+                assert.deepStrictEqual(batch.validateMappings([pair(1, 2), pair(3, 4), pair(1, 2)]),
+                    [pair(1, 2), pair(3, 4)], 'pares repetidos');
+                assert.throws(() => batch.validateMappings([pair(1, 2), pair(1, 3)]),
+                    { code: ERROR_CODES.VALIDATION }, 'origem com destinos diferentes');
+                assert.throws(() => batch.validateMappings([pair(1, 2), pair(2, 3), pair(3, 1)]),
+                    { code: ERROR_CODES.VALIDATION }, 'ciclo');
+                assert.throws(() => batch.validateMappings([pair(1, 2), pair(2, 3)]),
+                    { code: ERROR_CODES.VALIDATION }, 'cadeia sem --resolve-chains');
+                assert.deepStrictEqual(chained.validateMappings([pair(1, 2), pair(2, 3), pair(4, 2)]),
+                    [pair(1, 3), pair(2, 3), pair(4, 3)], 'cadeias resolvidas para o destino final');
+                return { resolvedChains: chained.validateMappings([pair(1, 2), pair(2, 3)]) };
+            } finally {
+                fs.rmSync(mappingFile, { force: true });
+                await batch.pool.end();
+                await chained.pool.end();
+            }
+        });
+    }
+
+    /**
+     * Teste da migração em lotes pela chave primária, com uma conexão simulada
+     */
+    async testChunkedMigration() {
+        return await this.runTest('Migração em Lotes', async () => {
+            const UserMigrator = require('./migrate');
+
+            // Linhas 1..5 do origem; a linha 3 foi mantida no origem pela resolução de conflitos
+            const updates = [];
+            const connection = {
+                execute: async (sql, params) => {
+                    if (sql.startsWith('SELECT')) {
+                        const after = sql.includes('> (?)') ? params[params.length - 1] : 0;
+                        return [[1, 2, 3, 4, 5].filter(id => id > after).slice(0, 2).map(id => ({ id }))];
+                    }
+                    updates.push(params);
+                    return [{ affectedRows: params.length - 2 }];
+                },
+                beginTransaction: async () => {},
+                commit: async () => {}
+            };
+
+            const migrator = new UserMigrator({ pool: {}, sourceUserId: 41, targetUserId: 358, migrationTables: [] });
+            Object.assign(migrator, { chunkSize: 2, chunkSleepMs: 0, maxThreadsRunning: 0 });
+            migrator.log = () => {};
+
+            const result = await migrator.migrateTableInChunks(
+                connection,
+                { table: 'content', column: 'user_id', key: 'content.user_id' },
+                ['id'],
+                [{ id: 3 }],
+                5
+            );
+
+            assert.deepStrictEqual(updates, [[358, 41, 1, 2], [358, 41, 4], [358, 41, 5]]);
+            assert.deepStrictEqual({ migrated: result.migrated, skipped: result.skipped, chunks: result.chunks }, { migrated: 4, skipped: 1, chunks: 3 });
+            assert.deepStrictEqual(result.migratedRows.keys, [{ id: 1 }, { id: 2 }, { id: 4 }, { id: 5 }]);
+
+            return { chunks: result.chunks, updates: updates.length };
+        });
+    }
+
+    /**
+     * Teste da gravação e leitura dos checkpoints de uma execução interrompida
+     */
+    async testCheckpoints() {
+        return await this.runTest('Checkpoints de Migração', async () => {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const checkpoints = require('./config/checkpoint');
+
+            // Os checkpoints são gravados no diretório atual
+            const previousDir = process.cwd();
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-checkpoint-'));
+            process.chdir(dir);
+            try {
+                const rows = { table: 'content', column: 'user_id', discriminator: null, keyColumns: ['id'] };
+                const running = { runId: checkpoints.createRunId(41, 358), status: 'running', tablesDone: [] };
+                checkpoints.saveCheckpoint(running);
+                checkpoints.appendCheckpointKeys(running.runId, 'content.user_id', rows, [{ id: 1 }, { id: 2 }]);
+                checkpoints.appendCheckpointKeys(running.runId, 'content.user_id', rows, []);
+                checkpoints.appendCheckpointKeys(running.runId, 'content.user_id', rows, [{ id: 3 }]);
+                checkpoints.saveCheckpoint({ runId: '7-8-1', status: 'completed' });
+
+                const { checkpoint, migratedRows } = checkpoints.loadCheckpoint(running.runId);
+                assert.strictEqual(checkpoint.status, 'running');
+                assert.deepStrictEqual(migratedRows['content.user_id'], { ...rows, keys: [{ id: 1 }, { id: 2 }, { id: 3 }] },
+                    'chaves dos lotes acumuladas por alvo');
+
+                assert.deepStrictEqual(checkpoints.findUnfinishedCheckpoints().map(c => c.runId), [running.runId],
+                    'só as execuções não concluídas são oferecidas para retomar');
+                assert.throws(() => checkpoints.loadCheckpoint('inexistente'), /Checkpoint não encontrado/);
+
+                // Qualquer mudança na lista de tabelas invalida o checkpoint
+                const tables = [{ table: 'content', column: 'user_id' }];
+                assert.strictEqual(checkpoints.hashMigrationTables(tables), checkpoints.hashMigrationTables([{ table: 'content', column: 'user_id' }]));
+                assert.notStrictEqual(checkpoints.hashMigrationTables(tables),
+                    checkpoints.hashMigrationTables([{ table: 'content', column: 'user_id', onConflict: 'skip' }]));
+
+                return { runId: running.runId, keys: migratedRows['content.user_id'].keys.length };
+            } finally {
+                process.chdir(previousDir);
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    /**
+     * Teste da leitura e validação das opções da linha de comando
+     */
+    async testCliOptions() {
+        return await this.runTest('Opções da Linha de Comando', async () => {
+            const { parseArgs, validateOptions } = require('./cli');
+            const { ERROR_CODES } = require('./config/errors');
+            const validate = (argv) => {
+                const { command, options, positional } = parseArgs(argv);
+                return validateOptions(command, options, positional);
+            };
+
+            assert.deepStrictEqual(parseArgs(['migrate', '--source=41', '--target', '358', '-y', '--dry-run']), {
+                command: 'migrate',
+                options: { source: '41', target: '358', yes: true, 'dry-run': true },
+                positional: []
+            }, 'parseArgs com valor inline, valor separado e alias');
+            assert.deepStrictEqual(parseArgs(['undo', 'migration-log.json', '--yes']).positional, ['migration-log.json'], 'argumento posicional');
+            assert.throws(() => parseArgs(['migrate', '--unknown']), { code: ERROR_CODES.VALIDATION }, 'opção desconhecida');
+            assert.throws(() => parseArgs(['migrate', '--source']), { code: ERROR_CODES.VALIDATION }, 'opção sem valor');
+            assert.throws(() => parseArgs(['migrate', '--source', '--yes']), { code: ERROR_CODES.VALIDATION }, 'valor que é outra opção');
+
+            assert.deepStrictEqual(validate(['migrate', '--source', '41', '--target', '358', '--chunked', '--chunk-size', '500', '--yes']), {
+                sourceUserId: 41,
+                targetUserId: 358,
+                updateMode: 'chunked',
+                chunkSize: 500
+            }, 'opções resolvidas da migração');
+            assert.deepStrictEqual(validate(['remove', '--source', '41', '--removal-mode', 'anonymize', '--dry-run']), {
+                sourceUserId: 41,
+                dryRun: true,
+                removalMode: 'anonymize'
+            }, 'opções resolvidas da remoção');
+
+            // Cada flag da migração vira a opção correspondente do UserMigrator
+            const configured = getConfig().migrationTables;
+            assert.deepStrictEqual(validate(['migrate', '--source', '41', '--target', '358', '--tables', ` ${configured[0].table}, `,
+                '--best-effort', '--snapshot', '--temp-index', '--no-fingerprint', '--yes']), {
+                sourceUserId: 41,
+                targetUserId: 358,
+                migrationTables: configured.filter(entry => entry.table === configured[0].table),
+                bestEffort: true,
+                snapshot: true,
+                temporaryIndex: true,
+                fingerprint: false
+            }, 'flags da migração');
+            assert.deepStrictEqual(validate(['undo', 'migration-log.json', '--strict', '--yes']), {}, 'undo só com o log');
+            assert.deepStrictEqual(validate(['restore', 'dump.sql.gz', '--database', 'scratch', '--continue-on-error', '--yes']), {},
+                'restore de dump com banco de destino');
+            assert.deepStrictEqual(validate(['export', '--format', 'csv', '--tables', configured[0].table, '--migration-tables']), {
+                migrationTables: configured.filter(entry => entry.table === configured[0].table)
+            }, 'export por tabela sem usuários');
+
+            const invalid = [
+                ['unknown'],
+                ['migrate', '--source', '41', '--target', '358'],
+                ['migrate', '--source', '12abc', '--target', '358', '--yes'],
+                ['migrate', '--source', '41', '--target', '41', '--yes'],
+                ['migrate', '--source', '41', '--target', '358', '--tables', 'nao_configurada', '--yes'],
+                ['migrate', '--map', 'pairs.csv', '--source', '41', '--yes'],
+                ['migrate', '--resume', '41-358-1', '--chunked', '--yes'],
+                ['migrate', '--resume', '41-358-1', '--dry-run'],
+                ['migrate', '--resolve-chains', '--yes'],
+                ['migrate', '--chunk-size', '100', '--yes'],
+                ['migrate', '--chunked', '--chunk-size', '0', '--yes'],
+                ['migrate', '--removal-mode', 'soft', '--yes'],
+                ['analyze', '--yes'],
+                ['analyze', '--save'],
+                ['undo', '--yes'],
+                ['undo', 'a.json', 'b.json', '--yes'],
+                ['export', 'extra'],
+                ['export', '--source', '41'],
+                ['export', '--tables', 'content'],
+                ['export', '--migration-tables'],
+                ['export', '--compression', 'gzip', '--no-compress'],
+                ['export', '--format', 'xml'],
+                ['remove', '--removal-mode', 'shred', '--yes'],
+                ['restore', 'user-backup-41.json', '--database', 'other', '--yes'],
+                ['restore', 'dump.sql', '--strict', '--yes']
+            ];
+            for (const argv of invalid) {
+                assert.throws(() => validate(argv), { code: ERROR_CODES.VALIDATION }, `opções inválidas: ${argv.join(' ')}`);
+            }
+
+            return { rejected: invalid.length };
+        });
+    }
+
+    /**
+     * Teste da validação dos perfis e da precedência entre perfil e .env
+     */
+    async testProfileValidation() {
+        return await this.runTest('Validação de Perfis', async () => {
+            const { buildProfileConfig } = require('./config/profiles');
+            const { ERROR_CODES } = require('./config/errors');
+            const connection = { database: 'test_db' };
+
+            const config = buildProfileConfig('test', {
+                connection,
+                users: { source: 7, target: 8 },
+                migrationTables: [
+                    { table: 'content', column: 'user_id' },
+                    { table: 'order', columns: ['created_by', 'updated_by'], onConflict: 'skip' },
+                    { table: 'settings', column: 'user_id', mode: 'merge', merge: { default: 'prefer-non-null' } }
+                ]
+            }, 'test.json');
+            assert.deepStrictEqual(config.users, { source: 7, target: 8 }, 'usuários do perfil têm precedência sobre o .env');
+            assert.deepStrictEqual(config.migrationTables.length, 3, 'tabelas do perfil');
+
+            const fallback = buildProfileConfig('test', { connection }, 'test.json');
+            assert.deepStrictEqual(fallback.users, {
+                source: parseInt(process.env.SOURCE_USER_ID) || null,
+                target: parseInt(process.env.TARGET_USER_ID) || null
+            }, 'usuários do .env quando o perfil não os define');
+
+            const invalidProfile = () => buildProfileConfig('test', {
+                connection,
+                users: { target: '8' },
+                migrationTables: [
+                    { table: 'content', column: 'user_id' },
+                    { table: 'content', column: 'user_id', onConflict: 'newest' },
+                    { table: 'content', column: 'user_id' },
+                    { table: 'order', column: 'user', columns: ['user'] },
+                    { table: 'settings', column: 'user_id', mode: 'merge', merge: { fields: { bio: 'longest' } } }
+                ],
+                removal: { mode: 'anonymize' }
+            }, 'test.json');
+            const problems = [
+                'migrationTables[1].onConflict "newest" inválido',
+                'migrationTables[2]: content.user_id já configurada em migrationTables[0]',
+                'migrationTables[3]: use column ou columns, não ambos',
+                'migrationTables[4].merge.fields.bio "longest" inválido',
+                'users.target deve ser um ID inteiro positivo',
+                'removal.mode "anonymize" exige removal.anonymize.columns'
+            ];
+            // Todos os problemas do perfil são listados de uma vez, não só o primeiro
+            assert.throws(invalidProfile, error => error.code === ERROR_CODES.VALIDATION &&
+                problems.every(problem => error.message.includes(problem)), 'perfil inválido');
+
+            return { tables: config.migrationTables.map(entry => entry.table) };
+        });
+    }
+
+    /**
+     * Teste das referências com várias colunas de usuário e das referências polimórficas
+     */
+    async testOwnerPredicates() {
+        return await this.runTest('Colunas de Usuário e Referências Polimórficas', async () => {
+            const { buildOwnerPredicate } = require('./config/schema');
+            const { expandMigrationTargets } = require('./config/tables');
+
+            const targets = expandMigrationTargets([
+                { table: 'order', columns: ['created_by', 'updated_by'], onConflict: 'skip' },
+                { table: 'comment', column: 'owner_id', discriminator: { column: 'owner_type', value: 'user' } }
+            ]);
+            assert.deepStrictEqual(targets.map(target => [target.key, target.column, target.onConflict]), [
+                ['order.created_by', 'created_by', 'skip'],
+                ['order.updated_by', 'updated_by', 'skip'],
+                ['comment.owner_id', 'owner_id', undefined]
+            ], 'um alvo por coluna, com as opções da entrada');
+            assert.strictEqual('columns' in targets[0], false);
+
+            assert.deepStrictEqual(buildOwnerPredicate(targets[1], 41), { sql: '`updated_by` = ?', params: [41] });
+
+            // O discriminador evita reatribuir linhas de outro tipo de dono com o mesmo ID
+            const polymorphic = buildOwnerPredicate(targets[2], 41, 's');
+            assert.deepStrictEqual(polymorphic, {
+                sql: 's.`owner_id` = ? AND s.`owner_type` = ?',
+                params: [41, 'user']
+            });
+
+            return { targets: targets.map(target => target.key), predicate: polymorphic.sql };
+        });
+    }
+
+    /**
+     * Teste das regras de combinação de campos do modo merge
+     */
+    async testMergeRules() {
+        return await this.runTest('Regras de Combinação (merge)', async () => {
+            const { mergeFieldValue } = require('./config/merge');
+            const { MERGE_RULES } = require('./config/profiles');
+            const merge = (rule, target, source, sourceIsNewer = false) => mergeFieldValue(rule, target, source, sourceIsNewer, ', ');
+            const older = new Date('2024-01-01T00:00:00Z');
+            const newer = new Date('2024-06-01T00:00:00Z');
+
+            assert.strictEqual(merge('keep-target', 'destino', 'origem', true), 'destino');
+
+            // String vazia conta como ausente, como NULL
+            assert.strictEqual(merge('prefer-non-null', null, 'origem'), 'origem');
+            assert.strictEqual(merge('prefer-non-null', '', 'origem'), 'origem');
+            assert.strictEqual(merge('prefer-non-null', '', null), '');
+            assert.strictEqual(merge('prefer-non-null', 'destino', 'origem'), 'destino');
+
+            assert.strictEqual(merge('prefer-newest', 'destino', 'origem', true), 'origem');
+            assert.strictEqual(merge('prefer-newest', 'destino', 'origem', false), 'destino');
+
+            assert.strictEqual(merge('concatenate', 'a', 'b'), 'a, b');
+            assert.strictEqual(merge('concatenate', 'a', 'a'), 'a', 'valores iguais não são repetidos');
+            assert.strictEqual(merge('concatenate', '', 'b'), 'b');
+            assert.strictEqual(merge('concatenate', 'a', null), 'a');
+
+            assert.strictEqual(merge('earliest', newer, older), older);
+            assert.strictEqual(merge('earliest', null, older), older);
+            assert.strictEqual(merge('latest', older, newer), newer);
+            assert.strictEqual(merge('latest', newer, null), newer);
+
+            assert.strictEqual(merge('or', 0, 1), 1);
+            assert.strictEqual(merge('or', 0, 0), 0);
+            assert.strictEqual(merge('or', false, true), true);
+
+            assert.strictEqual(merge('regra-desconhecida', 'destino', 'origem', true), 'destino', 'regra desconhecida mantém o destino');
+
+            return { rules: MERGE_RULES };
+        });
+    }
+
+    /**
+     * Teste do diff entre a linha destino e a linha combinada
+     */
+    async testMergeDiff() {
+        return await this.runTest('Diff da Combinação (merge)', async () => {
+            const { computeMergeDiff } = require('./config/merge');
+            const targetRow = { id: 2, user_id: 358, bio: '', phone: '555', notes: 'a', updated_at: '2024-01-01' };
+            const sourceRow = { id: 1, user_id: 41, bio: 'Olá', phone: '777', notes: 'b', updated_at: '2024-06-01' };
+            const merge = {
+                default: 'prefer-non-null',
+                fields: { notes: 'concatenate', phone: 'prefer-newest' },
+                separator: ' | '
+            };
+
+            const diff = computeMergeDiff(targetRow, sourceRow, merge, ['id', 'user_id'], 'updated_at');
+            assert.deepStrictEqual(diff, {
+                bio: { rule: 'prefer-non-null', before: '', source: 'Olá', after: 'Olá' },
+                phone: { rule: 'prefer-newest', before: '555', source: '777', after: '777' },
+                notes: { rule: 'concatenate', before: 'a', source: 'b', after: 'a | b' }
+            }, 'campos alterados, sem as colunas fixas nem os campos que não mudam');
+
+            assert.deepStrictEqual(computeMergeDiff(targetRow, sourceRow, {}, ['id', 'user_id'], 'updated_at'), {},
+                'sem regras, o destino é mantido');
+
+            const olderSource = { ...sourceRow, updated_at: '2023-01-01' };
+            assert.deepStrictEqual(Object.keys(computeMergeDiff(targetRow, olderSource, merge, ['id', 'user_id'], 'updated_at')), ['bio', 'notes'],
+                'prefer-newest mantém o destino quando a origem é mais antiga');
+            assert.deepStrictEqual(Object.keys(computeMergeDiff(targetRow, sourceRow, merge, ['id', 'user_id', 'bio', 'notes'], 'updated_at')), ['phone'],
+                'colunas fixas não são combinadas');
+
+            // Colunas geradas e ON UPDATE ficam fora da lista de colunas combináveis
+            const everyField = { default: 'prefer-newest' };
+            const generated = { ...targetRow, slug: 'destino' };
+            assert.deepStrictEqual(Object.keys(computeMergeDiff(generated, { ...sourceRow, slug: 'origem' }, everyField, ['id', 'user_id'], 'updated_at',
+                ['id', 'user_id', 'bio', 'phone', 'notes'])), ['bio', 'phone', 'notes'], 'apenas as colunas combináveis');
+
+            return { changedFields: Object.keys(diff) };
+        });
+    }
+
+    /**
+     * Teste das colunas únicas do registro do usuário, que userTable.merge não pode copiar da origem
+     */
+    async testUniqueMergeColumns() {
+        return await this.runTest('Colunas Únicas na Combinação do Usuário', async () => {
+            const { findUniqueMergeColumns } = require('./config/merge');
+            const uniqueColumns = ['email', 'username', 'document'];
+
+            assert.deepStrictEqual(findUniqueMergeColumns({ default: 'prefer-non-null', fields: { email: 'concatenate', username: 'keep-target' } }, uniqueColumns),
+                { rejected: ['email'], skipped: ['document'] }, 'regra explícita rejeitada; regra padrão pulada');
+            assert.deepStrictEqual(findUniqueMergeColumns({ fields: { bio: 'concatenate' } }, uniqueColumns),
+                { rejected: [], skipped: [] }, 'keep-target como padrão não altera as colunas únicas');
+
+            return { uniqueColumns };
+        });
+    }
+
+    /**
+     * Teste das opções e das alterações dos modos soft-delete e anonymize
+     */
+    async testRemovalModes() {
+        return await this.runTest('Modos de Remoção', async () => {
+            const crypto = require('crypto');
+            const UserRemover = require('./remove-user');
+            const { validateRemovalOptions } = require('./config/profiles');
+
+            assert.deepStrictEqual(validateRemovalOptions({}), []);
+            assert.deepStrictEqual(validateRemovalOptions({ mode: 'soft-delete', softDelete: { column: 'deleted_at' } }), []);
+            assert.deepStrictEqual(validateRemovalOptions({ mode: 'soft-delete' }), ['removal.mode "soft-delete" exige removal.softDelete.column']);
+            assert.deepStrictEqual(validateRemovalOptions({ mode: 'anonymize', anonymize: { columns: { email: 'md5' }, placeholder: 1 } }), [
+                'removal.anonymize.columns.email "md5" inválido (use hash, placeholder, null)',
+                'removal.anonymize.placeholder deve ser um texto'
+            ]);
+
+            const remover = new UserRemover({ sourceUserId: 41, removalMode: 'anonymize' });
+            try {
+                remover.removal = {
+                    mode: 'anonymize',
+                    softDelete: { column: 'status', value: 'deleted' },
+                    anonymize: { columns: { email: 'hash', login: 'hash', name: 'placeholder', phone: 'null' }, placeholder: 'anon-{id}' }
+                };
+                const user = { email: 'ana@example.com', login: null, name: 'Ana', phone: '5551234' };
+                const changes = remover.buildRemovalChanges(user);
+
+                assert.match(changes.email, /^[0-9a-f]{64}$/);
+                // Sem a chave do HMAC, o valor não pode ser refeito a partir de um dicionário de emails
+                assert.notStrictEqual(changes.email, crypto.createHash('sha256').update(user.email).digest('hex'));
+                assert.notStrictEqual(changes.email, remover.buildRemovalChanges(user).email, 'chave nova a cada remoção');
+                assert.deepStrictEqual({ ...changes, email: 'hmac' }, { email: 'hmac', login: null, name: 'anon-41', phone: null, status: 'deleted' });
+
+                remover.removalChanges = changes;
+                return { columns: remover.describeRemovalChanges() };
+            } finally {
+                await remover.pool.end();
+            }
+        });
+    }
+
+    /**
+     * Teste da ordem de restauração do backup: tabelas referenciadas e linhas-pai primeiro
+     */
+    async testBackupOrdering() {
+        return await this.runTest('Ordem do Backup', async () => {
+            const { orderByDependency, orderSelfReferences, reviveRow, buildInsertStatement } = require('./config/backup');
+
+            const entry = (table, ...referencedTables) => ({
+                table,
+                references: referencedTables.map(referencedTable => ({ referencedTable }))
+            });
+            const tables = orderByDependency([
+                entry('comment', 'post', 'user', 'comment'),
+                entry('post', 'user'),
+                entry('like', 'comment'),
+                entry('user'),
+                entry('a', 'b'),
+                entry('b', 'a')
+            ]).map(e => e.table);
+            assert.deepStrictEqual(tables, ['user', 'post', 'comment', 'like', 'a', 'b']);
+
+            const comments = {
+                table: 'comment',
+                references: [{ referencedTable: 'comment', columns: ['parent_id'], referencedColumns: ['id'] }],
+                rows: [
+                    { id: 3, parent_id: 2 },
+                    { id: 2, parent_id: 1 },
+                    { id: 1, parent_id: null },
+                    { id: 4, parent_id: 4 },
+                    { id: 5, parent_id: 99 }
+                ]
+            };
+            const order = orderSelfReferences(comments).map(row => row.id);
+            assert.deepStrictEqual(order, [1, 4, 5, 2, 3]);
+
+            // Ciclo entre linhas: ficam na ordem original, sem laço infinito
+            const cycle = { ...comments, rows: [{ id: 1, parent_id: 2 }, { id: 2, parent_id: 1 }] };
+            assert.deepStrictEqual(orderSelfReferences(cycle).map(row => row.id), [1, 2]);
+
+            const row = reviveRow({ id: 7, token: { type: 'Buffer', data: [0xde, 0xad] }, note: null });
+            assert.ok(Buffer.isBuffer(row.token));
+            const insert = buildInsertStatement({ table: 'session', columns: ['id', 'token', 'note', 'extra'] }, row);
+            assert.strictEqual(insert, "INSERT INTO `session` (`id`, `token`, `note`) VALUES (7, X'dead', NULL)");
+
+            return { tables, selfReferenceOrder: order };
+        });
+    }
+
+    /**
+     * Teste da verificação de remoção contra todas as chaves estrangeiras para o usuário
+     */
+    async testRemovalSafety() {
+        return await this.runTest('Verificação de Segurança da Remoção', async () => {
+            const UserRemover = require('./remove-user');
+
+            const foreignKey = (table, column, rule) => ({
+                TABLE_NAME: table,
+                CONSTRAINT_NAME: `fk_${table}_user`,
+                COLUMN_NAME: column,
+                REFERENCED_COLUMN_NAME: 'id',
+                UPDATE_RULE: 'RESTRICT',
+                DELETE_RULE: rule
+            });
+            const counts = { content: 0, comment: 3, audit: 2, invoice: 1 };
+
+            const remover = new UserRemover({ sourceUserId: 41, removalMode: 'delete', migrationTables: [{ table: 'content', column: 'user_id' }] });
+            await remover.pool.end();
+            remover.pool = {
+                execute: async (sql) => sql.includes('REFERENTIAL_CONSTRAINTS')
+                    ? [[
+                        foreignKey('audit', 'user_id', 'SET NULL'),
+                        foreignKey('comment', 'author_id', 'CASCADE'),
+                        foreignKey('content', 'user_id', 'CASCADE'),
+                        foreignKey('invoice', 'user_id', 'RESTRICT')
+                    ]]
+                    : [[{ count: counts[sql.match(/FROM `(\w+)`/)[1]] }]],
+                query: async () => [[{ id: 41 }]]
+            };
+
+            const result = await remover.verifySafeToRemove();
+
+            // content.user_id é a coluna configurada: uma única referência, com a regra da FK
+            assert.deepStrictEqual(Object.keys(result.safetyCheck).sort(), ['audit.user_id', 'comment.author_id', 'content.user_id', 'invoice.user_id']);
+            assert.strictEqual(result.safetyCheck['content.user_id'].source, 'configured');
+            assert.strictEqual(result.safetyCheck['content.user_id'].onDelete, 'CASCADE');
+
+            // Só a FK RESTRICT bloqueia; CASCADE exige confirmação e SET NULL apenas avisa
+            assert.strictEqual(result.isSafe, false);
+            assert.strictEqual(result.blockingReferences, 1);
+            assert.deepStrictEqual(result.cascade, [{ key: 'comment.author_id', constraint: 'fk_comment_user', rows: 3 }]);
+            assert.strictEqual(result.totalReferences, 6);
+
+            return { blockingReferences: result.blockingReferences, cascadeRows: result.cascadeRows };
+        });
+    }
+
+    /**
+     * Teste dos literais SQL do export direto, a partir dos bytes enviados pelo servidor
+     */
+    async testSqlValueFormatting() {
+        return await this.runTest('Formatação de Valores SQL', async () => {
+            const { Types } = require('mysql2');
+            const { formatSqlValue } = require('./config/value-format');
+            // O servidor envia os valores como texto; characterSet 63 é binary
+            const literal = (value, columnType, characterSet = 224) => formatSqlValue(value, { columnType, characterSet });
+            const raw = (text) => Buffer.from(text);
+
+            assert.strictEqual(literal(null, Types.VAR_STRING), 'NULL');
+
+            // Números e DECIMAL vão sem aspas e sem passar por Number (sem perda de precisão)
+            assert.strictEqual(literal(raw('42'), Types.LONG), '42');
+            assert.strictEqual(literal(raw('12345678901234567890.123'), Types.NEWDECIMAL), '12345678901234567890.123');
+
+            // Datas e JSON chegam com charset binary, mas são texto
+            assert.strictEqual(literal(raw('2024-01-15 10:30:00'), Types.DATETIME, 63), "'2024-01-15 10:30:00'");
+            assert.strictEqual(literal(raw('{"a": "it\'s"}'), Types.JSON, 63), String.raw`'{\"a\": \"it\'s\"}'`);
+
+            assert.strictEqual(literal(Buffer.from([0x00, 0xff]), Types.BLOB, 63), '0x00ff');
+            assert.strictEqual(literal(Buffer.alloc(0), Types.BLOB, 63), "''", 'BLOB vazio');
+            assert.strictEqual(literal(Buffer.from([0x05]), Types.BIT, 63), "b'00000101'");
+
+            assert.strictEqual(literal(raw("O'Brien\\"), Types.VAR_STRING), "'O\\'Brien\\\\'");
+            assert.strictEqual(literal(raw('linha\nnova'), Types.VAR_STRING), "'linha\\nnova'");
+
+            return { blob: literal(Buffer.from([0x00, 0xff]), Types.BLOB, 63) };
+        });
+    }
+
+    /**
+     * Teste dos campos CSV do export por tabela: aspas, NULL e string vazia
+     */
+    async testCsvValueFormatting() {
+        return await this.runTest('Formatação de Valores CSV', async () => {
+            const { Types } = require('mysql2');
+            const { formatCsvValue, quoteCsv } = require('./config/value-format');
+            const field = (columnType, characterSet = 224) => ({ columnType, characterSet });
+
+            assert.strictEqual(quoteCsv('simples'), 'simples');
+            assert.strictEqual(quoteCsv('a,b'), '"a,b"');
+            assert.strictEqual(quoteCsv('diz "oi"'), '"diz ""oi"""');
+            assert.strictEqual(quoteCsv('linha\r\nnova'), '"linha\r\nnova"');
+
+            // Uma linha completa, como o export por tabela grava: NULL é o campo vazio
+            // e a string vazia vai entre aspas, para que as duas não se confundam
+            const columns = [
+                [null, field(Types.VAR_STRING)],
+                [Buffer.from(''), field(Types.VAR_STRING)],
+                [Buffer.from('9007199254740993'), field(Types.LONGLONG)],
+                [Buffer.from('10.50'), field(Types.NEWDECIMAL)],
+                [Buffer.from('{"a": [1, 2]}'), field(Types.JSON, 63)],
+                [Buffer.from([0x00, 0xff]), field(Types.BLOB, 63)],
+                [Buffer.from('2024-01-15 10:30:00'), field(Types.DATETIME, 63)],
+                [Buffer.from('Silva, João'), field(Types.VAR_STRING)]
+            ];
+            const row = columns.map(([value, columnField]) => formatCsvValue(value, columnField)).join(',');
+            assert.strictEqual(row, ',"",9007199254740993,10.50,"{""a"": [1, 2]}",AP8=,2024-01-15 10:30:00,"Silva, João"');
+
+            return { row };
+        });
+    }
+
+    /**
+     * Teste da detecção da compressão dos dumps pelos primeiros bytes e pela extensão
+     */
+    async testCompressionDetection() {
+        return await this.runTest('Detecção de Compressão', async () => {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const zlib = require('zlib');
+            const { detectCompression } = require('./config/compression');
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-compression-'));
+            const sql = 'SELECT 1;\n';
+            const files = {
+                'dump.sql': [Buffer.from(sql), null],
+                'vazio.sql': [Buffer.alloc(0), null],
+                'dump.sql.gz': [zlib.gzipSync(sql), 'gzip'],
+                'sem-extensao': [zlib.gzipSync(sql), 'gzip'],
+                'dump.sql.br': [zlib.brotliCompressSync(sql), 'brotli'],
+                'dump.sql.zst': [Buffer.from([0x28, 0xb5, 0x2f, 0xfd, 0x00]), 'zstd'],
+                'falso.sql.gz': [Buffer.from(sql), null]
+            };
+            const detected = {};
+            try {
+                for (const [name, [content]] of Object.entries(files)) {
+                    const file = path.join(dir, name);
+                    fs.writeFileSync(file, content);
+                    detected[name] = detectCompression(file);
+                }
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+
+            // gzip e zstd pelos bytes iniciais; brotli não tem assinatura e vale a extensão
+            assert.deepStrictEqual(detected, Object.fromEntries(
+                Object.entries(files).map(([name, [, expected]]) => [name, expected])));
+
+            return detected;
+        });
+    }
+
+    /**
+     * Teste do filtro do snapshot de usuários
+     */
+    async testUserScope() {
+        return await this.runTest('Escopo do Snapshot de Usuários', async () => {
+            const DatabaseExporter = require('./export-database');
+            const { getConfig } = require('./config/profiles');
+
+            const exporter = new DatabaseExporter();
+            try {
+                const { name: userTable, primaryKey } = getConfig().userTable;
+                const scope = exporter.buildUserScope(41, 358, [
+                    { table: 'order', columns: ['created_by', 'updated_by'] },
+                    { table: 'comment', column: 'owner_id', discriminator: { column: 'owner_type', value: 'user' } }
+                ]);
+
+                assert.deepStrictEqual(scope.map(entry => entry.table), [userTable, 'order', 'comment']);
+                assert.deepStrictEqual(scope[0].where, { sql: `(\`${primaryKey}\` IN (?, ?))`, params: [41, 358] });
+
+                // As duas colunas de order, cada uma para os dois usuários, em um único filtro
+                const order = scope[1].where;
+                assert.strictEqual(order.sql, '(`created_by` = ?) OR (`created_by` = ?) OR (`updated_by` = ?) OR (`updated_by` = ?)');
+                assert.deepStrictEqual(order.params, [41, 358, 41, 358]);
+                assert.deepStrictEqual(scope[2].where.params, [41, 'user', 358, 'user']);
+
+                return { tables: scope.map(entry => entry.table), order: order.sql };
+            } finally {
+                await exporter.pool.end();
+            }
+        });
+    }
+
+    /**
+     * Teste da divisão do dump em instruções, inteiro e em pedaços
+     */
+    async testSqlStatementSplitter() {
+        return await this.runTest('Divisão de Instruções SQL', async () => {
+            const { SqlStatementSplitter } = require('./config/sql-splitter');
+            const split = (text, size = text.length) => {
+                const splitter = new SqlStatementSplitter();
+                const statements = [];
+                for (let i = 0; i < text.length; i += size) {
+                    statements.push(...splitter.push(text.slice(i, i + size)));
+                }
+                return statements.concat(splitter.end());
+            };
+
+            const dump = [
+                '-- Cabeçalho do dump',
+                '/*!40101 SET NAMES utf8mb4 */;',
+                '# comentário de linha',
+                'INSERT INTO t VALUES (\'a;b\', "c;d", `e;f`);',
+                '/* comentário; de bloco */',
+                'INSERT INTO t VALUES (\'it\\\'s; ok\', \'linha\\',
+                'quebrada\');',
+                'DELIMITER ;;',
+                'CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET @a = 1; SET @b = 2; END ;;',
+                'DELIMITER ;',
+                'SELECT 1 --comentário não é\n, 2;',
+                'SELECT 3'
+            ].join('\n');
+            const expected = [
+                { sql: '/*!40101 SET NAMES utf8mb4 */', line: 2 },
+                { sql: 'INSERT INTO t VALUES (\'a;b\', "c;d", `e;f`)', line: 4 },
+                { sql: 'INSERT INTO t VALUES (\'it\\\'s; ok\', \'linha\\\nquebrada\')', line: 6 },
+                { sql: 'CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET @a = 1; SET @b = 2; END', line: 9 },
+                { sql: 'SELECT 1 --comentário não é\n, 2', line: 11 },
+                { sql: 'SELECT 3', line: 13 }
+            ];
+
+            const chunkSizes = [dump.length, 1, 2, 3, 7];
+            for (const size of chunkSizes) {
+                assert.deepStrictEqual(split(dump, size), expected, `dump em pedaços de ${size}`);
+            }
+
+            const bytes = Buffer.from('SELECT \'ção\';');
+            const splitter = new SqlStatementSplitter();
+            const statements = [...splitter.push(bytes.subarray(0, 9)), ...splitter.push(bytes.subarray(9)), ...splitter.end()];
+            assert.deepStrictEqual(statements, [{ sql: 'SELECT \'ção\'', line: 1 }], 'caractere multibyte dividido entre pedaços');
+            assert.deepStrictEqual(split('-- só comentário\n/* nada */\n'), [], 'dump sem instruções');
+
+            return { statements: expected.length, chunkSizes };
+        });
+    }
+
+    /**
+     * Teste do manifesto dos dumps: caminho, SHA-256 e gravação
+     */
+    async testDumpManifest() {
+        return await this.runTest('Manifesto dos Dumps', async () => {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const crypto = require('crypto');
+            const { getManifestPath, hashFile, readManifest, writeManifest } = require('./config/manifest');
+            const { MANIFEST_FILE } = require('./config/compression');
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+            try {
+                const dump = path.join(dir, 'banco.sql.gz');
+                const content = Buffer.from('-- MySQL dump\nSET TIME_ZONE=@OLD_TIME_ZONE;\n');
+                fs.writeFileSync(dump, content);
+
+                assert.strictEqual(getManifestPath(dump), `${dump}.manifest.json`);
+                assert.strictEqual(getManifestPath(dir), path.join(dir, MANIFEST_FILE), 'exports CSV/NDJSON usam o manifesto do diretório');
+
+                const sha256 = await hashFile(dump);
+                assert.strictEqual(sha256, crypto.createHash('sha256').update(content).digest('hex'));
+
+                assert.strictEqual(readManifest(dump), null);
+                const manifest = { file: 'banco.sql.gz', sha256, consistent: true, tables: [{ table: 'user', rows: 2, checksum: '123' }] };
+                writeManifest(dump, manifest);
+                assert.deepStrictEqual(readManifest(dump), manifest);
+
+                return { manifest: path.basename(getManifestPath(dump)), sha256 };
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    /**
+     * Teste do dono esperado de cada linha do origem na verificação pós-migração
+     */
+    async testExpectedOwners() {
+        return await this.runTest('Dono Esperado das Linhas', async () => {
+            const { expectedOwners } = require('./config/fingerprint');
+            const outcome = (status, keptKeys = []) => ({ status, keptKeys: new Set(keptKeys), removedKeys: new Set() });
+            const owners = (tableOutcome, keyId = 'k1') => expectedOwners(tableOutcome, keyId, 10, 20);
+
+            // A linha continua no origem quando o alvo não foi migrado ou foi revertido...
+            assert.deepStrictEqual(owners(null), ['10']);
+            assert.deepStrictEqual(owners(outcome('rolledBack')), ['10']);
+            // ...ou quando a resolução de conflitos a manteve
+            assert.deepStrictEqual(owners(outcome('committed', ['k1'])), ['10']);
+            assert.deepStrictEqual(owners(outcome('committed', ['k2'])), ['20']);
+            // Migração em lotes interrompida: cada linha pode estar em qualquer um dos dois
+            assert.deepStrictEqual(owners(outcome('partial')), ['10', '20']);
+
+            return { partial: owners(outcome('partial')) };
+        });
+    }
+
+    /**
+     * Teste do registro das impressões digitais: colunas do hash e leitura em lotes pela chave
+     */
+    async testFingerprintCapture() {
+        return await this.runTest('Registro das Impressões Digitais', async () => {
+            const { getHashedColumns, captureFingerprints } = require('./config/fingerprint');
+
+            // Banco falso: content(id, user_id, title, updated_at ON UPDATE CURRENT_TIMESTAMP)
+            const rows = Array.from({ length: 501 }, (_, i) => ({ id: i + 1, user_id: 10, __fingerprint: `h${i + 1}` }));
+            rows.push({ id: 900, user_id: 20, __fingerprint: 'h900' });
+            const queries = [];
+            const db = {
+                execute: async (sql) => {
+                    if (sql.includes('STATISTICS')) {
+                        return [[{ COLUMN_NAME: 'id' }]];
+                    }
+                    const columns = sql.includes('on update') ? ['updated_at'] : ['id', 'user_id', 'title', 'updated_at'];
+                    return [columns.map(COLUMN_NAME => ({ COLUMN_NAME }))];
+                },
+                query: async (sql, params) => {
+                    queries.push(sql);
+                    const after = sql.includes('> (?)') ? params[params.length - 1] : 0;
+                    return [rows.filter(row => row.id > after).slice(0, 500)];
+                }
+            };
+
+            const target = { table: 'content', column: 'user_id', key: 'content.user_id' };
+            assert.deepStrictEqual(await getHashedColumns(db, 'content', [target]), ['id', 'title']);
+            assert.deepStrictEqual(await getHashedColumns(db, 'content', [{ ...target, preserveTimestamps: true }]), ['id', 'title', 'updated_at']);
+
+            const { content } = await captureFingerprints(db, [target], 10, 20);
+            assert.strictEqual(queries.length, 2, 'duas páginas de até 500 linhas');
+            assert.match(queries[0], /ORDER BY `id` LIMIT 500$/);
+            assert.match(queries[1], /AND \(`id`\) > \(\?\) ORDER BY/);
+            assert.strictEqual(content.sourceRows.size, 501);
+            assert.deepStrictEqual([...content.targetKeys], ['{"id":900}']);
+            assert.strictEqual(content.sourceRows.get('{"id":501}').fingerprint, 'h501');
+
+            return { hashedColumns: content.hashedColumns, queries: queries.length };
+        });
+    }
+
+    /**
+     * Teste das contagens projetadas no relatório de impacto
+     */
+    async testProjectedCounts() {
+        return await this.runTest('Contagens Projetadas', async () => {
+            const { projectCounts } = require('./config/tables');
+
+            // Origem com 10 linhas, destino com 4, 3 colisões de chave única
+            const projected = Object.fromEntries(['abort', 'skip', 'delete-source', 'keep-newest', 'merge']
+                .map(strategy => [strategy, projectCounts(strategy, 10, 4, 3)]));
+
+            assert.deepStrictEqual(projected, {
+                abort: null,
+                skip: { source: 3, target: 11 },
+                'delete-source': { source: 0, target: 11 },
+                'keep-newest': { source: 0, target: 11 },
+                merge: { source: 0, target: 4 }
+            });
+
+            // Sem colisões, abort migra tudo; merge só move linhas se o destino não tiver nenhuma
+            assert.deepStrictEqual(projectCounts('abort', 10, 4, 0), { source: 0, target: 14 });
+            assert.deepStrictEqual(projectCounts('merge', 10, 0, 0), { source: 0, target: 10 });
+            assert.deepStrictEqual(projectCounts('merge', 0, 0, 0), { source: 0, target: 0 });
+
+            return projected;
+        });
+    }
+
+    /**
+     * Teste da detecção de índices utilizáveis para a coluna de usuário
+     */
+    async testLeadingIndexes() {
+        return await this.runTest('Índices da Coluna de Usuário', async () => {
+            const { getLeadingIndexes } = require('./config/schema');
+
+            const index = (Key_name, Column_name, Seq_in_index) => ({ Key_name, Column_name, Seq_in_index });
+            const db = {
+                query: async () => [[
+                    index('PRIMARY', 'id', 1),
+                    index('idx_user_date', 'user_id', 1),
+                    index('idx_user_date', 'created_at', 2),
+                    index('idx_date_user', 'created_at', 1),
+                    index('idx_date_user', 'user_id', 2),
+                    index('tmp_migration_user_id', 'user_id', '1')
+                ]]
+            };
+
+            // idx_date_user contém a coluna, mas não começa por ela: não serve para o filtro
+            const indexes = await getLeadingIndexes(db, 'content', 'user_id');
+            assert.deepStrictEqual(indexes, ['idx_user_date', 'tmp_migration_user_id']);
+            assert.deepStrictEqual(await getLeadingIndexes(db, 'content', 'title'), []);
+
+            return { indexes };
+        });
+    }
+
+    /**
+     * Teste do SET dos UPDATEs com preserveTimestamps
+     */
+    async testPreservedTimestamps() {
+        return await this.runTest('Preservação de Timestamps', async () => {
+            const { buildAssignments, getTableTriggers } = require('./config/schema');
+
+            assert.strictEqual(buildAssignments(['user_id']), '`user_id` = ?');
+
+            // updated_at recebe o próprio valor para o MySQL não aplicar o ON UPDATE
+            const preserved = buildAssignments(['user_id'], ['updated_at', 'synced_at']);
+            assert.strictEqual(preserved, '`user_id` = ?, `updated_at` = `updated_at`, `synced_at` = `synced_at`');
+
+            // Coluna já atribuída pelo merge não é repetida no SET
+            assert.strictEqual(buildAssignments(['title', 'updated_at'], ['updated_at']), '`title` = ?, `updated_at` = ?');
+
+            const db = {
+                execute: async () => [[{ TRIGGER_NAME: 'content_audit', EVENT_MANIPULATION: 'UPDATE', ACTION_TIMING: 'AFTER' }]]
+            };
+            assert.deepStrictEqual(await getTableTriggers(db, 'content'), [{ name: 'content_audit', event: 'UPDATE', timing: 'AFTER' }]);
+
+            return { assignments: preserved };
+        });
+    }
+
     /**
      * Executa todos os testes
      */
@@ -152,6 +1263,33 @@ class MigrationTester {
         
         try {
             await this.testDependencies();
+            await this.testMigrationSavepoints();
+            await this.testUserColumnDiscovery();
+            await this.testKeyPredicates();
+            await this.testUndoLogLoading();
+            await this.testMappingValidation();
+            await this.testChunkedMigration();
+            await this.testCheckpoints();
+            await this.testCliOptions();
+            await this.testProfileValidation();
+            await this.testOwnerPredicates();
+            await this.testMergeRules();
+            await this.testMergeDiff();
+            await this.testUniqueMergeColumns();
+            await this.testRemovalModes();
+            await this.testBackupOrdering();
+            await this.testRemovalSafety();
+            await this.testSqlValueFormatting();
+            await this.testCsvValueFormatting();
+            await this.testCompressionDetection();
+            await this.testUserScope();
+            await this.testSqlStatementSplitter();
+            await this.testDumpManifest();
+            await this.testExpectedOwners();
+            await this.testFingerprintCapture();
+            await this.testProjectedCounts();
+            await this.testLeadingIndexes();
+            await this.testPreservedTimestamps();
             await this.testConfiguration();
             await this.testDatabaseConnection();
             await this.testDatabaseAnalysis();
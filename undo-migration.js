@@ -0,0 +1,391 @@
+const { createPool } = require('./config/database');
+const { buildKeyPredicate, buildOwnerPredicate, pickKey } = require('./config/schema');
+const { buildInsertStatement, reviveRow } = require('./config/backup');
+const { ERROR_CODES, createError } = require('./config/errors');
+const { getConfig } = require('./config/profiles');
+const chalk = require('chalk');
+const fs = require('fs');
+require('dotenv').config();
+
+/**
+ * Quantidade de chaves por consulta ao verificar e reverter linhas
+ */
+const KEY_BATCH_SIZE = 500;
+
+/**
+ * Erros de INSERT que impedem reinserir uma linha apagada (a chave já está ocupada
+ * ou a linha referenciada não existe mais); os demais interrompem o desfazer
+ */
+const RESTORE_CONFLICT_ERRORS = ['ER_DUP_ENTRY', 'ER_NO_REFERENCED_ROW', 'ER_NO_REFERENCED_ROW_2'];
+
+/**
+ * Classe para desfazer uma migração a partir do seu arquivo de log
+ */
+class MigrationUndoer {
+    constructor(logFile, options = {}) {
+        this.config = getConfig();
+        this.pool = createPool();
+        this.logFile = logFile;
+        this.strict = options.strict || false;
+        this.dryRun = options.dryRun || process.env.DRY_RUN === 'true';
+        this.undoLog = [];
+    }
+
+    /**
+     * Adiciona entrada ao log de desfazer
+     */
+    log(level, message, data = null) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data
+        };
+        this.undoLog.push(logEntry);
+
+        const colorMap = {
+            info: chalk.blue,
+            success: chalk.green,
+            warning: chalk.yellow,
+            error: chalk.red
+        };
+
+        console.log(colorMap[level] || chalk.white, `[${level.toUpperCase()}] ${message}`);
+        if (data) {
+            console.log(chalk.gray('  Data:'), data);
+        }
+    }
+
+    /**
+     * Salva o log de desfazer em arquivo
+     */
+    saveUndoLog(migration) {
+        const logFile = `undo-log-${Date.now()}.json`;
+        fs.writeFileSync(logFile, JSON.stringify({
+            migrationLogFile: this.logFile,
+            sourceUserId: migration ? migration.sourceUserId : null,
+            targetUserId: migration ? migration.targetUserId : null,
+            dryRun: this.dryRun,
+            strict: this.strict,
+            timestamp: new Date().toISOString(),
+            log: this.undoLog
+        }, null, 2));
+        this.log('info', `Log de desfazer salvo em: ${logFile}`);
+        return logFile;
+    }
+
+    /**
+     * Lê e valida o log da migração a desfazer
+     */
+    loadMigrationLog() {
+        if (!this.logFile || !fs.existsSync(this.logFile)) {
+            throw createError(ERROR_CODES.VALIDATION, `Arquivo de log não encontrado: ${this.logFile}`);
+        }
+
+        const migration = JSON.parse(fs.readFileSync(this.logFile, 'utf8'));
+
+        if (migration.dryRun) {
+            throw createError(ERROR_CODES.VALIDATION, 'O log informado é de uma execução DRY RUN; não há alterações a desfazer');
+        }
+
+        migration.migratedRows = migration.migratedRows || {};
+        migration.deletedRows = migration.deletedRows || {};
+        if (Object.keys(migration.migratedRows).length === 0 && Object.keys(migration.deletedRows).length === 0) {
+            throw createError(ERROR_CODES.VALIDATION, 'O log informado não registra linhas migradas (log antigo ou migração sem alterações)');
+        }
+
+        if (migration.profile && migration.profile !== this.config.profile) {
+            throw createError(ERROR_CODES.VALIDATION, `O log informado é do perfil "${migration.profile}"; execute com --profile ${migration.profile}`);
+        }
+
+        const mergedTables = Object.keys(migration.mergedRows || {});
+        if (mergedTables.length > 0) {
+            this.log('warning', `Linhas combinadas (modo merge) não são desfeitas; a linha origem completa está em mergedRows do log`, mergedTables);
+        }
+        if (migration.userMerge && Object.keys(migration.userMerge.diff).length > 0) {
+            this.log('warning', `Campos combinados no registro do usuário ${migration.targetUserId} não são desfeitos; os valores anteriores estão em userMerge do log`, Object.keys(migration.userMerge.diff));
+        }
+
+        this.log('info', `Log carregado: usuário ${migration.sourceUserId} → ${migration.targetUserId}`, {
+            tables: Object.keys(migration.migratedRows),
+            deletedRows: Object.keys(migration.deletedRows)
+        });
+
+        return migration;
+    }
+
+    /**
+     * Verifica, com bloqueio, se as linhas registradas ainda pertencem ao usuário destino
+     * (e, nas referências polimórficas, se o discriminador não mudou)
+     */
+    async verifyRows(connection, tableName, rows, targetUserId) {
+        const { column, discriminator, keyColumns, keys } = rows;
+        const revertable = [];
+        const changed = [];
+        const missing = [];
+
+        for (let i = 0; i < keys.length; i += KEY_BATCH_SIZE) {
+            const batch = keys.slice(i, i + KEY_BATCH_SIZE);
+            const predicate = buildKeyPredicate(keyColumns, batch);
+            const [current] = await connection.execute(
+                `SELECT ${keyColumns.map(col => `\`${col}\``).join(', ')}, \`${column}\` AS current_owner` +
+                (discriminator ? `, \`${discriminator.column}\` AS current_type` : '') +
+                ` FROM \`${tableName}\` WHERE ${predicate.sql} FOR UPDATE`,
+                predicate.params
+            );
+
+            const found = new Map(current.map(row => [JSON.stringify(pickKey(keyColumns, row)), row]));
+
+            for (const key of batch) {
+                const id = JSON.stringify(pickKey(keyColumns, key));
+                const row = found.get(id);
+                if (!row) {
+                    missing.push(key);
+                } else if (Number(row.current_owner) !== Number(targetUserId)) {
+                    changed.push({ key, currentOwner: row.current_owner });
+                } else if (discriminator && String(row.current_type) !== String(discriminator.value)) {
+                    changed.push({ key, currentOwner: row.current_owner, currentType: row.current_type });
+                } else {
+                    revertable.push(key);
+                }
+            }
+        }
+
+        return { revertable, changed, missing };
+    }
+
+    /**
+     * Devolve as linhas verificadas ao usuário origem
+     */
+    async revertRows(connection, tableName, rows, keys, migration) {
+        const { keyColumns } = rows;
+        const owner = buildOwnerPredicate(rows, migration.targetUserId);
+        // Colunas ON UPDATE mantidas pela migração (preserveTimestamps) também são mantidas ao desfazer
+        const assignments = [`\`${rows.column}\` = ?`]
+            .concat((rows.preservedColumns || []).map(col => `\`${col}\` = \`${col}\``))
+            .join(', ');
+        let reverted = 0;
+
+        for (let i = 0; i < keys.length; i += KEY_BATCH_SIZE) {
+            const predicate = buildKeyPredicate(keyColumns, keys.slice(i, i + KEY_BATCH_SIZE));
+            const [updateResult] = await connection.execute(
+                `UPDATE \`${tableName}\` SET ${assignments} WHERE ${owner.sql} AND ${predicate.sql}`,
+                [migration.sourceUserId, ...owner.params, ...predicate.params]
+            );
+            reverted += updateResult.affectedRows;
+        }
+
+        return reverted;
+    }
+
+    /**
+     * Reinsere as linhas apagadas pela resolução de conflitos (delete-source, replace-target
+     * e keep-newest), com o conteúdo registrado no log. Linhas cuja chave já está ocupada,
+     * ou cuja linha referenciada não existe mais, não são reinseridas e são retornadas em conflicts.
+     */
+    async restoreDeletedRows(connection, deleted) {
+        const conflicts = [];
+        let restored = 0;
+
+        for (const { action, row } of deleted.rows) {
+            const revived = reviveRow(row);
+            try {
+                await connection.query(buildInsertStatement(deleted, revived));
+                restored++;
+            } catch (error) {
+                if (!RESTORE_CONFLICT_ERRORS.includes(error.code)) {
+                    throw error;
+                }
+                conflicts.push({ key: pickKey(deleted.keyColumns, revived), action, reason: error.code });
+            }
+        }
+
+        return { restored, conflicts };
+    }
+
+    /**
+     * Executa o processo completo de desfazer a migração
+     */
+    async run() {
+        let connection;
+        let migration = null;
+        try {
+            console.log(chalk.blue.bold(`↩️  DESFAZENDO MIGRAÇÃO ${this.dryRun ? '(DRY RUN)' : ''}\n`));
+
+            migration = this.loadMigrationLog();
+
+            const { name: userTable, primaryKey } = this.config.userTable;
+            const [sourceUser] = await this.pool.execute(
+                `SELECT \`${primaryKey}\` FROM \`${userTable}\` WHERE \`${primaryKey}\` = ? LIMIT 1`,
+                [migration.sourceUserId]
+            );
+            if (sourceUser.length === 0) {
+                throw createError(ERROR_CODES.VALIDATION, `Usuário origem (ID ${migration.sourceUserId}) não existe mais; restaure-o antes de desfazer a migração`);
+            }
+
+            connection = await this.pool.getConnection();
+            await connection.beginTransaction();
+            this.log('info', 'Transação iniciada');
+
+            // Verificar todas as tabelas antes de alterar qualquer linha
+            // (logs anteriores indexam migratedRows pelo nome da tabela, sem rows.table)
+            const verification = {};
+            let flagged = 0;
+            for (const [targetKey, rows] of Object.entries(migration.migratedRows)) {
+                const result = await this.verifyRows(connection, rows.table || targetKey, rows, migration.targetUserId);
+                verification[targetKey] = result;
+                flagged += result.changed.length + result.missing.length;
+
+                this.log('info', `Tabela ${targetKey}: ${result.revertable.length} linhas podem ser revertidas`);
+                if (result.changed.length > 0) {
+                    this.log('warning', `Tabela ${targetKey}: ${result.changed.length} linhas mudaram de dono desde a migração`, result.changed.slice(0, 20));
+                }
+                if (result.missing.length > 0) {
+                    this.log('warning', `Tabela ${targetKey}: ${result.missing.length} linhas não existem mais`, result.missing.slice(0, 20));
+                }
+            }
+
+            if (flagged > 0 && this.strict) {
+                throw createError(ERROR_CODES.CONFLICT, `${flagged} linhas foram alteradas desde a migração; desfazer cancelado (modo estrito)`);
+            }
+
+            const undoResults = {};
+            let totalReverted = 0;
+            let totalRestored = 0;
+            let notRestored = 0;
+            for (const [targetKey, rows] of Object.entries(migration.migratedRows)) {
+                const { revertable, changed, missing } = verification[targetKey];
+                const reverted = this.dryRun ? 0 : await this.revertRows(connection, rows.table || targetKey, rows, revertable, migration);
+
+                undoResults[targetKey] = {
+                    recorded: rows.keys.length,
+                    reverted,
+                    changed: changed.length,
+                    missing: missing.length
+                };
+                totalReverted += reverted;
+
+                if (this.dryRun) {
+                    this.log('warning', `DRY RUN: Tabela ${targetKey}: ${revertable.length} linhas seriam revertidas`);
+                } else {
+                    this.log('success', `Tabela ${targetKey}: ${reverted} linhas devolvidas ao usuário ${migration.sourceUserId}`);
+                }
+            }
+
+            // Reinserir as linhas apagadas por conflito depois de devolver as migradas,
+            // para que as chaves únicas do usuário destino já estejam livres
+            for (const [targetKey, deleted] of Object.entries(migration.deletedRows)) {
+                if (this.dryRun) {
+                    this.log('warning', `DRY RUN: Tabela ${targetKey}: ${deleted.rows.length} linhas apagadas por conflito seriam reinseridas`);
+                    continue;
+                }
+                const { restored, conflicts } = await this.restoreDeletedRows(connection, deleted);
+                undoResults[targetKey] = {
+                    ...(undoResults[targetKey] || { recorded: 0, reverted: 0, changed: 0, missing: 0 }),
+                    deleted: deleted.rows.length,
+                    restored,
+                    notRestored: conflicts.length
+                };
+                totalRestored += restored;
+                notRestored += conflicts.length;
+
+                this.log('success', `Tabela ${targetKey}: ${restored} linhas apagadas por conflito reinseridas`);
+                if (conflicts.length > 0) {
+                    this.log('warning', `Tabela ${targetKey}: ${conflicts.length} linhas apagadas por conflito não puderam ser reinseridas`, conflicts.slice(0, 20));
+                }
+            }
+
+            if (notRestored > 0 && this.strict) {
+                throw createError(ERROR_CODES.CONFLICT, `${notRestored} linhas apagadas por conflito não podem ser reinseridas; desfazer cancelado (modo estrito)`);
+            }
+
+            // Linhas combinadas (modo merge) e campos do registro do usuário não são desfeitos
+            const notReverted = {
+                flagged,
+                notRestored,
+                merged: Object.keys(migration.mergedRows || {}).length,
+                userMergeFields: migration.userMerge ? Object.keys(migration.userMerge.diff).length : 0
+            };
+            const partial = Object.values(notReverted).some(count => count > 0);
+
+            if (this.dryRun) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+                this.log('success', 'Transação confirmada com sucesso');
+            }
+
+            const logFile = this.saveUndoLog(migration);
+
+            if (partial) {
+                console.log(chalk.yellow.bold('\n⚠️  MIGRAÇÃO DESFEITA PARCIALMENTE'));
+            } else {
+                console.log(chalk.green.bold('\n✅ MIGRAÇÃO DESFEITA'));
+            }
+            console.log(chalk.white(`📊 Linhas revertidas: ${totalReverted}`));
+            if (totalRestored > 0) {
+                console.log(chalk.white(`📊 Linhas apagadas por conflito reinseridas: ${totalRestored}`));
+            }
+            if (flagged > 0) {
+                console.log(chalk.yellow(`⚠️  Linhas alteradas desde a migração (não revertidas): ${flagged}`));
+            }
+            if (notRestored > 0) {
+                console.log(chalk.yellow(`⚠️  Linhas apagadas por conflito não reinseridas: ${notRestored}`));
+            }
+            if (notReverted.merged > 0 || notReverted.userMergeFields > 0) {
+                console.log(chalk.yellow(`⚠️  Combinações não desfeitas: ${notReverted.merged} linhas (modo merge), ${notReverted.userMergeFields} campos do registro do usuário`));
+            }
+            console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
+
+            return {
+                totalReverted,
+                totalRestored,
+                flagged,
+                notReverted,
+                partial,
+                undoResults,
+                logFile
+            };
+
+        } catch (error) {
+            this.log('error', 'Falha ao desfazer migração', error.message);
+            if (connection) {
+                try {
+                    await connection.rollback();
+                    this.log('info', 'Transação revertida');
+                } catch (rollbackError) {
+                    this.log('error', 'Erro ao reverter transação', rollbackError.message);
+                }
+            }
+            this.saveUndoLog(migration);
+            throw error;
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+            await this.pool.end();
+        }
+    }
+}
+
+// Executar desfazer se chamado diretamente
+if (require.main === module) {
+    const logFile = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    if (!logFile) {
+        console.error(chalk.red('Uso: node undo-migration.js <migration-log.json> [--strict]'));
+        process.exit(1);
+    }
+
+    const undoer = new MigrationUndoer(logFile, { strict: process.argv.includes('--strict') });
+    undoer.run()
+        .then(() => {
+            console.log(chalk.green.bold('\n🎉 Processo finalizado!'));
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error(chalk.red.bold('\n💥 Falha no processo:'), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = MigrationUndoer;
@@ -0,0 +1,242 @@
+const mysql = require('mysql2/promise');
+const { getConfig } = require('./config/profiles');
+const { getManifestPath, hashFile, captureTableStats, readManifest } = require('./config/manifest');
+const { ERROR_CODES, createError } = require('./config/errors');
+const DatabaseImporter = require('./import-database');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Classe para verificar um dump contra o manifesto gravado no export: confere o SHA-256
+ * e, opcionalmente, importa o dump em um banco de rascunho e compara, tabela a tabela,
+ * a quantidade de linhas e o CHECKSUM TABLE
+ */
+class DumpVerifier {
+    constructor(dumpFile, options = {}) {
+        this.config = getConfig();
+        this.dumpFile = dumpFile;
+        this.scratchDatabase = options.database || null;
+        this.verifyLog = [];
+    }
+
+    /**
+     * Adiciona entrada ao log de verificação
+     */
+    log(level, message, data = null) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data
+        };
+        this.verifyLog.push(logEntry);
+
+        const colorMap = {
+            info: chalk.blue,
+            success: chalk.green,
+            warning: chalk.yellow,
+            error: chalk.red
+        };
+
+        console.log(colorMap[level] || chalk.white, `[${level.toUpperCase()}] ${message}`);
+        if (data) {
+            console.log(chalk.gray('  Data:'), data);
+        }
+    }
+
+    /**
+     * Salva o log de verificação em arquivo
+     */
+    saveVerifyLog(result = null) {
+        const logFile = `verify-log-${Date.now()}.json`;
+        fs.writeFileSync(logFile, JSON.stringify({
+            dumpFile: this.dumpFile,
+            scratchDatabase: this.scratchDatabase,
+            timestamp: new Date().toISOString(),
+            result,
+            log: this.verifyLog
+        }, null, 2));
+        this.log('info', `Log de verificação salvo em: ${logFile}`);
+        return logFile;
+    }
+
+    /**
+     * Lê o manifesto e valida se o dump pode ser carregado no banco de rascunho
+     */
+    loadManifest() {
+        if (!this.dumpFile || !fs.existsSync(this.dumpFile)) {
+            throw createError(ERROR_CODES.VALIDATION, `Arquivo de dump não encontrado: ${this.dumpFile}`);
+        }
+
+        const manifest = readManifest(this.dumpFile);
+        if (!manifest) {
+            throw createError(ERROR_CODES.VALIDATION, `Manifesto não encontrado (${getManifestPath(this.dumpFile)}); o dump foi criado antes dos manifestos`);
+        }
+
+        if (this.scratchDatabase) {
+            if (this.scratchDatabase === this.config.connection.database) {
+                throw createError(ERROR_CODES.VALIDATION, 'O banco de rascunho não pode ser o banco configurado no perfil');
+            }
+            if (manifest.format !== 'sql') {
+                throw createError(ERROR_CODES.VALIDATION, `Exports ${manifest.format.toUpperCase()} não podem ser carregados; a verificação confere apenas os hashes`);
+            }
+            if (manifest.users) {
+                throw createError(ERROR_CODES.VALIDATION, 'O snapshot de usuários não contém a estrutura das tabelas e não pode ser carregado em um banco vazio');
+            }
+            // Contagens lidas fora do snapshot do dump não provam nada contra o banco carregado
+            if (manifest.consistent === false) {
+                throw createError(ERROR_CODES.VALIDATION, 'As contagens do manifesto foram lidas fora do snapshot do dump (mysqldump, antes da sincronização dos snapshots); a comparação com o banco carregado não é confiável. Verifique apenas o SHA-256 (sem --database)');
+            }
+        }
+
+        this.log('info', `Manifesto carregado: ${manifest.tables.length} tabelas, criado em ${manifest.createdAt}`);
+        if (manifest.consistent === false) {
+            this.log('warning', 'As contagens do manifesto foram lidas fora do snapshot do dump (mysqldump, antes da sincronização dos snapshots); divergências podem vir de alterações durante o export');
+        }
+        return manifest;
+    }
+
+    /**
+     * Recalcula o SHA-256 do dump (ou de cada arquivo do export CSV/NDJSON)
+     */
+    async verifyHashes(manifest) {
+        const files = manifest.format === 'sql'
+            ? [{ file: this.dumpFile, sha256: manifest.sha256 }]
+            : manifest.tables.map(entry => ({ file: path.join(this.dumpFile, entry.file), sha256: entry.sha256 }));
+
+        const mismatches = [];
+        for (const { file, sha256 } of files) {
+            const actual = await hashFile(file);
+            if (actual !== sha256) {
+                mismatches.push({ file, expected: sha256, actual });
+            }
+        }
+
+        if (mismatches.length > 0) {
+            this.log('error', `${mismatches.length} arquivos com SHA-256 diferente do manifesto`, mismatches);
+        } else {
+            this.log('success', `SHA-256 confere (${files.length} arquivos)`);
+        }
+        return mismatches;
+    }
+
+    /**
+     * Importa o dump no banco de rascunho e compara contagens e checksums com o manifesto
+     */
+    async verifyLoaded(manifest) {
+        const { database, ...connectionConfig } = this.config.connection;
+        const connection = await mysql.createConnection(connectionConfig);
+        try {
+            const [existing] = await connection.query('SHOW DATABASES LIKE ?', [this.scratchDatabase]);
+            if (existing.length > 0) {
+                throw createError(ERROR_CODES.VALIDATION, `O banco de rascunho ${this.scratchDatabase} já existe; informe um banco novo`);
+            }
+
+            try {
+                const importer = new DatabaseImporter(this.dumpFile, { database: this.scratchDatabase });
+                await importer.run();
+
+                // Tabelas do manifesto ausentes no banco carregado contam como divergência
+                const [present] = await connection.query(`SHOW FULL TABLES FROM \`${this.scratchDatabase.replace(/`/g, '``')}\``);
+                const presentNames = present.map(row => Object.values(row)[0]);
+                const loaded = await captureTableStats(connection, manifest.tables
+                    .filter(entry => presentNames.includes(entry.table))
+                    .map(entry => ({ table: entry.table })), this.scratchDatabase);
+
+                const tables = manifest.tables.map((entry) => {
+                    const actual = loaded.find(stat => stat.table === entry.table) || { rows: null, checksum: null };
+                    return {
+                        table: entry.table,
+                        expectedRows: entry.rows,
+                        rows: actual.rows,
+                        expectedChecksum: entry.checksum,
+                        checksum: actual.checksum,
+                        match: actual.rows === entry.rows && actual.checksum === entry.checksum
+                    };
+                });
+
+                const mismatches = tables.filter(table => !table.match);
+                if (mismatches.length > 0) {
+                    this.log('error', `${mismatches.length} tabelas divergem do manifesto`, mismatches);
+                } else {
+                    this.log('success', `Contagens e checksums conferem (${tables.length} tabelas)`);
+                }
+                return tables;
+
+            } finally {
+                await connection.query(`DROP DATABASE IF EXISTS \`${this.scratchDatabase.replace(/`/g, '``')}\``);
+                this.log('info', `Banco de rascunho ${this.scratchDatabase} removido`);
+            }
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Executa o processo completo de verificação
+     */
+    async run() {
+        let result = null;
+        try {
+            console.log(chalk.blue.bold(`🔎 VERIFICANDO DUMP ${this.dumpFile}\n`));
+
+            const manifest = this.loadManifest();
+            const hashMismatches = await this.verifyHashes(manifest);
+
+            // Com o hash divergente, o arquivo não é o exportado e não vale a pena carregá-lo
+            const tables = this.scratchDatabase && hashMismatches.length === 0
+                ? await this.verifyLoaded(manifest)
+                : null;
+
+            result = {
+                dumpFile: this.dumpFile,
+                valid: hashMismatches.length === 0 && (!tables || tables.every(table => table.match)),
+                hashMismatches,
+                loaded: Boolean(tables),
+                tables
+            };
+            const logFile = this.saveVerifyLog(result);
+
+            if (result.valid) {
+                console.log(chalk.green.bold(`\n✅ DUMP VERIFICADO${tables ? ' (carregado e comparado)' : ' (hash)'}`));
+            } else {
+                console.log(chalk.red.bold('\n❌ DUMP DIVERGE DO MANIFESTO'));
+            }
+            console.log(chalk.white(`📋 Log salvo em: ${logFile}`));
+
+            return { ...result, logFile };
+
+        } catch (error) {
+            this.log('error', 'Falha na verificação', error.message);
+            this.saveVerifyLog(result);
+            throw error;
+        }
+    }
+}
+
+// Executar verificação se chamado diretamente
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dumpFile = args.find(arg => !arg.startsWith('--'));
+    const databaseArg = args.find(arg => arg.startsWith('--database='));
+    if (!dumpFile) {
+        console.error(chalk.red('Uso: node verify-dump.js <dump> [--database=<banco de rascunho>]'));
+        process.exit(1);
+    }
+
+    const verifier = new DumpVerifier(dumpFile, {
+        database: databaseArg ? databaseArg.split('=')[1] : undefined
+    });
+    verifier.run()
+        .then((result) => {
+            process.exit(result.valid ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error(chalk.red.bold('\n💥 Falha no processo:'), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = DumpVerifier;